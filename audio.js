@@ -0,0 +1,206 @@
+/* audio.js
+   Idle Merge Farm — sound effects and music
+   - named cues (plant, harvest coin, merge, ...) play an audio file from
+     assets/audio/ when it loaded, otherwise a short synthesized tone
+   - looping background music, again with a synthesized fallback tune
+   - master / sfx / music volume and mute, persisted in localStorage
+   Settings helpers run anywhere; create() needs a Phaser scene.
+   Loaded as a browser global (FarmAudio) or via require('./audio').
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FarmAudio = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const SETTINGS_KEY = 'idleMergeFarm_audio';
+  const DEFAULT_SETTINGS = { master: 0.8, sfx: 0.8, music: 0.4, muted: false };
+  const ASSET_DIR = 'assets/audio/';
+  const MIN_GAP_MS = 60; // a cue repeated faster than this is dropped (many crops grow at once)
+
+  // cue -> asset file and fallback tone: notes are [frequency Hz, seconds]
+  const CUES = {
+    plant: { file: 'plant', wave: 'triangle', notes: [[392, 0.06], [523, 0.08]] },
+    stage: { file: 'stage', wave: 'sine', notes: [[660, 0.05]] },
+    ready: { file: 'ready', wave: 'sine', notes: [[659, 0.08], [784, 0.08], [1047, 0.14]] },
+    coin: { file: 'coin', wave: 'square', notes: [[988, 0.05], [1319, 0.12]] },
+    merge: { file: 'merge', wave: 'triangle', notes: [[523, 0.06], [659, 0.06], [784, 0.12]] },
+    reject: { file: 'reject', wave: 'sawtooth', notes: [[196, 0.08], [147, 0.16]] },
+    purchase: { file: 'purchase', wave: 'square', notes: [[784, 0.06], [1175, 0.16]] }
+  };
+
+  // fallback music: a gentle arpeggio, one note per beat
+  const MUSIC = {
+    file: 'music',
+    beat: 0.4,
+    notes: [262, 330, 392, 330, 294, 349, 440, 349, 262, 330, 392, 523, 392, 330, 294, 247]
+  };
+
+  function clamp01(v, fallback) {
+    return typeof v === 'number' && Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : fallback;
+  }
+
+  // any stored value -> complete settings object
+  function normalizeSettings(raw) {
+    const src = raw && typeof raw === 'object' ? raw : {};
+    return {
+      master: clamp01(src.master, DEFAULT_SETTINGS.master),
+      sfx: clamp01(src.sfx, DEFAULT_SETTINGS.sfx),
+      music: clamp01(src.music, DEFAULT_SETTINGS.music),
+      muted: typeof src.muted === 'boolean' ? src.muted : DEFAULT_SETTINGS.muted
+    };
+  }
+
+  // storage: anything with getItem (localStorage); bad data falls back to defaults
+  function loadSettings(storage) {
+    try {
+      return normalizeSettings(JSON.parse(storage.getItem(SETTINGS_KEY)));
+    } catch (e) {
+      return normalizeSettings(null);
+    }
+  }
+
+  function saveSettings(storage, settings) {
+    try {
+      storage.setItem(SETTINGS_KEY, JSON.stringify(normalizeSettings(settings)));
+    } catch (e) {
+      console.warn('Audio settings not saved', e);
+    }
+  }
+
+  // effective 0..1 volume of a channel ('sfx' or 'music')
+  function volume(settings, channel) {
+    return settings.muted ? 0 : settings.master * settings[channel];
+  }
+
+  function assetKey(file) {
+    return 'sfx_' + file;
+  }
+
+  // queue every cue and the music track; missing files are skipped
+  function preload(scene) {
+    for (const file of Object.keys(CUES).map(id => CUES[id].file).concat(MUSIC.file)) {
+      scene.load.audio(assetKey(file), [ASSET_DIR + file + '.ogg', ASSET_DIR + file + '.mp3']);
+    }
+  }
+
+  // audio manager for a scene: play(cue), startMusic(), setSettings(settings)
+  function create(scene, settings) {
+    let current = normalizeSettings(settings);
+    const lastPlayed = {};
+    let music = null; // Phaser sound, or { gain, timer } for the synthesized tune
+
+    // Web Audio context for synthesized tones (Phaser's when it uses Web Audio)
+    let ctx = scene.sound.context || null;
+    function context() {
+      if (!ctx) {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        if (!Ctx) return null;
+        ctx = new Ctx();
+      }
+      if (ctx.state === 'suspended') ctx.resume();
+      return ctx;
+    }
+
+    // play `notes` back to back on `destination`, starting at `at`
+    function tone(ac, destination, wave, notes, at, level) {
+      let t = at;
+      for (const [freq, seconds] of notes) {
+        const osc = ac.createOscillator();
+        const env = ac.createGain();
+        osc.type = wave;
+        osc.frequency.value = freq;
+        // short attack and decay so notes do not click
+        env.gain.setValueAtTime(0, t);
+        env.gain.linearRampToValueAtTime(level, t + 0.01);
+        env.gain.exponentialRampToValueAtTime(0.0001, t + seconds);
+        osc.connect(env);
+        env.connect(destination);
+        osc.start(t);
+        osc.stop(t + seconds + 0.02);
+        t += seconds;
+      }
+    }
+
+    function play(cueId) {
+      const cue = CUES[cueId];
+      const vol = volume(current, 'sfx');
+      if (!cue || vol <= 0) return;
+      const now = Date.now();
+      if (lastPlayed[cueId] && now - lastPlayed[cueId] < MIN_GAP_MS) return;
+      lastPlayed[cueId] = now;
+
+      if (scene.cache.audio.exists(assetKey(cue.file))) {
+        scene.sound.play(assetKey(cue.file), { volume: vol });
+        return;
+      }
+      const ac = context();
+      if (ac) tone(ac, ac.destination, cue.wave, cue.notes, ac.currentTime, 0.25 * vol);
+    }
+
+    function startSynthMusic() {
+      const ac = context();
+      if (!ac) return;
+      const gain = ac.createGain();
+      gain.gain.value = volume(current, 'music');
+      gain.connect(ac.destination);
+      const barSeconds = MUSIC.beat * MUSIC.notes.length;
+      let nextBar = ac.currentTime + 0.1;
+      const scheduleBar = () => {
+        // keep one bar queued ahead of the clock
+        while (nextBar < ac.currentTime + barSeconds) {
+          tone(ac, gain, 'sine', MUSIC.notes.map(f => [f, MUSIC.beat]), nextBar, 0.12);
+          nextBar += barSeconds;
+        }
+      };
+      scheduleBar();
+      music = { gain, timer: scene.time.addEvent({ delay: barSeconds * 500, loop: true, callback: scheduleBar }) };
+    }
+
+    function startMusic() {
+      if (music) return;
+      // browsers block audio until the first gesture; Phaser reports when that happens
+      if (scene.sound.locked) {
+        scene.sound.once('unlocked', startMusic);
+        return;
+      }
+      const key = assetKey(MUSIC.file);
+      if (scene.cache.audio.exists(key)) {
+        music = scene.sound.add(key, { loop: true, volume: volume(current, 'music') });
+        music.play();
+      } else {
+        startSynthMusic();
+      }
+    }
+
+    function setSettings(next) {
+      current = normalizeSettings(next);
+      if (!music) return;
+      const vol = volume(current, 'music');
+      if (music.gain) music.gain.gain.setTargetAtTime(vol, music.gain.context.currentTime, 0.05);
+      else music.setVolume(vol);
+    }
+
+    return {
+      play,
+      startMusic,
+      setSettings,
+      get settings() { return Object.assign({}, current); }
+    };
+  }
+
+  return {
+    SETTINGS_KEY,
+    DEFAULT_SETTINGS,
+    CUES,
+    normalizeSettings,
+    loadSettings,
+    saveSettings,
+    volume,
+    preload,
+    create
+  };
+});
@@ -0,0 +1,200 @@
+/* debug.js
+   Idle Merge Farm — developer debug console (FarmDebug)
+   - never part of normal play: main.js only loads this file when the page
+     URL has ?debug or after Ctrl+Shift+D, so players do not download it
+   - state edits (coins, spawning crops, upgrade levels) are pure and
+     return { state, events } like engine operations, with a 'rejected'
+     event for bad input
+   - createPanel(host) builds the DOM panel; time warp, tick speed and
+     state dumps go through the callbacks main.js passes in `host`
+   Loaded as a browser global (FarmDebug) or via require('./debug').
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'));
+  } else {
+    root.FarmDebug = factory(root.FarmEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FarmEngine) {
+  'use strict';
+
+  const MAX_WARP_MINUTES = 600;
+  const TICK_SPEEDS = [1, 2, 5, 10, 50];
+
+  function copy(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  function rejected(state, action, reason, extra) {
+    return { state, events: [Object.assign({ type: 'rejected', action, reason }, extra)] };
+  }
+
+  function edited(next, what) {
+    return { state: next, events: [{ type: 'debugEdited', what }] };
+  }
+
+  function setCoins(state, coins) {
+    if (typeof coins !== 'number' || !Number.isFinite(coins) || coins < 0) {
+      return rejected(state, 'debugSetCoins', 'invalidAmount', { coins });
+    }
+    const next = copy(state);
+    next.coins = coins;
+    return edited(next, 'coins');
+  }
+
+  // put a crop of any type, level and stage on `index`, replacing the crop or
+  // building that is there
+  function spawnCrop(state, index, typeId, level, stage) {
+    const tcfg = FarmEngine.cropType(typeId);
+    if (!Number.isInteger(index) || index < 0 || index >= state.grid.length) {
+      return rejected(state, 'debugSpawn', 'invalidTile', { index });
+    }
+    if (!tcfg) return rejected(state, 'debugSpawn', 'unknownCrop', { id: typeId });
+    if (!Number.isInteger(level) || level < 1 || level > tcfg.maxLevel) {
+      return rejected(state, 'debugSpawn', 'invalidLevel', { level, max: tcfg.maxLevel });
+    }
+    if (!Number.isInteger(stage) || stage < 1 || stage > tcfg.stages) {
+      return rejected(state, 'debugSpawn', 'invalidStage', { stage, max: tcfg.stages });
+    }
+    const next = copy(state);
+    const growthTime = stage < tcfg.stages ? FarmEngine.growthTime(next, typeId, stage) : 0;
+    next.grid[index] = {
+      id: typeId,
+      level,
+      stage,
+      maxStage: tcfg.stages,
+      timeLeft: growthTime,
+      growthTime,
+      fertilized: false
+    };
+    next.buildings[index] = null;
+    next.stats.highestLevel = Math.max(next.stats.highestLevel, level);
+    return edited(next, 'grid');
+  }
+
+  // set a shop upgrade to any level, prerequisites and coins aside
+  function setUpgradeLevel(state, upgradeId, level) {
+    const def = FarmEngine.RULES.UPGRADES[upgradeId];
+    if (!def) return rejected(state, 'debugUpgrade', 'unknownUpgrade', { id: upgradeId });
+    if (!Number.isInteger(level) || level < 0 || level > def.maxLevel) {
+      return rejected(state, 'debugUpgrade', 'invalidLevel', { level, max: def.maxLevel });
+    }
+    const next = copy(state);
+    next.upgrades[upgradeId] = level;
+    return edited(next, 'upgrades');
+  }
+
+  // ---------- PANEL (browser only) ----------
+
+  // host: { getState(), apply(result), warp(minutes), setTickSpeed(speed) }
+  function createPanel(host) {
+    const RULES = FarmEngine.RULES;
+    const panel = document.createElement('div');
+    panel.id = 'debug-panel';
+    panel.setAttribute('aria-label', 'Debug console');
+    const cropOptions = RULES.CROP_TYPES.map(t => `<option value="${t.id}">${t.name}</option>`).join('');
+    panel.innerHTML = `
+      <h3>Debug <button id="debug-close" class="btn" aria-label="Close debug console">×</button></h3>
+      <div class="debug-row">
+        <label>Coins <input id="debug-coins" type="number" min="0" step="1"></label>
+        <button id="debug-set-coins" class="btn">Set</button>
+      </div>
+      <div class="debug-row">
+        <label>Tile <input id="debug-tile" type="number" min="0" step="1" value="0"></label>
+        <select id="debug-crop">${cropOptions}</select>
+        <label>Lv <input id="debug-level" type="number" min="1" step="1" value="1"></label>
+        <label>Stage <input id="debug-stage" type="number" min="1" step="1" value="1"></label>
+        <button id="debug-spawn" class="btn">Spawn</button>
+      </div>
+      <div class="debug-row">
+        <label>Skip <input id="debug-minutes" type="number" min="1" max="${MAX_WARP_MINUTES}" step="1" value="5"> min</label>
+        <button id="debug-warp" class="btn">Fast-forward</button>
+      </div>
+      <div class="debug-row">
+        <label>Tick speed <select id="debug-speed">${TICK_SPEEDS.map(s => `<option value="${s}">${s}x</option>`).join('')}</select></label>
+      </div>
+      <div id="debug-upgrades"></div>
+      <div class="debug-row">
+        <button id="debug-dump" class="btn">Dump state</button>
+      </div>
+      <textarea id="debug-output" readonly></textarea>
+      <div id="debug-message" role="status"></div>
+    `;
+    document.body.appendChild(panel);
+
+    const $ = id => panel.querySelector('#' + id);
+    const number = id => Number($(id).value);
+    const message = text => { $('debug-message').textContent = text; };
+    // apply an edit and report a rejection in the panel
+    const run = res => {
+      const bad = res.events.find(e => e.type === 'rejected');
+      if (bad) {
+        message(`${bad.action}: ${bad.reason}` + (bad.max !== undefined ? ` (max ${bad.max})` : ''));
+        return;
+      }
+      message('');
+      host.apply(res);
+      refresh();
+    };
+
+    for (const id of Object.keys(RULES.UPGRADES)) {
+      const def = RULES.UPGRADES[id];
+      const row = document.createElement('label');
+      row.className = 'debug-row';
+      row.innerHTML = `${def.name} <input type="number" min="0" max="${def.maxLevel}" step="1" data-upgrade="${id}">`;
+      $('debug-upgrades').appendChild(row);
+    }
+    $('debug-upgrades').onchange = event => {
+      const id = event.target.getAttribute('data-upgrade');
+      if (id) run(setUpgradeLevel(host.getState(), id, Number(event.target.value)));
+    };
+
+    $('debug-set-coins').onclick = () => run(setCoins(host.getState(), number('debug-coins')));
+    $('debug-spawn').onclick = () => run(spawnCrop(host.getState(), number('debug-tile'), $('debug-crop').value,
+      number('debug-level'), number('debug-stage')));
+    $('debug-warp').onclick = () => {
+      const minutes = number('debug-minutes');
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_WARP_MINUTES) {
+        message(`minutes must be a whole number from 1 to ${MAX_WARP_MINUTES}`);
+        return;
+      }
+      host.warp(minutes);
+      message(`Skipped ${minutes} min.`);
+      refresh();
+    };
+    $('debug-speed').onchange = () => host.setTickSpeed(number('debug-speed'));
+    $('debug-dump').onclick = () => {
+      const state = host.getState();
+      $('debug-output').value = JSON.stringify(state, null, 2);
+      console.log('FarmDebug state', copy(state));
+    };
+    $('debug-close').onclick = () => { panel.hidden = true; };
+
+    // show the live values in the inputs
+    function refresh() {
+      const state = host.getState();
+      $('debug-coins').value = Math.floor(state.coins);
+      for (const input of panel.querySelectorAll('[data-upgrade]')) {
+        input.value = state.upgrades[input.getAttribute('data-upgrade')];
+      }
+    }
+    refresh();
+
+    return {
+      toggle() {
+        panel.hidden = !panel.hidden;
+        if (!panel.hidden) refresh();
+      },
+      refresh
+    };
+  }
+
+  return {
+    MAX_WARP_MINUTES,
+    TICK_SPEEDS,
+    setCoins,
+    spawnCrop,
+    setUpgradeLevel,
+    createPanel
+  };
+});
@@ -0,0 +1,1445 @@
+/* engine.js
+   Idle Merge Farm — headless game rules
+   - pure state transitions: no DOM, no Phaser, runs under plain Node
+   - every operation takes a state and returns { state, events }
+     with a NEW state object; the state passed in is never mutated
+   - events describe what happened so a renderer can animate it
+   - crop types come from a JSON content pack (content/crops.json):
+     call loadContentPack(pack) once before creating any state
+   - hooks (addHook) let plugins adjust payouts; they receive a copy of
+     the state and must return a number, so operations stay pure
+   Loaded as a browser global (FarmEngine) or via require('./engine').
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FarmEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // -------- RULES --------
+  const RULES = {
+    GRID_START: { cols: 4, rows: 4 },
+    GRID_MAX: { cols: 7, rows: 6 },
+    // plot expansions: each extra row or column costs more than the last
+    EXPANSION_BASE_COST: 200,
+    EXPANSION_COST_GROWTH: 1.8,
+    MERGE_BONUS_FACTOR: 0.5,
+    // order board: timed delivery requests scaled by the highest level reached
+    ORDERS: {
+      MAX_ACTIVE: 3,
+      REFRESH_SECONDS: 90, // a new order arrives this often while there is room
+      FIRST_ORDER_SECONDS: 5,
+      BASE_SECONDS: 300, // time limit = base + qty * 2^(level-1) * per-seed seconds
+      SECONDS_PER_SEED: 60,
+      MAX_QTY: 3,
+      REWARD_FACTOR: 3, // coins = mature payout * qty * factor
+      SEED_REWARD_CHANCE: 0.25 // otherwise the reward is coins
+    },
+    // paying coins to speed growth up: the price of each skipped second is
+    // COST_PER_SECOND * the crop's level value (see levelValue)
+    SPEED_UP: {
+      COST_PER_SECOND: 0.25,
+      FERTILIZER_DISCOUNT: 0.5, // fertilizer costs this share of the time it saves
+      BOOST_ALL_SECONDS: 120, // farm-wide time skip
+      BOOST_ALL_DISCOUNT: 0.75 // boost all costs this share of the time it saves
+    },
+    // market: each crop sells at its harvest value times a price factor that
+    // drifts every UPDATE_SECONDS, pulled back toward 1 and kept in [MIN, MAX]
+    MARKET: {
+      UPDATE_SECONDS: 30,
+      DRIFT: 0.12, // largest random step per update
+      REVERSION: 0.1, // share of the distance to 1 recovered per update
+      MIN: 0.5,
+      MAX: 2,
+      HISTORY: 24 // price factors kept per crop, oldest first
+    },
+    // seasons follow each other every SECONDS; crops grow and pay more in the
+    // seasons their content pack entry favors (see validateCropDef)
+    SEASONS: {
+      SECONDS: 600,
+      LIST: [
+        { id: 'spring', name: 'Spring' },
+        { id: 'summer', name: 'Summer' },
+        { id: 'autumn', name: 'Autumn' },
+        { id: 'winter', name: 'Winter' }
+      ]
+    },
+    // weather: a clear spell, then an event picked by weight, then clear again
+    //   growth:  growth rate factor while it lasts
+    //   seconds: [min, max] duration
+    WEATHER: {
+      clear: { name: 'Clear', growth: 1, weight: 0, seconds: [150, 300] },
+      rain: { name: 'Rain', growth: 1.5, weight: 3, seconds: [60, 120] },
+      drought: { name: 'Drought', growth: 0.6, weight: 2, seconds: [60, 120] },
+      // as it starts, each crop past its first stage may lose a stage (see stormShelter)
+      storm: { name: 'Storm', growth: 1, weight: 1, seconds: [20, 40], damageChance: 0.3 }
+    },
+    // buildings take a tile instead of a crop and buff the crops around them
+    //   cost:   base * growth^(buildings of this kind already placed)
+    //   range:  tiles in every direction, diagonals included
+    //   effect: growth and value factors for crops in range; replant: a crop
+    //           harvested in range is replanted at once if its seed is affordable
+    BUILDINGS: {
+      sprinkler: {
+        name: 'Sprinkler',
+        description: 'Crops next to it grow 25% faster',
+        color: 0x3d85c6,
+        cost: { base: 150, growth: 1.8 },
+        range: 1,
+        effect: { growth: 1.25 }
+      },
+      scarecrow: {
+        name: 'Scarecrow',
+        description: 'Crops next to it pay 20% more',
+        color: 0xb45f06,
+        cost: { base: 200, growth: 1.8 },
+        range: 1,
+        effect: { value: 1.2 }
+      },
+      compostBin: {
+        name: 'Compost Bin',
+        description: 'Crops next to it are replanted after a harvest',
+        color: 0x6aa84f,
+        cost: { base: 300, growth: 2 },
+        range: 1,
+        effect: { replant: true }
+      },
+      beehive: {
+        name: 'Beehive',
+        description: 'Crops within 2 tiles grow 10% faster and pay 10% more',
+        color: 0xf1c232,
+        cost: { base: 500, growth: 2 },
+        range: 2,
+        effect: { growth: 1.1, value: 1.1 }
+      }
+    },
+    CROP_TYPES: [], // filled by loadContentPack()
+    // achievements: check(state) is tested after every operation
+    ACHIEVEMENTS: [
+      { id: 'first_harvest', name: 'First Harvest', description: 'Harvest a crop.', check: s => total(s.stats.harvested) >= 1 },
+      { id: 'green_thumb', name: 'Green Thumb', description: 'Plant 50 crops.', check: s => total(s.stats.planted) >= 50 },
+      { id: 'first_merge', name: 'Better Together', description: 'Merge two crops.', check: s => s.stats.merges >= 1 },
+      { id: 'merge_adept', name: 'Merge Adept', description: 'Merge 100 times.', check: s => s.stats.merges >= 100 },
+      { id: 'level_5', name: 'Prize Produce', description: 'Grow a level 5 crop.', check: s => s.stats.highestLevel >= 5 },
+      { id: 'level_8', name: 'County Fair Champion', description: 'Grow a level 8 crop.', check: s => s.stats.highestLevel >= 8 },
+      { id: 'coins_1k', name: 'Pocket Money', description: 'Earn 1,000 coins in total.', check: s => s.stats.coinsEarned >= 1000 },
+      { id: 'coins_100k', name: 'Farm Tycoon', description: 'Earn 100,000 coins in total.', check: s => s.stats.coinsEarned >= 100000 },
+      { id: 'all_crops', name: 'Full Seed Catalog', description: 'Unlock every crop.', check: s => s.unlocked.length >= RULES.CROP_TYPES.length },
+      { id: 'first_order', name: 'Special Delivery', description: 'Complete an order.', check: s => s.stats.ordersCompleted >= 1 },
+      { id: 'orders_25', name: 'Trusted Supplier', description: 'Complete 25 orders.', check: s => s.stats.ordersCompleted >= 25 },
+      { id: 'play_hour', name: 'Dedicated Farmer', description: 'Play for an hour.', check: s => s.stats.playTime >= 3600 }
+    ],
+    // prestige: reset the run for points that buy permanent perks
+    PRESTIGE: {
+      UNLOCK_LIFETIME_COINS: 10000, // lifetime coins needed before the first prestige
+      POINT_DIVISOR: 1000 // points = floor(sqrt(run coins earned / divisor))
+    },
+    // perk cost = baseCost + level * costStep points
+    PERKS: {
+      harvestValue: { name: 'Golden Harvest', description: '+10% harvest value per level', baseCost: 1, costStep: 1, maxLevel: 20, perLevel: 0.1 },
+      startingCoins: { name: 'Nest Egg', description: '+50 starting coins per level', baseCost: 1, costStep: 1, maxLevel: 10, perLevel: 50 },
+      growthSpeed: { name: 'Rich Soil', description: '+5% base growth speed per level', baseCost: 2, costStep: 1, maxLevel: 10, perLevel: 0.05 }
+    },
+    // shop upgrades, listed in shop order. Each is bought level by level:
+    //   cost: level n+1 costs round(base * growth^n) coins
+    //   requires: { upgradeId: level } needed before the first purchase
+    //   effect(level): the value the rules read (see upgradeEffect)
+    UPGRADES: {
+      growthSpeed: {
+        name: 'Growth Speed',
+        description: 'Crops grow 25% faster per level',
+        cost: { base: 50, growth: 1.6 },
+        maxLevel: 10,
+        requires: {},
+        effect: level => Math.pow(1.25, level) // growth speed multiplier
+      },
+      harvestValue: {
+        name: 'Better Baskets',
+        description: '+10% harvest value per level',
+        cost: { base: 80, growth: 1.7 },
+        maxLevel: 10,
+        requires: {},
+        effect: level => 1 + 0.1 * level // harvest value multiplier
+      },
+      mergeBonus: {
+        name: 'Merge Bonus',
+        description: '+25% merge bonus coins per level',
+        cost: { base: 100, growth: 1.7 },
+        maxLevel: 8,
+        requires: { growthSpeed: 2 },
+        effect: level => 1 + 0.25 * level // merge bonus multiplier
+      },
+      autoHarvester: {
+        name: 'Auto Harvester',
+        description: 'Collects mature crops for you',
+        cost: { base: 150, growth: 1 },
+        maxLevel: 1,
+        requires: {},
+        effect: level => level > 0
+      },
+      autoHarvestSpeed: {
+        name: 'Faster Harvester',
+        description: 'The auto harvester makes its rounds more often',
+        cost: { base: 200, growth: 2 },
+        maxLevel: 4,
+        requires: { autoHarvester: 1 },
+        effect: level => [8, 5, 3, 1.5, 0.5][level] // seconds between rounds
+      },
+      autoMerger: {
+        name: 'Auto Merger',
+        description: 'Merges one matching pair on its own every few seconds',
+        cost: { base: 300, growth: 2 },
+        maxLevel: 5,
+        requires: {},
+        effect: level => [0, 20, 12, 8, 5, 3][level] // seconds between merges; 0 = not owned
+      },
+      barnSlots: {
+        name: 'Barn Space',
+        description: '+2 barn slots per level',
+        cost: { base: 120, growth: 1.8 },
+        maxLevel: 4,
+        requires: {},
+        effect: level => 4 + 2 * level // barn capacity
+      },
+      stormShelter: {
+        name: 'Storm Shelter',
+        description: 'Storms no longer knock crops back a stage',
+        cost: { base: 250, growth: 1 },
+        maxLevel: 1,
+        requires: {},
+        effect: level => level > 0
+      },
+      seedLevel: {
+        name: 'Premium Seeds',
+        description: 'Bought seeds start one level higher',
+        cost: { base: 500, growth: 4 },
+        maxLevel: 2,
+        requires: { mergeBonus: 2 },
+        effect: level => 1 + level // level of crops planted from bought seeds
+      }
+    }
+  };
+
+  // -------- HOOKS --------
+  // name -> functions (value, context) => new value, run in registration order
+  const HOOKS = { harvestValue: [], mergeBonus: [] };
+
+  // register a hook; returns a function that removes it again
+  function addHook(name, fn) {
+    if (!HOOKS[name]) throw new TypeError(`unknown hook "${name}" (expected one of: ${Object.keys(HOOKS).join(', ')})`);
+    if (typeof fn !== 'function') throw new TypeError(`hook "${name}" must be a function`);
+    HOOKS[name].push(fn);
+    return () => {
+      const i = HOOKS[name].indexOf(fn);
+      if (i !== -1) HOOKS[name].splice(i, 1);
+    };
+  }
+
+  // pass `value` through every hook for `name`; hooks see a copy of the
+  // state, and results that are not numbers >= 0 are ignored. A hook that
+  // throws is logged and skipped, so one broken plugin cannot stall the farm
+  function runHooks(name, value, context) {
+    if (HOOKS[name].length === 0) return value;
+    const ctx = clone(context);
+    for (const fn of HOOKS[name]) {
+      let out;
+      try {
+        out = fn(value, ctx);
+      } catch (e) {
+        console.error(`FarmEngine: "${name}" hook failed`, e);
+        continue;
+      }
+      if (typeof out === 'number' && Number.isFinite(out) && out >= 0) value = Math.round(out);
+    }
+    return value;
+  }
+
+  // -------- STATE --------
+  // seed: starting value for the state's random generator (orders etc.)
+  function createState(seed = Math.floor(Math.random() * 4294967296)) {
+    return {
+      coins: 0,
+      cols: RULES.GRID_START.cols,
+      rows: RULES.GRID_START.rows,
+      grid: new Array(RULES.GRID_START.cols * RULES.GRID_START.rows).fill(null), // crop or null per tile, row-major
+      buildings: new Array(RULES.GRID_START.cols * RULES.GRID_START.rows).fill(null), // { id } or null per tile; never on a crop's tile
+      upgrades: Object.fromEntries(Object.keys(RULES.UPGRADES).map(id => [id, 0])), // upgrade id -> level; 0 = not owned
+      barn: [], // stored crops (they stop growing), at most upgradeEffect(state, 'barnSlots')
+      harvestToBarn: false, // player setting: harvests go to the barn while it has room
+      // per-crop price factors; kept across prestiges
+      market: {
+        prices: Object.fromEntries(RULES.CROP_TYPES.map(t => [t.id, 1])),
+        history: Object.fromEntries(RULES.CROP_TYPES.map(t => [t.id, [1]])),
+        timer: RULES.MARKET.UPDATE_SECONDS // seconds until prices move
+      },
+      season: { index: 0, timeLeft: RULES.SEASONS.SECONDS }, // index into RULES.SEASONS.LIST
+      weather: { id: 'clear', timeLeft: RULES.WEATHER.clear.seconds[1] }, // key of RULES.WEATHER
+      autoHarvestTimer: 0, // seconds until the auto harvester's next round
+      autoMergeTimer: 0, // seconds until the auto-merger's next merge
+      // player settings for the auto-merger; kept across prestiges
+      autoMerge: {
+        excluded: [], // crop ids it must leave alone
+        levelCap: null // highest level it may create; null = no cap
+      },
+      unlocked: RULES.CROP_TYPES.filter(t => !t.unlock).map(t => t.id),
+      selectedCrop: RULES.CROP_TYPES[0].id, // default seed for quick planting
+      stats: {
+        merges: 0, // lifetime total
+        mergesByLevel: {}, // resulting level -> count
+        highestLevel: 1,
+        planted: {}, // crop id -> count
+        harvested: {}, // crop id -> count
+        coinsEarned: 0,
+        coinsSpent: 0,
+        ordersCompleted: 0,
+        playTime: 0 // seconds of live play (offline time excluded)
+      },
+      achievements: [], // ids of unlocked achievements
+      runCoinsEarned: 0, // coins earned since the last prestige
+      prestige: {
+        points: 0, // unspent prestige points
+        count: 0, // prestiges performed
+        perks: { harvestValue: 0, startingCoins: 0, growthSpeed: 0 } // permanent, survive resets
+      },
+      seeds: [], // reward seeds: { id, level }, planted for free
+      orders: [], // { id, cropId, level, qty, delivered, timeLeft, reward: { coins } | { seed: { id, level } } }
+      orderRefresh: RULES.ORDERS.FIRST_ORDER_SECONDS,
+      nextOrderId: 1,
+      rng: seed >>> 0
+    };
+  }
+
+  // -------- CONTENT PACK --------
+
+  class ContentError extends Error {
+    // errors: [{ field, message }]
+    constructor(errors) {
+      super('Invalid content pack: ' + errors.map(e => `${e.field}: ${e.message}`).join('; '));
+      this.name = 'ContentError';
+      this.errors = errors;
+    }
+  }
+
+  function isPositiveNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v) && v > 0;
+  }
+
+  // check one crop definition; pushes { field, message } for each problem
+  //   stages:        number of growth stages, the last one is mature
+  //   stageSeconds:  seconds spent in each stage before the mature one
+  //   value:         payout = base * levelGrowth^(level-1) * stageMultipliers[stage-1]
+  //   maxLevel:      highest level merging can reach
+  //   texture:       texture key pattern, {stage} is replaced by the stage number
+  //   unlock:        optional milestone, { coins: n } once the player holds n coins
+  //                  or { merges: n } after n merges
+  //   seasons:       optional { seasonId: { growth?, value? } } factors for the
+  //                  seasons the crop likes (or dislikes); missing ones are 1
+  function validateCropDef(def, field, seen, errors) {
+    const err = (name, message) => errors.push({ field: `${field}.${name}`, message });
+    if (!def || typeof def !== 'object') {
+      errors.push({ field, message: 'must be an object' });
+      return;
+    }
+    if (typeof def.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(def.id)) {
+      err('id', 'must be a lowercase identifier');
+    } else if (seen.has(def.id)) {
+      err('id', `duplicate crop ${JSON.stringify(def.id)}`);
+    } else {
+      seen.add(def.id);
+    }
+    if (typeof def.name !== 'string' || !def.name) err('name', 'must be a non-empty string');
+    if (typeof def.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(def.color)) err('color', 'must be a "#rrggbb" string');
+    if (typeof def.texture !== 'string' || def.texture.indexOf('{stage}') === -1) err('texture', 'must contain "{stage}"');
+    if (typeof def.seedCost !== 'number' || !(def.seedCost >= 0)) err('seedCost', 'must be a number >= 0');
+    if (!Number.isInteger(def.stages) || def.stages < 2) {
+      err('stages', 'must be an integer >= 2');
+    } else {
+      if (!Array.isArray(def.stageSeconds) || def.stageSeconds.length !== def.stages - 1 || !def.stageSeconds.every(isPositiveNumber)) {
+        err('stageSeconds', `must list ${def.stages - 1} positive durations (one per stage before mature)`);
+      }
+      const v = def.value;
+      if (!v || !isPositiveNumber(v.base) || !isPositiveNumber(v.levelGrowth)) {
+        err('value', 'needs positive "base" and "levelGrowth"');
+      } else if (!Array.isArray(v.stageMultipliers) || v.stageMultipliers.length !== def.stages || !v.stageMultipliers.every(isPositiveNumber)) {
+        err('value.stageMultipliers', `must list ${def.stages} positive multipliers (one per stage)`);
+      }
+    }
+    if (!Number.isInteger(def.maxLevel) || def.maxLevel < 1) err('maxLevel', 'must be an integer >= 1');
+    if (def.unlock !== undefined) {
+      const u = def.unlock;
+      const ok = u && typeof u === 'object' && Object.keys(u).length === 1 &&
+        ((Number.isInteger(u.coins) && u.coins >= 0) || (Number.isInteger(u.merges) && u.merges >= 0));
+      if (!ok) err('unlock', 'must be { "coins": n } or { "merges": n }');
+    }
+    if (def.seasons !== undefined) {
+      if (!def.seasons || typeof def.seasons !== 'object' || Array.isArray(def.seasons)) {
+        err('seasons', 'must be an object keyed by season id');
+      } else {
+        for (const id of Object.keys(def.seasons)) {
+          const mod = def.seasons[id];
+          if (!RULES.SEASONS.LIST.some(season => season.id === id)) {
+            err(`seasons.${id}`, `unknown season (expected one of: ${RULES.SEASONS.LIST.map(season => season.id).join(', ')})`);
+          } else if (!mod || typeof mod !== 'object' || Object.keys(mod).some(key => key !== 'growth' && key !== 'value') ||
+              !Object.keys(mod).every(key => isPositiveNumber(mod[key]))) {
+            err(`seasons.${id}`, 'must be { "growth"?: n, "value"?: n } with positive numbers');
+          }
+        }
+      }
+    }
+  }
+
+  // validate a parsed content pack and make its crops the active crop types
+  // throws ContentError listing every problem; the previous crops stay active then
+  function loadContentPack(pack) {
+    const errors = [];
+    if (!pack || typeof pack !== 'object' || !Array.isArray(pack.crops) || pack.crops.length === 0) {
+      throw new ContentError([{ field: 'crops', message: 'must be a non-empty array' }]);
+    }
+    const seen = new Set();
+    pack.crops.forEach((def, i) => validateCropDef(def, `crops[${i}]`, seen, errors));
+    if (!pack.crops.some(def => def && def.unlock === undefined)) {
+      errors.push({ field: 'crops', message: 'at least one crop must be available without an unlock' });
+    }
+    if (errors.length) throw new ContentError(errors);
+
+    RULES.CROP_TYPES = pack.crops.map(def => Object.assign({}, def, {
+      color: parseInt(def.color.slice(1), 16),
+      stageSeconds: def.stageSeconds.slice(),
+      seasons: JSON.parse(JSON.stringify(def.seasons || {})),
+      value: Object.assign({}, def.value, { stageMultipliers: def.value.stageMultipliers.slice() })
+    }));
+    return RULES.CROP_TYPES;
+  }
+
+  function clone(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  function cropType(typeId) {
+    return RULES.CROP_TYPES.find(t => t.id === typeId) || null;
+  }
+
+  function achievement(id) {
+    return RULES.ACHIEVEMENTS.find(a => a.id === id) || null;
+  }
+
+  function result(state, events) {
+    return { state, events };
+  }
+
+  function rejected(state, action, reason, extra) {
+    return result(state, [Object.assign({ type: 'rejected', action, reason }, extra)]);
+  }
+
+  function validIndex(state, index) {
+    return Number.isInteger(index) && index >= 0 && index < state.grid.length;
+  }
+
+  // a tile with neither a crop nor a building
+  function isFree(state, index) {
+    return !state.grid[index] && !state.buildings[index];
+  }
+
+  function isUnlocked(state, typeId) {
+    return state.unlocked.indexOf(typeId) !== -1;
+  }
+
+  // unlock every crop whose milestone has been reached (mutates `next`)
+  function checkUnlocks(next, events) {
+    for (const t of RULES.CROP_TYPES) {
+      if (!t.unlock || isUnlocked(next, t.id)) continue;
+      const reached = (t.unlock.coins !== undefined && next.coins >= t.unlock.coins) ||
+        (t.unlock.merges !== undefined && next.stats.merges >= t.unlock.merges);
+      if (reached) {
+        next.unlocked.push(t.id);
+        events.push({ type: 'cropUnlocked', id: t.id });
+      }
+    }
+  }
+
+  // mulberry32: advances next.rng and returns a float in [0, 1)
+  function random(next) {
+    next.rng = (next.rng + 0x6D2B79F5) >>> 0;
+    let t = next.rng;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  function randomInt(next, min, max) {
+    return min + Math.floor(random(next) * (max - min + 1));
+  }
+
+  function noteLevel(next, level) {
+    if (level > next.stats.highestLevel) next.stats.highestLevel = level;
+  }
+
+  function total(counts) {
+    return Object.keys(counts).reduce((sum, key) => sum + counts[key], 0);
+  }
+
+  function count(counts, key) {
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  // all coin changes go through earn/spend so lifetime stats stay exact
+  function earn(next, amount) {
+    next.coins += amount;
+    next.stats.coinsEarned += amount;
+    next.runCoinsEarned += amount;
+  }
+
+  function spend(next, amount) {
+    next.coins -= amount;
+    next.stats.coinsSpent += amount;
+  }
+
+  function checkAchievements(next, events) {
+    for (const a of RULES.ACHIEVEMENTS) {
+      if (next.achievements.indexOf(a.id) !== -1 || !a.check(next)) continue;
+      next.achievements.push(a.id);
+      events.push({ type: 'achievementUnlocked', id: a.id, name: a.name });
+    }
+  }
+
+  // result of a successful operation, after milestone checks
+  function finish(next, events) {
+    checkUnlocks(next, events);
+    checkAchievements(next, events);
+    return result(next, events);
+  }
+
+  // -------- FORMULAS --------
+
+  function perkBonus(state, perkId) {
+    return state.prestige.perks[perkId] * RULES.PERKS[perkId].perLevel;
+  }
+
+  // what an upgrade does at its current level (RULES.UPGRADES[id].effect)
+  function upgradeEffect(state, upgradeId) {
+    return RULES.UPGRADES[upgradeId].effect(state.upgrades[upgradeId]);
+  }
+
+  // growth speed factor from shop upgrades and permanent perks
+  function growthSpeed(state) {
+    return upgradeEffect(state, 'growthSpeed') * (1 + perkBonus(state, 'growthSpeed'));
+  }
+
+  // harvest value factor from shop upgrades and permanent perks
+  function harvestMultiplier(state) {
+    return upgradeEffect(state, 'harvestValue') * (1 + perkBonus(state, 'harvestValue'));
+  }
+
+  // seconds a crop spends in `stage` at the current growth speed
+  function growthTime(state, typeId, stage) {
+    return cropType(typeId).stageSeconds[stage - 1] / growthSpeed(state);
+  }
+
+  // a level's payout per stage multiplier: base * levelGrowth^(level-1)
+  function levelValue(tcfg, level) {
+    return tcfg.value.base * Math.pow(tcfg.value.levelGrowth, level - 1);
+  }
+
+  // harvest payout: level value * stage multiplier * bonus multiplier
+  function harvestValue(crop, multiplier = 1) {
+    const tcfg = cropType(crop.id);
+    return Math.round(levelValue(tcfg, crop.level) * tcfg.value.stageMultipliers[crop.stage - 1] * multiplier);
+  }
+
+  // bonus coins for merging into `newLevel`: half the level's base payout
+  function mergeBonus(typeId, newLevel) {
+    return Math.round(levelValue(cropType(typeId), newLevel) * RULES.MERGE_BONUS_FACTOR);
+  }
+
+  // points a prestige would award right now
+  function prestigePoints(state) {
+    return Math.floor(Math.sqrt(state.runCoinsEarned / RULES.PRESTIGE.POINT_DIVISOR));
+  }
+
+  function canPrestige(state) {
+    return state.stats.coinsEarned >= RULES.PRESTIGE.UNLOCK_LIFETIME_COINS && prestigePoints(state) >= 1;
+  }
+
+  function perkCost(state, perkId) {
+    const def = RULES.PERKS[perkId];
+    return def.baseCost + state.prestige.perks[perkId] * def.costStep;
+  }
+
+  // price of the next row or column, rising with every expansion bought
+  function expansionCost(state) {
+    const bought = (state.cols - RULES.GRID_START.cols) + (state.rows - RULES.GRID_START.rows);
+    return Math.round(RULES.EXPANSION_BASE_COST * Math.pow(RULES.EXPANSION_COST_GROWTH, bought));
+  }
+
+  function canExpand(state, axis) {
+    return axis === 'col' ? state.cols < RULES.GRID_MAX.cols : state.rows < RULES.GRID_MAX.rows;
+  }
+
+  // seconds from planting to maturity at the current upgrade level
+  function timeToMature(state, typeId) {
+    const tcfg = cropType(typeId);
+    let total = 0;
+    for (let stage = 1; stage < tcfg.stages; stage++) total += growthTime(state, typeId, stage);
+    return total;
+  }
+
+  // seconds until `crop` is fully grown, counting fertilizer
+  function cropTimeLeft(state, crop) {
+    if (crop.stage >= crop.maxStage) return 0;
+    let total = crop.fertilized ? crop.timeLeft / 2 : crop.timeLeft;
+    for (let stage = crop.stage + 1; stage < crop.maxStage; stage++) total += growthTime(state, crop.id, stage);
+    return total;
+  }
+
+  // coins to skip `seconds` of a crop's growth
+  function speedUpPrice(crop, seconds, share = 1) {
+    const value = levelValue(cropType(crop.id), crop.level);
+    return Math.max(1, Math.ceil(seconds * RULES.SPEED_UP.COST_PER_SECOND * value * share));
+  }
+
+  // price to finish the crop on `index` right now, or null if nothing is growing there
+  function finishCost(state, index) {
+    const crop = state.grid[index];
+    if (!crop || crop.stage >= crop.maxStage) return null;
+    return speedUpPrice(crop, cropTimeLeft(state, crop));
+  }
+
+  // price to fertilize the crop on `index` (halves what is left of its
+  // current stage), or null if it is not growing or already fertilized
+  function fertilizerCost(state, index) {
+    const crop = state.grid[index];
+    if (!crop || crop.stage >= crop.maxStage || crop.fertilized) return null;
+    return speedUpPrice(crop, crop.timeLeft / 2, RULES.SPEED_UP.FERTILIZER_DISCOUNT);
+  }
+
+  // price to skip BOOST_ALL_SECONDS on every growing crop, or null if none grow
+  function boostAllCost(state) {
+    let cost = 0;
+    for (const crop of state.grid) {
+      if (!crop || crop.stage >= crop.maxStage) continue;
+      const saved = Math.min(RULES.SPEED_UP.BOOST_ALL_SECONDS, cropTimeLeft(state, crop));
+      cost += speedUpPrice(crop, saved, RULES.SPEED_UP.BOOST_ALL_DISCOUNT);
+    }
+    return cost || null;
+  }
+
+  // a new order for an unlocked crop near the highest level reached (mutates `next`)
+  function generateOrder(next) {
+    const O = RULES.ORDERS;
+    const cropId = next.unlocked[randomInt(next, 0, next.unlocked.length - 1)];
+    const tcfg = cropType(cropId);
+    const top = Math.min(next.stats.highestLevel, tcfg.maxLevel);
+    const level = randomInt(next, Math.max(1, top - 1), top);
+    const qty = randomInt(next, 1, O.MAX_QTY);
+    const payout = harvestValue({ id: cropId, level, stage: tcfg.stages }, harvestMultiplier(next));
+    let reward;
+    if (random(next) < O.SEED_REWARD_CHANCE) {
+      reward = { seed: { id: cropId, level: Math.min(level + 1, tcfg.maxLevel) } };
+    } else {
+      reward = { coins: Math.round(payout * qty * O.REWARD_FACTOR) };
+    }
+    const order = {
+      id: next.nextOrderId++,
+      cropId,
+      level,
+      qty,
+      delivered: 0,
+      timeLeft: O.BASE_SECONDS + qty * Math.pow(2, level - 1) * O.SECONDS_PER_SEED,
+      reward
+    };
+    next.orders.push(order);
+    return order;
+  }
+
+  // count down order timers, drop expired orders and add new ones (mutates `next`)
+  function advanceOrders(next, seconds, events) {
+    for (const order of next.orders) order.timeLeft -= seconds;
+    for (const order of next.orders.filter(o => o.timeLeft <= 0)) {
+      events.push({ type: 'orderExpired', order });
+    }
+    next.orders = next.orders.filter(o => o.timeLeft > 0);
+
+    next.orderRefresh -= seconds;
+    while (next.orderRefresh <= 0) {
+      next.orderRefresh += RULES.ORDERS.REFRESH_SECONDS;
+      if (next.orders.length < RULES.ORDERS.MAX_ACTIVE) {
+        events.push({ type: 'orderAdded', order: generateOrder(next) });
+      }
+    }
+  }
+
+  // move every crop price one step (mutates `next`); uses the state's generator
+  function driftPrices(next) {
+    const m = RULES.MARKET;
+    for (const id of Object.keys(next.market.prices)) {
+      const price = next.market.prices[id];
+      const moved = price + (1 - price) * m.REVERSION + (random(next) * 2 - 1) * m.DRIFT;
+      const clamped = Math.round(Math.min(m.MAX, Math.max(m.MIN, moved)) * 100) / 100;
+      next.market.prices[id] = clamped;
+      const history = next.market.history[id];
+      history.push(clamped);
+      if (history.length > m.HISTORY) history.splice(0, history.length - m.HISTORY);
+    }
+  }
+
+  // run the market clock; one pricesChanged event however many updates happened
+  function advanceMarket(next, seconds, events) {
+    next.market.timer -= seconds;
+    if (next.market.timer > 0) return;
+    while (next.market.timer <= 0) {
+      driftPrices(next);
+      next.market.timer += RULES.MARKET.UPDATE_SECONDS;
+    }
+    events.push({ type: 'pricesChanged', prices: clone(next.market.prices) });
+  }
+
+  // price factor for a crop type right now
+  function marketPrice(state, typeId) {
+    const price = state.market.prices[typeId];
+    return price === undefined ? 1 : price;
+  }
+
+  // coins the crop in barn `slot` sells for at today's price, or null if the slot is empty;
+  // the season counts as for a harvest, buildings do not: they buff their
+  // tiles, and a barn crop is off the field
+  function saleValue(state, slot) {
+    const crop = state.barn[slot];
+    if (!crop) return null;
+    const multiplier = harvestMultiplier(state) * seasonModifier(state, crop.id).value;
+    return Math.round(harvestValue(crop, multiplier) * marketPrice(state, crop.id));
+  }
+
+  function barnSlots(state) {
+    return upgradeEffect(state, 'barnSlots');
+  }
+
+  // -------- SEASONS / WEATHER --------
+
+  function currentSeason(state) {
+    return RULES.SEASONS.LIST[state.season.index];
+  }
+
+  // { growth, value } factors for `typeId` in the current season
+  function seasonModifier(state, typeId) {
+    const mod = cropType(typeId).seasons[currentSeason(state).id] || {};
+    return { growth: mod.growth || 1, value: mod.value || 1 };
+  }
+
+  // how fast a crop of `typeId` grows right now: season times weather
+  function growthModifier(state, typeId) {
+    return seasonModifier(state, typeId).growth * RULES.WEATHER[state.weather.id].growth;
+  }
+
+  // an event other than clear, chosen by weight
+  function pickWeather(next) {
+    const ids = Object.keys(RULES.WEATHER).filter(id => RULES.WEATHER[id].weight > 0);
+    let roll = random(next) * ids.reduce((sum, id) => sum + RULES.WEATHER[id].weight, 0);
+    for (const id of ids) {
+      roll -= RULES.WEATHER[id].weight;
+      if (roll < 0) return id;
+    }
+    return ids[ids.length - 1];
+  }
+
+  // end the current weather: clear spells are followed by an event and events by clear
+  function changeWeather(next, events) {
+    const id = next.weather.id === 'clear' ? pickWeather(next) : 'clear';
+    const [min, max] = RULES.WEATHER[id].seconds;
+    next.weather = { id, timeLeft: Math.round(min + random(next) * (max - min)) };
+    events.push({ type: 'weatherChanged', weather: id, seconds: next.weather.timeLeft });
+    if (id === 'storm' && !upgradeEffect(next, 'stormShelter')) stormStrike(next, events);
+  }
+
+  // each crop past its first stage may be knocked back to the start of the previous stage
+  function stormStrike(next, events) {
+    for (let i = 0; i < next.grid.length; i++) {
+      const crop = next.grid[i];
+      if (!crop || crop.stage < 2 || random(next) >= RULES.WEATHER.storm.damageChance) continue;
+      crop.stage -= 1;
+      crop.growthTime = growthTime(next, crop.id, crop.stage);
+      crop.timeLeft = crop.growthTime;
+      crop.fertilized = false;
+      events.push({ type: 'stormDamaged', index: i, crop });
+    }
+  }
+
+  // grow every crop by `seconds`, split where the season or weather changes
+  // so each part grows at the rate that applied then
+  function advanceClimate(next, seconds, events) {
+    let remaining = seconds;
+    while (remaining > 0) {
+      const step = Math.min(remaining, next.season.timeLeft, next.weather.timeLeft);
+      for (let i = 0; i < next.grid.length; i++) {
+        if (next.grid[i]) growInto(next, i, step * growthModifier(next, next.grid[i].id) * buildingBuff(next, i).growth, events);
+      }
+      remaining -= step;
+      next.season.timeLeft -= step;
+      next.weather.timeLeft -= step;
+      if (next.season.timeLeft <= 0) {
+        next.season = { index: (next.season.index + 1) % RULES.SEASONS.LIST.length, timeLeft: RULES.SEASONS.SECONDS };
+        events.push({ type: 'seasonChanged', season: currentSeason(next).id });
+      }
+      if (next.weather.timeLeft <= 0) changeWeather(next, events);
+    }
+  }
+
+  // -------- BUILDINGS --------
+
+  function buildingCost(state, buildingId) {
+    const def = RULES.BUILDINGS[buildingId];
+    const owned = state.buildings.filter(b => b && b.id === buildingId).length;
+    return Math.round(def.cost.base * Math.pow(def.cost.growth, owned));
+  }
+
+  // tiles a building on `index` reaches, not counting its own
+  function buildingArea(state, index, buildingId) {
+    const range = RULES.BUILDINGS[buildingId].range;
+    const col = index % state.cols;
+    const row = Math.floor(index / state.cols);
+    const area = [];
+    for (let r = Math.max(0, row - range); r <= Math.min(state.rows - 1, row + range); r++) {
+      for (let c = Math.max(0, col - range); c <= Math.min(state.cols - 1, col + range); c++) {
+        if (r !== row || c !== col) area.push(r * state.cols + c);
+      }
+    }
+    return area;
+  }
+
+  // combined effect of every building reaching tile `index`: { growth, value, replant }
+  function buildingBuff(state, index) {
+    const buff = { growth: 1, value: 1, replant: false };
+    state.buildings.forEach((b, at) => {
+      if (!b || buildingArea(state, at, b.id).indexOf(index) === -1) return;
+      const effect = RULES.BUILDINGS[b.id].effect;
+      buff.growth *= effect.growth || 1;
+      buff.value *= effect.value || 1;
+      buff.replant = buff.replant || !!effect.replant;
+    });
+    return buff;
+  }
+
+  function newCrop(state, typeId, level) {
+    const t = growthTime(state, typeId, 1);
+    return {
+      id: typeId,
+      level: level,
+      stage: 1,
+      maxStage: cropType(typeId).stages,
+      timeLeft: t, // seconds to next stage/mature
+      growthTime: t,
+      fertilized: false // the current stage grows twice as fast
+    };
+  }
+
+  // advance one crop (in place) by `seconds` of growth
+  // returns { stagesAdvanced, matured }
+  function advanceCrop(state, crop, seconds) {
+    const res = { stagesAdvanced: 0, matured: false };
+    let remaining = seconds;
+    // crops at max stage do not grow further
+    while (crop.stage < crop.maxStage && remaining > 0) {
+      const rate = crop.fertilized ? 2 : 1;
+      const step = Math.min(remaining * rate, crop.timeLeft);
+      crop.timeLeft -= step;
+      remaining -= step / rate;
+      if (crop.timeLeft <= 0) {
+        crop.fertilized = false;
+        crop.stage += 1;
+        res.stagesAdvanced += 1;
+        if (crop.stage < crop.maxStage) {
+          crop.growthTime = growthTime(state, crop.id, crop.stage);
+          crop.timeLeft = crop.growthTime;
+        } else {
+          crop.timeLeft = 0;
+          res.matured = true;
+        }
+      }
+    }
+    return res;
+  }
+
+  // -------- OPERATIONS --------
+
+  // level a bought seed of `typeId` starts at (Premium Seeds upgrade)
+  function seedLevel(state, typeId) {
+    const tcfg = cropType(typeId);
+    return Math.min(upgradeEffect(state, 'seedLevel'), tcfg ? tcfg.maxLevel : 1);
+  }
+
+  // plant a seed, paying its seedCost
+  function plant(state, index, typeId, level = seedLevel(state, typeId)) {
+    const tcfg = cropType(typeId);
+    if (!validIndex(state, index)) return rejected(state, 'plant', 'invalidTile', { index });
+    if (!tcfg) return rejected(state, 'plant', 'unknownCrop', { index, id: typeId });
+    if (!isUnlocked(state, typeId)) return rejected(state, 'plant', 'locked', { index, id: typeId });
+    if (!isFree(state, index)) return rejected(state, 'plant', 'occupied', { index });
+    if (state.coins < tcfg.seedCost) return rejected(state, 'plant', 'insufficientCoins', { index, id: typeId, cost: tcfg.seedCost });
+
+    const next = clone(state);
+    const crop = newCrop(next, typeId, level);
+    next.grid[index] = crop;
+    spend(next, tcfg.seedCost);
+    noteLevel(next, level);
+    count(next.stats.planted, typeId);
+    return finish(next, [{ type: 'planted', index, crop, cost: tcfg.seedCost }]);
+  }
+
+  // plant reward seed number `slot` from state.seeds, free of charge
+  function plantSeed(state, index, slot) {
+    if (!validIndex(state, index)) return rejected(state, 'plantSeed', 'invalidTile', { index });
+    if (!state.seeds[slot]) return rejected(state, 'plantSeed', 'noSeed', { index, slot });
+    if (!isFree(state, index)) return rejected(state, 'plantSeed', 'occupied', { index });
+
+    const next = clone(state);
+    const seed = next.seeds.splice(slot, 1)[0];
+    const crop = newCrop(next, seed.id, seed.level);
+    next.grid[index] = crop;
+    noteLevel(next, seed.level);
+    count(next.stats.planted, seed.id);
+    return finish(next, [{ type: 'planted', index, crop, cost: 0, seed: true }]);
+  }
+
+  // choose the default seed for quick planting
+  function selectCrop(state, typeId) {
+    if (!cropType(typeId)) return rejected(state, 'selectCrop', 'unknownCrop', { id: typeId });
+    if (!isUnlocked(state, typeId)) return rejected(state, 'selectCrop', 'locked', { id: typeId });
+
+    const next = clone(state);
+    next.selectedCrop = typeId;
+    return result(next, [{ type: 'cropSelected', id: typeId }]);
+  }
+
+  // move a crop onto an empty tile
+  function move(state, from, to) {
+    if (!validIndex(state, from) || !validIndex(state, to)) return rejected(state, 'move', 'invalidTile', { from, to });
+    if (!state.grid[from]) return rejected(state, 'move', 'empty', { from, to });
+    if (from === to) return rejected(state, 'move', 'sameTile', { from, to });
+    if (!isFree(state, to)) return rejected(state, 'move', 'occupied', { from, to });
+
+    const next = clone(state);
+    next.grid[to] = next.grid[from];
+    next.grid[from] = null;
+    return finish(next, [{ type: 'moved', from, to, crop: next.grid[to] }]);
+  }
+
+  // why tiles `from` and `to` cannot merge, or null if they can
+  function mergeProblem(state, from, to) {
+    if (!validIndex(state, from) || !validIndex(state, to)) return 'invalidTile';
+    if (from === to) return 'sameTile';
+    const a = state.grid[from];
+    const b = state.grid[to];
+    if (!a || !b) return 'empty';
+    if (a.id !== b.id || a.level !== b.level) return 'mismatch';
+    if (a.level >= cropType(a.id).maxLevel) return 'maxLevel';
+    return null;
+  }
+
+  // merges `from` into `to` on `next` (mutates); shared by merge and the auto-merger
+  // only two mature crops pay a bonus: merging seedlings would otherwise turn
+  // cheap (or free) seeds into coins without waiting for anything to grow
+  // coins for merging the crop on `from` into `to`: the merge bonus with the
+  // upgrade when both are fully grown, 0 otherwise, then the mergeBonus hooks;
+  // `crop` is the merged crop the hooks see
+  function mergePayout(state, from, to, crop, auto) {
+    const mature = [from, to].every(i => state.grid[i].stage >= state.grid[i].maxStage);
+    const base = mature ? Math.round(mergeBonus(crop.id, crop.level) * upgradeEffect(state, 'mergeBonus')) : 0;
+    return runHooks('mergeBonus', base, { state, from, to, crop, auto });
+  }
+
+  function mergeInto(next, from, to, auto, events) {
+    const newLevel = next.grid[from].level + 1;
+    const crop = newCrop(next, next.grid[from].id, newLevel); // merged crop restarts its stages
+    const bonus = mergePayout(next, from, to, crop, auto);
+    next.grid[to] = crop;
+    next.grid[from] = null;
+    earn(next, bonus);
+    next.stats.merges += 1;
+    count(next.stats.mergesByLevel, newLevel);
+    noteLevel(next, newLevel);
+    events.push({ type: 'merged', from, to, crop, bonus, auto });
+  }
+
+  function canMerge(state, from, to) {
+    return mergeProblem(state, from, to) === null;
+  }
+
+  // merge the crop on `from` into the crop on `to` (same id and level)
+  function merge(state, from, to) {
+    const problem = mergeProblem(state, from, to);
+    if (problem) return rejected(state, 'merge', problem, { from, to });
+
+    const next = clone(state);
+    const events = [];
+    mergeInto(next, from, to, false, events);
+    return finish(next, events);
+  }
+
+  // first pair the auto-merger may merge, as { from, to }, or null
+  // the later tile slides into the earlier one
+  function findAutoMerge(state) {
+    const settings = state.autoMerge;
+    for (let to = 0; to < state.grid.length; to++) {
+      const crop = state.grid[to];
+      if (!crop || settings.excluded.indexOf(crop.id) !== -1) continue;
+      if (settings.levelCap !== null && crop.level >= settings.levelCap) continue;
+      for (let from = to + 1; from < state.grid.length; from++) {
+        if (!mergeProblem(state, from, to)) return { from, to };
+      }
+    }
+    return null;
+  }
+
+  // run the auto-merger for `seconds`: one merge per interval while pairs remain
+  function advanceAutoMerger(next, seconds, events) {
+    const interval = upgradeEffect(next, 'autoMerger');
+    if (!interval) return;
+    next.autoMergeTimer -= seconds;
+    while (next.autoMergeTimer <= 0) {
+      const pair = findAutoMerge(next);
+      if (!pair) {
+        // nothing to merge: wait a full interval once a pair appears
+        next.autoMergeTimer = interval;
+        return;
+      }
+      mergeInto(next, pair.from, pair.to, true, events);
+      next.autoMergeTimer += interval;
+    }
+  }
+
+  // change which crops the auto-merger may use and the highest level it may create
+  // settings: { excluded?: [crop ids], levelCap?: integer >= 2 | null }
+  function configureAutoMerge(state, settings) {
+    const excluded = settings.excluded !== undefined ? settings.excluded : state.autoMerge.excluded;
+    const levelCap = settings.levelCap !== undefined ? settings.levelCap : state.autoMerge.levelCap;
+    if (!Array.isArray(excluded) || !excluded.every(id => cropType(id))) {
+      return rejected(state, 'configureAutoMerge', 'unknownCrop', { excluded });
+    }
+    if (levelCap !== null && (!Number.isInteger(levelCap) || levelCap < 2)) {
+      return rejected(state, 'configureAutoMerge', 'invalidLevelCap', { levelCap });
+    }
+
+    const next = clone(state);
+    next.autoMerge = { excluded: excluded.slice(), levelCap };
+    return result(next, [{ type: 'autoMergeConfigured', settings: clone(next.autoMerge) }]);
+  }
+
+  // barn settings: { harvestToBarn }
+  function configureBarn(state, settings) {
+    if (typeof settings.harvestToBarn !== 'boolean') {
+      return rejected(state, 'configureBarn', 'invalidSetting', { harvestToBarn: settings.harvestToBarn });
+    }
+    const next = clone(state);
+    next.harvestToBarn = settings.harvestToBarn;
+    return result(next, [{ type: 'barnConfigured', harvestToBarn: next.harvestToBarn }]);
+  }
+
+  // put the crop on `index` (growing or grown) into the barn
+  function storeCrop(state, index) {
+    if (!validIndex(state, index)) return rejected(state, 'storeCrop', 'invalidTile', { index });
+    if (!state.grid[index]) return rejected(state, 'storeCrop', 'empty', { index });
+    if (state.barn.length >= barnSlots(state)) return rejected(state, 'storeCrop', 'barnFull', { index });
+
+    const next = clone(state);
+    const events = [];
+    storeInto(next, index, false, events);
+    return finish(next, events);
+  }
+
+  // put the crop in barn `slot` back on the empty tile `index`; it grows on from where it was
+  function retrieveCrop(state, slot, index) {
+    if (!state.barn[slot]) return rejected(state, 'retrieveCrop', 'noItem', { slot, index });
+    if (!validIndex(state, index)) return rejected(state, 'retrieveCrop', 'invalidTile', { slot, index });
+    if (!isFree(state, index)) return rejected(state, 'retrieveCrop', 'occupied', { slot, index });
+
+    const next = clone(state);
+    const crop = next.barn.splice(slot, 1)[0];
+    next.grid[index] = crop;
+    return finish(next, [{ type: 'retrieved', slot, index, crop }]);
+  }
+
+  // sell the crop in barn `slot` at the current market price
+  function sellCrop(state, slot) {
+    if (!state.barn[slot]) return rejected(state, 'sellCrop', 'noItem', { slot });
+
+    const value = saleValue(state, slot);
+    const price = marketPrice(state, state.barn[slot].id);
+    const next = clone(state);
+    const crop = next.barn.splice(slot, 1)[0];
+    earn(next, value);
+    return finish(next, [{ type: 'sold', slot, crop, value, price }]);
+  }
+
+  // harvest the fully grown crop on `index`; a seedling pays nothing, or free
+  // carrot seeds would turn straight into coins
+  function collect(state, index) {
+    if (!validIndex(state, index)) return rejected(state, 'collect', 'invalidTile', { index });
+    const crop = state.grid[index];
+    if (!crop) return rejected(state, 'collect', 'empty', { index });
+    if (crop.stage < crop.maxStage) return rejected(state, 'collect', 'notMature', { index });
+
+    const next = clone(state);
+    const events = [];
+    harvestInto(next, index, false, events);
+    return finish(next, events);
+  }
+
+  function harvestInto(next, index, auto, events) {
+    const crop = next.grid[index];
+    const buff = buildingBuff(next, index);
+    if (next.harvestToBarn && next.barn.length < barnSlots(next)) {
+      count(next.stats.harvested, crop.id);
+      storeInto(next, index, auto, events);
+    } else {
+      const multiplier = harvestMultiplier(next) * seasonModifier(next, crop.id).value * buff.value;
+      const value = runHooks('harvestValue', harvestValue(crop, multiplier), { state: next, index, crop, auto });
+      earn(next, value);
+      count(next.stats.harvested, crop.id);
+      next.grid[index] = null;
+      events.push({ type: 'harvested', index, crop, value, auto });
+    }
+    if (buff.replant) replantInto(next, index, crop.id, events);
+  }
+
+  // compost bin: plant a new seed of `typeId` on the emptied tile, if affordable
+  function replantInto(next, index, typeId, events) {
+    const tcfg = cropType(typeId);
+    if (!isUnlocked(next, typeId) || next.coins < tcfg.seedCost) return;
+    const level = seedLevel(next, typeId);
+    const crop = newCrop(next, typeId, level);
+    next.grid[index] = crop;
+    spend(next, tcfg.seedCost);
+    noteLevel(next, level);
+    count(next.stats.planted, typeId);
+    events.push({ type: 'planted', index, crop, cost: tcfg.seedCost, auto: true });
+  }
+
+  // move the crop on `index` into the barn on `next` (mutates)
+  function storeInto(next, index, auto, events) {
+    const crop = next.grid[index];
+    next.grid[index] = null;
+    next.barn.push(crop);
+    events.push({ type: 'stored', index, slot: next.barn.length - 1, crop, auto });
+  }
+
+  // grow the crop on `index` by `seconds` on `next` (mutates), with its events
+  function growInto(next, index, seconds, events) {
+    const crop = next.grid[index];
+    const res = advanceCrop(next, crop, seconds);
+    if (res.stagesAdvanced > 0) {
+      events.push({ type: 'stageAdvanced', index, stage: crop.stage, crop });
+    }
+    if (res.matured) events.push({ type: 'matured', index, crop });
+  }
+
+  // run the auto harvester for `seconds`: every interval it collects all mature crops
+  function advanceAutoHarvester(next, seconds, events) {
+    if (!upgradeEffect(next, 'autoHarvester')) return;
+    next.autoHarvestTimer -= seconds;
+    if (next.autoHarvestTimer > 0) return;
+    next.autoHarvestTimer = upgradeEffect(next, 'autoHarvestSpeed');
+    for (let i = 0; i < next.grid.length; i++) {
+      const crop = next.grid[i];
+      if (crop && crop.stage >= crop.maxStage) harvestInto(next, i, true, events);
+    }
+  }
+
+  // seconds until the auto harvester or auto-merger next acts; Infinity without either
+  function nextAutoAction(next) {
+    let wait = Infinity;
+    if (upgradeEffect(next, 'autoHarvester')) wait = Math.min(wait, next.autoHarvestTimer);
+    if (upgradeEffect(next, 'autoMerger')) wait = Math.min(wait, next.autoMergeTimer);
+    return Math.max(0, wait);
+  }
+
+  // advance every crop by dt seconds (at the season and weather growth rate),
+  // running the auto harvester and merger whenever they are due: crops grow
+  // in slices that end at each of their rounds, so one long tick (time away,
+  // a debug warp) harvests and merges as often as the same time in 1s ticks
+  // options.offline: time away from the game, not counted as play time
+  function tick(state, dt, options = {}) {
+    if (!(dt > 0)) return result(state, []);
+    const next = clone(state);
+    const events = [];
+    if (!options.offline) next.stats.playTime += dt;
+    let remaining = dt;
+    while (remaining > 0) {
+      const step = Math.min(remaining, nextAutoAction(next));
+      advanceClimate(next, step, events);
+      advanceAutoHarvester(next, step, events);
+      advanceAutoMerger(next, step, events);
+      remaining -= step;
+    }
+    advanceOrders(next, dt, events);
+    advanceMarket(next, dt, events);
+    return finish(next, events);
+  }
+
+  // hand the mature crop on `index` to order `orderId`
+  // completing the order pays its reward: coins, or a seed added to state.seeds
+  function deliverOrder(state, index, orderId) {
+    if (!validIndex(state, index)) return rejected(state, 'deliverOrder', 'invalidTile', { index, orderId });
+    const crop = state.grid[index];
+    const order = state.orders.find(o => o.id === orderId);
+    if (!crop) return rejected(state, 'deliverOrder', 'empty', { index, orderId });
+    if (!order) return rejected(state, 'deliverOrder', 'unknownOrder', { index, orderId });
+    if (crop.id !== order.cropId || crop.level !== order.level) return rejected(state, 'deliverOrder', 'mismatch', { index, orderId });
+    if (crop.stage < crop.maxStage) return rejected(state, 'deliverOrder', 'notMature', { index, orderId });
+
+    const next = clone(state);
+    const target = next.orders.find(o => o.id === orderId);
+    next.grid[index] = null;
+    target.delivered += 1;
+    const events = [{ type: 'orderDelivered', index, crop, order: target }];
+    if (target.delivered >= target.qty) {
+      next.orders = next.orders.filter(o => o !== target);
+      if (target.reward.coins) earn(next, target.reward.coins);
+      if (target.reward.seed) next.seeds.push(Object.assign({}, target.reward.seed));
+      next.stats.ordersCompleted += 1;
+      events.push({ type: 'orderCompleted', order: target, reward: target.reward });
+    }
+    return finish(next, events);
+  }
+
+  // pay to grow the crop on `index` to maturity at once
+  function finishCrop(state, index) {
+    if (!validIndex(state, index)) return rejected(state, 'finishCrop', 'invalidTile', { index });
+    if (!state.grid[index]) return rejected(state, 'finishCrop', 'empty', { index });
+    const cost = finishCost(state, index);
+    if (cost === null) return rejected(state, 'finishCrop', 'notGrowing', { index });
+    if (state.coins < cost) return rejected(state, 'finishCrop', 'insufficientCoins', { index, cost });
+
+    const next = clone(state);
+    spend(next, cost);
+    const events = [{ type: 'boosted', kind: 'finish', index, cost }];
+    growInto(next, index, Infinity, events);
+    return finish(next, events);
+  }
+
+  // pay to make the current stage of the crop on `index` grow twice as fast
+  function fertilize(state, index) {
+    if (!validIndex(state, index)) return rejected(state, 'fertilize', 'invalidTile', { index });
+    const crop = state.grid[index];
+    if (!crop) return rejected(state, 'fertilize', 'empty', { index });
+    if (crop.stage >= crop.maxStage) return rejected(state, 'fertilize', 'notGrowing', { index });
+    if (crop.fertilized) return rejected(state, 'fertilize', 'alreadyFertilized', { index });
+    const cost = fertilizerCost(state, index);
+    if (state.coins < cost) return rejected(state, 'fertilize', 'insufficientCoins', { index, cost });
+
+    const next = clone(state);
+    spend(next, cost);
+    next.grid[index].fertilized = true;
+    return finish(next, [{ type: 'boosted', kind: 'fertilize', index, cost }]);
+  }
+
+  // pay to skip BOOST_ALL_SECONDS of growth on every growing crop
+  function boostAll(state) {
+    const cost = boostAllCost(state);
+    if (cost === null) return rejected(state, 'boostAll', 'notGrowing');
+    if (state.coins < cost) return rejected(state, 'boostAll', 'insufficientCoins', { cost });
+
+    const next = clone(state);
+    spend(next, cost);
+    const events = [{ type: 'boosted', kind: 'all', index: null, cost }];
+    for (let i = 0; i < next.grid.length; i++) {
+      const crop = next.grid[i];
+      if (crop && crop.stage < crop.maxStage) growInto(next, i, RULES.SPEED_UP.BOOST_ALL_SECONDS, events);
+    }
+    return finish(next, events);
+  }
+
+  // buy an extra column (added on the right) or row (added at the bottom)
+  // crops keep their row/column; indices are remapped to the wider grid
+  function expandGrid(state, axis) {
+    if (axis !== 'col' && axis !== 'row') return rejected(state, 'expandGrid', 'invalidAxis', { axis });
+    if (!canExpand(state, axis)) return rejected(state, 'expandGrid', 'maxSize', { axis });
+    const cost = expansionCost(state);
+    if (state.coins < cost) return rejected(state, 'expandGrid', 'insufficientCoins', { axis, cost });
+
+    const next = clone(state);
+    const cols = axis === 'col' ? state.cols + 1 : state.cols;
+    const rows = axis === 'row' ? state.rows + 1 : state.rows;
+    const grid = new Array(cols * rows).fill(null);
+    const buildings = new Array(cols * rows).fill(null);
+    for (let row = 0; row < state.rows; row++) {
+      for (let col = 0; col < state.cols; col++) {
+        grid[row * cols + col] = next.grid[row * state.cols + col];
+        buildings[row * cols + col] = next.buildings[row * state.cols + col];
+      }
+    }
+    next.grid = grid;
+    next.buildings = buildings;
+    next.cols = cols;
+    next.rows = rows;
+    spend(next, cost);
+    return finish(next, [{ type: 'gridExpanded', axis, cols, rows, cost }]);
+  }
+
+  // buy building `buildingId` and put it on the free tile `index`
+  function placeBuilding(state, buildingId, index) {
+    if (!RULES.BUILDINGS[buildingId]) return rejected(state, 'placeBuilding', 'unknownBuilding', { id: buildingId, index });
+    if (!validIndex(state, index)) return rejected(state, 'placeBuilding', 'invalidTile', { id: buildingId, index });
+    if (!isFree(state, index)) return rejected(state, 'placeBuilding', 'occupied', { id: buildingId, index });
+    const cost = buildingCost(state, buildingId);
+    if (state.coins < cost) return rejected(state, 'placeBuilding', 'insufficientCoins', { id: buildingId, index, cost });
+
+    const next = clone(state);
+    spend(next, cost);
+    next.buildings[index] = { id: buildingId };
+    return finish(next, [{ type: 'buildingPlaced', id: buildingId, index, cost }]);
+  }
+
+  // move a building onto a free tile; buildings never merge
+  function moveBuilding(state, from, to) {
+    if (!validIndex(state, from) || !validIndex(state, to)) return rejected(state, 'moveBuilding', 'invalidTile', { from, to });
+    if (!state.buildings[from]) return rejected(state, 'moveBuilding', 'empty', { from, to });
+    if (from === to) return rejected(state, 'moveBuilding', 'sameTile', { from, to });
+    if (!isFree(state, to)) return rejected(state, 'moveBuilding', 'occupied', { from, to });
+
+    const next = clone(state);
+    next.buildings[to] = next.buildings[from];
+    next.buildings[from] = null;
+    return finish(next, [{ type: 'buildingMoved', from, to, id: next.buildings[to].id }]);
+  }
+
+  // end the run: clear the farm, coins and upgrades for prestige points
+  // stats, achievements, unlocked crops and perks are permanent
+  function prestige(state) {
+    if (!canPrestige(state)) return rejected(state, 'prestige', 'notReady', { points: prestigePoints(state) });
+
+    const points = prestigePoints(state);
+    const fresh = createState(state.rng);
+    const next = clone(state);
+    for (const key of ['coins', 'cols', 'rows', 'grid', 'buildings', 'upgrades', 'barn', 'autoHarvestTimer', 'autoMergeTimer', 'seeds', 'orders', 'orderRefresh', 'nextOrderId', 'runCoinsEarned']) {
+      next[key] = fresh[key];
+    }
+    next.coins = perkBonus(next, 'startingCoins');
+    next.prestige.points += points;
+    next.prestige.count += 1;
+    return finish(next, [{ type: 'prestiged', points, total: next.prestige.points }]);
+  }
+
+  function buyPerk(state, perkId) {
+    const def = RULES.PERKS[perkId];
+    if (!def) return rejected(state, 'buyPerk', 'unknownPerk', { id: perkId });
+    if (state.prestige.perks[perkId] >= def.maxLevel) return rejected(state, 'buyPerk', 'maxLevel', { id: perkId });
+    const cost = perkCost(state, perkId);
+    if (state.prestige.points < cost) return rejected(state, 'buyPerk', 'insufficientPoints', { id: perkId, cost });
+
+    const next = clone(state);
+    next.prestige.points -= cost;
+    next.prestige.perks[perkId] += 1;
+    return finish(next, [{ type: 'perkPurchased', id: perkId, level: next.prestige.perks[perkId], cost }]);
+  }
+
+  // price of the next level of an upgrade, or null once it is maxed
+  function upgradeCost(state, upgradeId) {
+    const def = RULES.UPGRADES[upgradeId];
+    const level = state.upgrades[upgradeId];
+    if (level >= def.maxLevel) return null;
+    return Math.round(def.cost.base * Math.pow(def.cost.growth, level));
+  }
+
+  // upgrades (with the level needed) still missing before `upgradeId` can be bought
+  function missingRequirements(state, upgradeId) {
+    const requires = RULES.UPGRADES[upgradeId].requires;
+    return Object.keys(requires)
+      .filter(id => state.upgrades[id] < requires[id])
+      .map(id => ({ id, level: requires[id] }));
+  }
+
+  // why `upgradeId` cannot be bought right now, or null if it can
+  function upgradeProblem(state, upgradeId) {
+    if (!RULES.UPGRADES[upgradeId]) return 'unknownUpgrade';
+    const cost = upgradeCost(state, upgradeId);
+    if (cost === null) return 'maxLevel';
+    if (missingRequirements(state, upgradeId).length) return 'requires';
+    if (state.coins < cost) return 'insufficientCoins';
+    return null;
+  }
+
+  function buyUpgrade(state, upgradeId) {
+    const problem = upgradeProblem(state, upgradeId);
+    if (problem === 'unknownUpgrade') return rejected(state, 'buyUpgrade', problem, { id: upgradeId });
+    if (problem === 'requires') {
+      return rejected(state, 'buyUpgrade', problem, { id: upgradeId, missing: missingRequirements(state, upgradeId) });
+    }
+    if (problem) return rejected(state, 'buyUpgrade', problem, { id: upgradeId, cost: upgradeCost(state, upgradeId) });
+
+    const cost = upgradeCost(state, upgradeId);
+    const next = clone(state);
+    spend(next, cost);
+    next.upgrades[upgradeId] += 1;
+    // a faster machine starts its next round on the new schedule
+    if (upgradeId === 'autoMerger') next.autoMergeTimer = upgradeEffect(next, 'autoMerger');
+    if (upgradeId === 'autoHarvestSpeed') next.autoHarvestTimer = Math.min(next.autoHarvestTimer, upgradeEffect(next, 'autoHarvestSpeed'));
+    return finish(next, [{ type: 'upgradePurchased', id: upgradeId, level: next.upgrades[upgradeId], cost }]);
+  }
+
+  return {
+    RULES,
+    ContentError,
+    loadContentPack,
+    addHook,
+    createState,
+    cropType,
+    achievement,
+    isUnlocked,
+    upgradeEffect,
+    growthSpeed,
+    harvestMultiplier,
+    growthTime,
+    timeToMature,
+    cropTimeLeft,
+    finishCost,
+    fertilizerCost,
+    boostAllCost,
+    seedLevel,
+    prestigePoints,
+    canPrestige,
+    perkCost,
+    marketPrice,
+    saleValue,
+    barnSlots,
+    currentSeason,
+    seasonModifier,
+    growthModifier,
+    isFree,
+    buildingCost,
+    buildingArea,
+    buildingBuff,
+    expansionCost,
+    upgradeCost,
+    missingRequirements,
+    upgradeProblem,
+    canExpand,
+    harvestValue,
+    mergeBonus,
+    mergePayout,
+    plant,
+    plantSeed,
+    selectCrop,
+    move,
+    canMerge,
+    merge,
+    configureAutoMerge,
+    configureBarn,
+    storeCrop,
+    retrieveCrop,
+    sellCrop,
+    collect,
+    tick,
+    deliverOrder,
+    finishCrop,
+    fertilize,
+    boostAll,
+    expandGrid,
+    placeBuilding,
+    moveBuilding,
+    buyUpgrade,
+    prestige,
+    buyPerk
+  };
+});
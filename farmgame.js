@@ -0,0 +1,168 @@
+/* farmgame.js
+   Idle Merge Farm — event bus and plugin API (window.FarmGame)
+   - typed events: every event name and its payload fields are listed in
+     EVENTS; emitting or listening to anything else throws
+   - listeners get a copy of the payload and cannot break the game: an
+     error in one is logged and the rest still run
+   - plugins register with registerPlugin({ id, init(api) }) from script
+     files listed in CONFIG.PLUGIN_URLS (main.js)
+   Loaded as a browser global (FarmGame) or via require('./farmgame').
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'));
+  } else {
+    root.FarmGame = factory(root.FarmEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FarmEngine) {
+  'use strict';
+
+  // event name -> payload fields
+  const EVENTS = {
+    planted: ['index', 'crop', 'cost'],
+    stageAdvanced: ['index', 'stage', 'crop'],
+    matured: ['index', 'crop'],
+    harvested: ['index', 'crop', 'value', 'auto'],
+    merged: ['from', 'to', 'crop', 'bonus', 'auto'],
+    moved: ['from', 'to', 'crop'],
+    buildingPlaced: ['id', 'index', 'cost'],
+    buildingMoved: ['from', 'to', 'id'],
+    coinsChanged: ['coins', 'delta'],
+    upgradePurchased: ['id', 'level', 'cost'],
+    boosted: ['kind', 'index', 'cost'],
+    stored: ['index', 'slot', 'crop', 'auto'],
+    retrieved: ['slot', 'index', 'crop'],
+    sold: ['slot', 'crop', 'value', 'price'],
+    pricesChanged: ['prices'],
+    seasonChanged: ['season'],
+    weatherChanged: ['weather', 'seconds'],
+    stormDamaged: ['index', 'crop'],
+    gridExpanded: ['axis', 'cols', 'rows', 'cost'],
+    orderAdded: ['order'],
+    orderExpired: ['order'],
+    orderDelivered: ['index', 'crop', 'order'],
+    orderCompleted: ['order', 'reward'],
+    achievementUnlocked: ['id', 'name'],
+    cropUnlocked: ['id'],
+    prestiged: ['points', 'total'],
+    perkPurchased: ['id', 'level', 'cost'],
+    rejected: ['action', 'reason'],
+    saved: ['savedAt'],
+    loaded: ['savedAt', 'offline']
+  };
+
+  function checkType(type) {
+    if (!Object.prototype.hasOwnProperty.call(EVENTS, type)) {
+      throw new TypeError(`unknown event "${type}"`);
+    }
+  }
+
+  // emitter restricted to the event names in EVENTS
+  function createEventBus() {
+    const listeners = {};
+
+    function on(type, fn) {
+      checkType(type);
+      if (typeof fn !== 'function') throw new TypeError(`listener for "${type}" must be a function`);
+      (listeners[type] = listeners[type] || []).push(fn);
+      return () => off(type, fn);
+    }
+
+    function off(type, fn) {
+      checkType(type);
+      const list = listeners[type] || [];
+      const i = list.indexOf(fn);
+      if (i !== -1) list.splice(i, 1);
+    }
+
+    function once(type, fn) {
+      const remove = on(type, payload => {
+        remove();
+        fn(payload);
+      });
+      return remove;
+    }
+
+    function emit(type, payload) {
+      checkType(type);
+      const missing = EVENTS[type].filter(field => !payload || !(field in payload));
+      if (missing.length) throw new TypeError(`event "${type}" is missing: ${missing.join(', ')}`);
+      // copy the list so listeners may unsubscribe while it runs
+      for (const fn of (listeners[type] || []).slice()) {
+        try {
+          fn(JSON.parse(JSON.stringify(payload)));
+        } catch (e) {
+          console.error(`FarmGame: "${type}" listener failed`, e);
+        }
+      }
+    }
+
+    return { on, off, once, emit };
+  }
+
+  const bus = createEventBus();
+  const plugins = [];
+  // provided by the game once it runs: getState() and notify(message)
+  let host = { getState: () => null, notify: () => {} };
+
+  // the object handed to each plugin's init()
+  function pluginApi(plugin) {
+    return {
+      on: bus.on,
+      off: bus.off,
+      once: bus.once,
+      addHook: FarmEngine.addHook,
+      engine: FarmEngine,
+      // a copy of the current game state, or null before the game starts
+      getState: () => {
+        const state = host.getState();
+        return state ? JSON.parse(JSON.stringify(state)) : null;
+      },
+      notify: message => host.notify(`[${plugin.name || plugin.id}] ${message}`)
+    };
+  }
+
+  // plugin: { id, name?, init(api) }
+  function registerPlugin(plugin) {
+    if (!plugin || typeof plugin.id !== 'string' || typeof plugin.init !== 'function') {
+      throw new TypeError('plugin must be { id: string, init(api) }');
+    }
+    if (plugins.some(p => p.id === plugin.id)) throw new Error(`plugin "${plugin.id}" is already registered`);
+    plugin.init(pluginApi(plugin));
+    plugins.push(plugin);
+  }
+
+  function attach(hooks) {
+    host = Object.assign({}, host, hooks);
+  }
+
+  // load plugin scripts one after another; a script that fails to load is
+  // reported and skipped. Resolves with the URLs that failed.
+  function loadPlugins(urls) {
+    const failed = [];
+    return urls.reduce((chain, url) => chain.then(() => new Promise(resolve => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.onload = resolve;
+      script.onerror = () => {
+        console.warn(`FarmGame: plugin "${url}" failed to load`);
+        failed.push(url);
+        resolve();
+      };
+      document.head.appendChild(script);
+    })), Promise.resolve()).then(() => failed);
+  }
+
+  return {
+    EVENTS,
+    createEventBus,
+    on: bus.on,
+    off: bus.off,
+    once: bus.once,
+    emit: bus.emit,
+    registerPlugin,
+    plugins: () => plugins.map(p => p.id),
+    attach,
+    loadPlugins
+  };
+});
@@ -0,0 +1,194 @@
+/* i18n.js
+   Idle Merge Farm — player-facing text (FarmI18n)
+   - string tables are flat JSON objects in locales/<language>.json mapping a
+     key to a message, or to { one, other, ... } forms for plural messages
+   - {name} placeholders are filled from params; numbers get the language's
+     digit grouping and {name:compact} shortens them (1.2K, 3.4M); dates
+     and lists are formatted the language's way too
+   - plural messages pick their form from params.count (Intl.PluralRules)
+   - a key the chosen language lacks falls back to English, then to the key
+     itself; in dev mode each missing key is warned about once
+   - the chosen language is kept in localStorage
+   Loaded as a browser global (FarmI18n) or via require('./i18n').
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FarmI18n = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const LANGUAGE_KEY = 'idleMergeFarm_language';
+  const DEFAULT_LANGUAGE = 'en';
+  // shipped string tables: language code -> its name in that language
+  const LANGUAGES = { en: 'English', de: 'Deutsch' };
+  // compact number keys, one per power of 1000
+  const COMPACT_KEYS = ['number.thousand', 'number.million', 'number.billion', 'number.trillion'];
+  const PLACEHOLDER = /\{(\w+)(?::(\w+))?\}/g;
+
+  function own(obj, key) {
+    return Object.prototype.hasOwnProperty.call(obj, key);
+  }
+
+  function isLanguage(code) {
+    return typeof code === 'string' && own(LANGUAGES, code);
+  }
+
+  // the stored choice, else the first supported browser language, else English
+  // preferred: language tags such as navigator.languages ('de-AT', 'en')
+  function loadLanguage(storage, preferred = []) {
+    let stored = null;
+    try {
+      stored = storage.getItem(LANGUAGE_KEY);
+    } catch (e) {
+      // storage blocked: fall through to the browser languages
+    }
+    if (isLanguage(stored)) return stored;
+    for (const tag of preferred) {
+      const code = String(tag).toLowerCase().split('-')[0];
+      if (isLanguage(code)) return code;
+    }
+    return DEFAULT_LANGUAGE;
+  }
+
+  function saveLanguage(storage, code) {
+    if (!isLanguage(code)) throw new Error(`unknown language "${code}"`);
+    try {
+      storage.setItem(LANGUAGE_KEY, code);
+    } catch (e) {
+      console.warn('Language not saved', e);
+    }
+  }
+
+  // sorted placeholder names used anywhere in a message or its plural forms
+  function placeholders(message) {
+    const forms = typeof message === 'string' ? [message] : Object.values(message);
+    const names = new Set();
+    for (const form of forms) {
+      for (const m of String(form).matchAll(PLACEHOLDER)) names.add(m[1]);
+    }
+    return [...names].sort();
+  }
+
+  // every way `table` falls short of `reference` (the English table):
+  // missing or unknown keys, plural messages without an 'other' form and
+  // placeholders that differ. An empty list means the table is complete.
+  function compareTables(reference, table) {
+    const problems = [];
+    for (const key of Object.keys(reference)) {
+      if (!own(table, key)) {
+        problems.push(`${key}: missing`);
+        continue;
+      }
+      const message = table[key];
+      if (typeof message !== 'string' && (!message || typeof message.other !== 'string')) {
+        problems.push(`${key}: needs a string or plural forms with "other"`);
+        continue;
+      }
+      const expected = placeholders(reference[key]).join(', ');
+      const actual = placeholders(message).join(', ');
+      if (expected !== actual) problems.push(`${key}: placeholders {${actual}} instead of {${expected}}`);
+    }
+    for (const key of Object.keys(table)) {
+      if (!own(reference, key)) problems.push(`${key}: not an English key`);
+    }
+    return problems;
+  }
+
+  // tables: language code -> string table; English is the fallback
+  // options.dev warns about missing keys; options.warn replaces console.warn
+  function createTranslator(language, tables, options = {}) {
+    const table = tables[language] || {};
+    const fallback = tables[DEFAULT_LANGUAGE] || {};
+    const warn = options.warn || (message => console.warn(message));
+    const missing = new Set();
+    const numberFormat = new Intl.NumberFormat(language, { maximumFractionDigits: 2 });
+    const compactFormat = new Intl.NumberFormat(language, { maximumFractionDigits: 1 });
+    const pluralRules = new Intl.PluralRules(language);
+    const dateTimeFormat = new Intl.DateTimeFormat(language, { dateStyle: 'short', timeStyle: 'short' });
+
+    function lookup(key) {
+      if (own(table, key)) return table[key];
+      if (!missing.has(key)) {
+        missing.add(key);
+        if (options.dev) warn(`FarmI18n: "${key}" is missing from the ${language} strings`);
+      }
+      return own(fallback, key) ? fallback[key] : null;
+    }
+
+    function number(n) {
+      return numberFormat.format(n);
+    }
+
+    // 1234 -> "1.2K"; rounded down, so a price never reads as more than it is
+    function compact(n) {
+      const sign = n < 0 ? '-' : '';
+      let value = Math.abs(n);
+      if (value < 1000) return sign + number(Math.floor(value));
+      let step = -1;
+      while (step < COMPACT_KEYS.length - 1 && value >= 1000) {
+        value /= 1000;
+        step++;
+      }
+      return sign + t(COMPACT_KEYS[step], { value: compactFormat.format(Math.floor(value * 10 + 1e-9) / 10) });
+    }
+
+    // key + params -> text; unknown placeholders are left as they are
+    function t(key, params = {}) {
+      let message = lookup(key);
+      if (message === null) return key;
+      if (typeof message !== 'string') {
+        message = message[pluralRules.select(Number(params.count) || 0)] || message.other;
+      }
+      return message.replace(PLACEHOLDER, (whole, name, style) => {
+        if (!own(params, name)) return whole;
+        const value = params[name];
+        if (typeof value !== 'number') return String(value);
+        return style === 'compact' ? compact(value) : number(value);
+      });
+    }
+
+    function has(key) {
+      return own(table, key) || own(fallback, key);
+    }
+
+    // ['Corn', 'Tomato'] -> "Corn and Tomato"
+    function list(items) {
+      if (typeof Intl.ListFormat === 'function') {
+        return new Intl.ListFormat(language, { type: 'conjunction' }).format(items);
+      }
+      return items.join(', ');
+    }
+
+    // ms timestamp -> short local date and time, e.g. "5/12/26, 2:03 PM"
+    function dateTime(ms) {
+      return dateTimeFormat.format(new Date(ms));
+    }
+
+    return {
+      language,
+      t,
+      has,
+      number,
+      compact,
+      list,
+      dateTime,
+      // keys looked up so far that the chosen language lacks
+      missing: () => [...missing]
+    };
+  }
+
+  return {
+    LANGUAGE_KEY,
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    isLanguage,
+    loadLanguage,
+    saveLanguage,
+    placeholders,
+    compareTables,
+    createTranslator
+  };
+});
@@ -2,35 +2,68 @@
    Idle Merge Farm — Phaser 3
    Features:
    - grid of tiles, plant crops (different types & levels)
-   - growth stages with timers
+   - seed picker with per-crop seed costs; crops unlock at milestones
+   - growth stages with timers: level badge, growth bar and ready glow on each crop
    - drag-to-merge (same type & level => merged into next level)
    - harvest for coins (auto-harvest upgrade)
-   - upgrades shop (faster growth, auto-harvester)
+   - auto-merger upgrade with per-crop and level-cap settings
+   - order board: drag mature crops onto timed orders for rewards
+   - upgrades shop (faster growth, auto-harvester, farm expansions)
+   - lifetime statistics and achievements (stats tab in the side panel)
+   - prestige: restart the farm for points that buy permanent perks
+   - keyboard play (tile cursor, pick up/drop, shortcuts) and an ARIA
+     live region that mirrors status messages for screen readers
+   - sound effects and looping music (audio.js) with volume settings
    - save/load (localStorage), export/import JSON
+   - offline progress with a "while you were away" summary
    - fallback graphics when asset files are missing
+   - responsive layout: re-layouts on resize/rotation; on narrow screens
+     orders move below the board and the side panel becomes a drawer
+   - touch: tap to plant/harvest, long-press a crop for info, forgiving drops
+   - crop types defined in a JSON content pack (content/crops.json)
+   - event bus and plugin hooks for scripts (farmgame.js, window.FarmGame)
+   - player-facing text from string tables (i18n.js, locales/) with a
+     language setting; large coin amounts are shortened (1.2K, 3.4M)
+   Game rules live in engine.js (FarmEngine); this file renders the
+   engine state and forwards input to it.
 */
 
 // -------- CONFIG --------
 const CONFIG = {
-  GRID_SIZE: 4,
-  TILE_SIZE: 96,
+  TILE_SIZE: 96, // largest tile size; bigger farms shrink tiles to fit
   TILE_SPACING: 16,
+  BOARD_TOP: 112, // top edge of the first tile row
+  BOARD_RIGHT_INSET: 250, // keep the board clear of the side panel
+  ORDER_BOARD_WIDTH: 190, // order column between the board and the side panel
+  NARROW_WIDTH: 720, // below this orders sit under the board (index.html turns the panel into a drawer at the same width)
+  ORDER_STRIP_HEIGHT: 110, // room for the order row on narrow screens
+  FALLBACK_TEXTURE_SIZE: 128, // px of generated crop textures (scaled to the tile)
+  TOUCH_DROP_TOLERANCE: 24, // px around a tile that still counts as a touch drop on it
+  DRAG_THRESHOLD: 8, // px a pointer must move before a press becomes a drag
+  LONG_PRESS_MS: 500, // hold a crop this long to show its info
   AUTO_SAVE_INTERVAL: 10000, // ms
-  SAVE_KEY: 'idleMergeFarm_v1',
-  CROP_TYPES: [
-    { id: 'carrot', baseValue: 1, color: 0xff8c42 },
-    { id: 'corn', baseValue: 2, color: 0xffdf5a },
-    { id: 'tomato', baseValue: 3, color: 0xff5a6b }
-  ],
-  INITIAL_GROWTH_SECONDS: 12
+  OFFLINE_MAX_SECONDS: 8 * 3600, // cap on how much time away counts
+  OFFLINE_MIN_SECONDS: 60, // shorter absences are applied silently
+  CONTENT_PACK_URL: 'content/crops.json',
+  LOCALE_URL: 'locales/{language}.json', // string tables, see i18n.js
+  DEBUG_SCRIPT_URL: 'debug.js', // loaded on demand: ?debug in the URL or Ctrl+Shift+D
+  PLUGIN_URLS: [], // plugin scripts, loaded in order before the game starts (see farmgame.js)
+  SAVE_KEY: 'idleMergeFarm', // save slot keys start with it (see slots.js); the format version lives inside each save
+  LEGACY_SAVE_KEYS: ['idleMergeFarm_v1'], // adopted as the first slot when SAVE_KEY is empty
+  SAVE_FILE_NAME: 'idle-merge-farm-{slot}-{date}.json' // downloaded saves
 };
+const RULES = FarmEngine.RULES;
 
 // -------- BOILERPLATE / PHASER SETUP --------
 const config = {
   type: Phaser.AUTO,
-  width: Math.max(window.innerWidth, 800),
-  height: Math.max(window.innerHeight, 600),
   parent: 'game-container',
+  // the canvas follows the size of #game-container (the whole viewport)
+  scale: {
+    mode: Phaser.Scale.RESIZE,
+    width: window.innerWidth,
+    height: window.innerHeight
+  },
   backgroundColor: 0x88c070,
   scene: {
     preload: preload,
@@ -39,20 +72,83 @@ const config = {
   }
 };
 
-let game = new Phaser.Game(config);
+let game = null;
 
 // -------- GLOBAL STATE --------
-let state = {
-  coins: 0,
-  grid: [], // array of tile objects {x,y,tileSprite,crop?}
-  upgrades: {
-    growthSpeedMultiplier: 1.0,
-    autoHarvester: false
-  }
-};
+// engine state (plain data, see engine.js); replaced on every engine operation
+let state = null;
+
+// view state: tile sprites, crop sprites and building sprites, indexed like state.grid
+let tiles = []; // {sprite, x, y, index}
+let cropSprites = [];
+let buildingSprites = [];
+let placingBuilding = null; // building id picked in the shop, placed by the next tile click
+let layout = { tileSize: CONFIG.TILE_SIZE, spacing: CONFIG.TILE_SPACING, offsetX: 0, offsetY: 0, orders: null };
+// when the tab was hidden, or null; Phaser stops the farm then, so saves made
+// while hidden carry this time and offline credit starts from it
+let hiddenAt = null;
 
 // UI handles
-let coinText, infoText, shopContainer, exportArea;
+let coinText, climateText, infoText, shopContainer, exportArea, background;
+let audio = null; // FarmAudio manager, created with the scene
+let i18n = null; // FarmI18n translator for the chosen language, set before the game starts
+let slots = null; // FarmSlots store of the save slots and their backups
+let tickTimer = null; // the once-a-second onTick timer; its timeScale is the tick speed
+
+function fetchJson(url) {
+  return fetch(url).then(res => {
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  });
+}
+
+// boot: the crop content pack and the string tables must load before the game can start
+function boot() {
+  fetchJson(CONFIG.CONTENT_PACK_URL)
+    .then(pack => FarmEngine.loadContentPack(pack))
+    .catch(e => {
+      console.error('Content pack failed to load', e);
+      throw new Error(`Could not load crop content pack "${CONFIG.CONTENT_PACK_URL}": ${e.message}`);
+    })
+    .then(() => loadStrings(FarmI18n.loadLanguage(localStorage, navigator.languages || [])))
+    // plugins load after the content pack so they can read crop types
+    .then(() => FarmGame.loadPlugins(CONFIG.PLUGIN_URLS))
+    .then(() => {
+      state = FarmEngine.createState();
+      game = new Phaser.Game(config);
+    })
+    .catch(e => showBootError(e.message));
+}
+
+// string tables fetched so far, by language code
+const stringTables = {};
+
+// fetch the English fallback and `language` (once each), then translate with them
+function loadStrings(language) {
+  const wanted = [FarmI18n.DEFAULT_LANGUAGE, language].filter((code, i, all) => !stringTables[code] && all.indexOf(code) === i);
+  return Promise.all(wanted.map(code => {
+    const url = CONFIG.LOCALE_URL.replace('{language}', code);
+    return fetchJson(url)
+      .then(table => { stringTables[code] = table; })
+      .catch(e => { throw new Error(`Could not load strings "${url}": ${e.message}`); });
+  })).then(() => {
+    const dev = isDevMode();
+    i18n = FarmI18n.createTranslator(language, stringTables, { dev });
+    document.documentElement.lang = language;
+    // dev mode lists everything the table lacks up front, not only keys shown so far
+    const problems = dev ? FarmI18n.compareTables(stringTables[FarmI18n.DEFAULT_LANGUAGE], stringTables[language]) : [];
+    if (problems.length) console.warn(`FarmI18n: ${language} strings are incomplete\n` + problems.join('\n'));
+  });
+}
+
+function showBootError(msg) {
+  const el = document.createElement('div');
+  el.id = 'boot-error';
+  el.textContent = msg;
+  document.body.appendChild(el);
+}
+
+boot();
 
 // preload: try to load assets; if not available, shapes will be drawn later
 function preload() {
@@ -60,14 +156,17 @@ function preload() {
   this.load.image('farm_bg', 'assets/farm_bg.png');
   this.load.image('tile', 'assets/tile.png');
 
-  // Crops: multiple stages per type+level (we'll load at least one per type)
-  for (let t of CONFIG.CROP_TYPES) {
-    this.load.image(t.id + '_1', `assets/${t.id}_1.png`);
-    this.load.image(t.id + '_2', `assets/${t.id}_2.png`);
-    this.load.image(t.id + '_3', `assets/${t.id}_3.png`);
+  // Crops: one texture per growth stage, named by the content pack
+  for (let t of RULES.CROP_TYPES) {
+    for (let stage = 1; stage <= t.stages; stage++) {
+      const key = cropTextureKey(t, stage);
+      this.load.image(key, `assets/${key}.png`);
+    }
   }
 
   this.load.image('coin', 'assets/coin.png');
+  // sound effects and music; synthesized tones stand in for missing files
+  FarmAudio.preload(this);
   // small ui icons (optional)
   this.load.image('btn_plus', 'assets/btn_plus.png');
 }
@@ -77,72 +176,71 @@ function create() {
   const scene = this;
 
   // background: prefer image, else a tiled color rectangle
-  if (this.textures.exists('farm_bg')) {
-    let bg = this.add.image(config.width/2, config.height/2, 'farm_bg');
-    bg.setDisplaySize(config.width, config.height);
-  } else {
-    // fallback: gradient rectangle
-    let g = this.add.graphics();
-    g.fillStyle(0x9dd977, 1);
-    g.fillRect(0, 0, config.width, config.height);
-  }
+  background = this.textures.exists('farm_bg') ? this.add.image(0, 0, 'farm_bg') : this.add.graphics();
+  drawBackground();
 
   // top coin text & controls container
-  coinText = this.add.text(16, 70, 'Coins: 0', { fontSize: '26px', fill:'#ffffff', stroke:'#000', strokeThickness:3 });
+  coinText = this.add.text(16, 70, '', { fontSize: '26px', fill:'#ffffff', stroke:'#000', strokeThickness:3 });
+  // season and weather with their countdowns, kept just right of the coins
+  climateText = this.add.text(0, 76, '', { fontSize: '16px', fill:'#ffffff', stroke:'#000', strokeThickness:3 });
 
-  infoText = this.add.text(16, 100, 'Click a tile to plant. Drag crops onto each other to merge same level.', { fontSize: '14px', fill:'#fff' });
+  infoText = this.add.text(16, 100, tr('hint.info'), { fontSize: '14px', fill:'#fff' });
 
   // build grid
-  const gridSize = CONFIG.GRID_SIZE;
-  const tsize = CONFIG.TILE_SIZE;
-  const spacing = CONFIG.TILE_SPACING;
-  const totalWidth = gridSize * tsize + (gridSize-1) * spacing;
-  const offsetX = (config.width - totalWidth) / 2 + tsize/2;
-  const offsetY = 160;
+  tiles = [];
+  cropSprites = [];
+  renderBoard(scene);
 
-  // container to hold tiles for input ordering
-  state.grid = [];
-  for (let row = 0; row < gridSize; row++) {
-    for (let col = 0; col < gridSize; col++) {
-      const x = offsetX + col * (tsize + spacing);
-      const y = offsetY + row * (tsize + spacing);
+  // taps, long-presses and drags on crops; hovers, taps and drags on buildings
+  setupCropInput(scene);
+  setupBuildingInput(scene);
+  // small moves stay taps, so tapping a crop on a phone does not start a drag
+  this.input.dragDistanceThreshold = CONFIG.DRAG_THRESHOLD;
 
-      let tileSprite;
-      if (this.textures.exists('tile')) {
-        tileSprite = this.add.image(x, y, 'tile').setInteractive({ useHandCursor: true });
-        tileSprite.setDisplaySize(tsize, tsize);
-      } else {
-        // fallback: draw tile
-        tileSprite = this.add.rectangle(x,y, tsize, tsize, 0xcddeab).setStrokeStyle(2, 0x8aa85a).setInteractive();
-      }
+  // window resize / phone rotation: re-layout once the size settles
+  let resizeTimer = null;
+  this.scale.on('resize', () => {
+    if (resizeTimer) resizeTimer.remove();
+    resizeTimer = scene.time.delayedCall(100, () => {
+      resizeTimer = null;
+      drawBackground();
+      renderBoard(scene);
+      updatePanelMode();
+    });
+  });
 
-      tileSprite.setData('col', col);
-      tileSprite.setData('row', row);
-      tileSprite.setData('crop', null);
-      tileSprite.on('pointerdown', () => onTileClicked(scene, tileSprite));
-      state.grid.push({ sprite: tileSprite, x, y, crop: null });
-    }
-  }
+  // plugins read the live state and post messages through the info line
+  FarmGame.attach({ getState: () => state, notify: flashInfo });
 
-  // drag group: crops will be sprites that are interactive & draggable
-  this.input.setDraggable([]);
+  // sound: settings come from localStorage, music waits for the first gesture
+  audio = FarmAudio.create(scene, FarmAudio.loadSettings(localStorage));
+  audio.startMusic();
+
+  // keyboard play: tile cursor, pick up/drop and panel shortcuts
+  setupKeyboard(scene);
+  setupDebug(scene);
 
   // timer: each second tick progress growth of crops
-  this.time.addEvent({
+  tickTimer = this.time.addEvent({
     delay: 1000,
     loop: true,
     callback: onTick,
     callbackScope: this
   });
 
-  // coin sprite for fly-to-counter animation
-  this.coinPool = this.add.group();
+  // save slots; the first open adopts the save from before there were slots
+  slots = FarmSlots.open(localStorage, {
+    prefix: CONFIG.SAVE_KEY,
+    legacyKeys: CONFIG.LEGACY_SAVE_KEYS,
+    firstName: tr('saves.defaultName', { n: 1 })
+  });
 
   // shop / side-panel UI (DOM overlay)
-  createShopUI();
+  createShopUI(scene);
+  setupBarnDrop(scene);
 
-  // load saved game if present
-  loadGame();
+  // load the active slot if it has a save, crediting the time since it was last active
+  loadGame(false, true);
 
   // autosave interval
   setInterval(() => {
@@ -151,6 +249,19 @@ function create() {
 
   // save on unload
   window.addEventListener('beforeunload', saveGame);
+
+  // Phaser pauses its clock while the tab is hidden: credit that time on return
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      hiddenAt = Date.now();
+      saveGame();
+    } else if (hiddenAt) {
+      const since = hiddenAt;
+      // cleared first, so the save after the credit carries the current time
+      hiddenAt = null;
+      applyOfflineProgress(scene, since);
+    }
+  });
 }
 
 // update loop
@@ -158,514 +269,2246 @@ function update(time, dt) {
   // nothing heavy in update; animations handled separately
 }
 
-// ---------------- GAME MECHANICS ----------------
+// ---------------- BOARD LAYOUT ----------------
 
-function onTileClicked(scene, tileSprite) {
-  // if tile is empty: open quick-plant menu (for simplicity pick a default type or cycle through types)
-  const tile = state.grid.find(g => g.sprite === tileSprite);
-  if (!tile) return;
+function isNarrow() {
+  return game.scale.width < CONFIG.NARROW_WIDTH;
+}
 
-  if (!tile.crop) {
-    // show small menu: for simplicity, plant default carrot by clicking
-    plantCropAt(scene, tile, CONFIG.CROP_TYPES[0].id);
+// stretch the background over the current canvas size
+function drawBackground() {
+  const { width, height } = game.scale;
+  if (background.type === 'Image') {
+    background.setPosition(width / 2, height / 2);
+    background.setDisplaySize(width, height);
   } else {
-    // if mature and not auto-harvested: harvest
-    if (tile.crop.stage >= tile.crop.maxStage) {
-      collectCrop(scene, tile);
-    } else {
-      // maybe speed up growth using coins? For now show hint
-      flashInfo(`Crop is growing (${Math.ceil(tile.crop.timeLeft)}s left)`);
-    }
+    background.clear();
+    background.fillStyle(0x9dd977, 1);
+    background.fillRect(0, 0, width, height);
   }
 }
 
-function plantCropAt(scene, tile, typeId, level = 1) {
-  const tcfg = CONFIG.CROP_TYPES.find(t => t.id === typeId);
-  if (!tcfg) return;
+// fit the current cols x rows board into the canvas
+// wide screens: orders in a column between the board and the side panel
+// narrow screens: the board uses the full width with a row of orders below
+function computeLayout() {
+  const { width, height } = game.scale;
+  const narrow = isNarrow();
+  const ratio = CONFIG.TILE_SPACING / CONFIG.TILE_SIZE;
+  const areaWidth = narrow ? width - 32 : width - CONFIG.BOARD_RIGHT_INSET - CONFIG.ORDER_BOARD_WIDTH - 16;
+  const areaHeight = height - CONFIG.BOARD_TOP - 16 - (narrow ? CONFIG.ORDER_STRIP_HEIGHT : 0);
+  const fitW = areaWidth / (state.cols + (state.cols - 1) * ratio);
+  const fitH = areaHeight / (state.rows + (state.rows - 1) * ratio);
+  const tileSize = Math.max(24, Math.floor(Math.min(CONFIG.TILE_SIZE, fitW, fitH)));
+  const spacing = tileSize * ratio;
+  const totalWidth = state.cols * tileSize + (state.cols - 1) * spacing;
+  const totalHeight = state.rows * tileSize + (state.rows - 1) * spacing;
+  const orders = narrow
+    ? { x: 16, y: CONFIG.BOARD_TOP + totalHeight + 12, width: width - 32, columns: RULES.ORDERS.MAX_ACTIVE }
+    : { x: width - CONFIG.BOARD_RIGHT_INSET - CONFIG.ORDER_BOARD_WIDTH, y: CONFIG.BOARD_TOP, width: CONFIG.ORDER_BOARD_WIDTH - 10, columns: 1 };
+  return {
+    tileSize,
+    spacing,
+    offsetX: 16 + (areaWidth - totalWidth) / 2 + tileSize / 2,
+    offsetY: CONFIG.BOARD_TOP + tileSize / 2,
+    orders
+  };
+}
 
-  const baseGrow = CONFIG.INITIAL_GROWTH_SECONDS;
-  const growthTime = baseGrow / state.upgrades.growthSpeedMultiplier;
+// (re)build the tile sprites for the current grid size
+function buildGrid(scene) {
+  for (const tile of tiles) tile.sprite.destroy();
+  tiles = [];
+  layout = computeLayout();
+  const tsize = layout.tileSize;
 
-  const crop = {
-    id: typeId,
-    level: level,
-    stage: 1,
-    maxStage: 3, // 3 stages: young, mid, mature
-    timeLeft: growthTime, // seconds to next stage/mature
-    growthTime: growthTime
-  };
-  // create sprite
-  const cropSprite = makeCropSprite(scene, tile.x, tile.y, crop);
-  // set interactive and draggable
-  cropSprite.setInteractive({ useHandCursor: true });
-  scene.input.setDraggable(cropSprite);
-  cropSprite.on('dragstart', function(pointer) {
-    this.setDepth(1000);
-    this.scene.tweens.add({
-      targets: this,
-      scale: 1.05,
-      duration: 80,
-      ease: 'Power1'
-    });
-  });
-  cropSprite.on('drag', function(pointer, dragX, dragY) {
-    this.x = dragX; this.y = dragY;
-  });
-  cropSprite.on('dragend', function(pointer) {
-    // drop logic: snap to tile under pointer, else snap back
-    const dropTile = findTileAt(pointer.worldX, pointer.worldY);
-    if (dropTile) {
-      // if dropTile has crop -> attempt merge
-      if (dropTile.crop) {
-        attemptMerge(scene, cropSprite, tile, dropTile);
+  // container to hold tiles for input ordering
+  for (let row = 0; row < state.rows; row++) {
+    for (let col = 0; col < state.cols; col++) {
+      const x = layout.offsetX + col * (tsize + layout.spacing);
+      const y = layout.offsetY + row * (tsize + layout.spacing);
+
+      let tileSprite;
+      if (scene.textures.exists('tile')) {
+        tileSprite = scene.add.image(x, y, 'tile').setInteractive({ useHandCursor: true });
+        tileSprite.setDisplaySize(tsize, tsize);
       } else {
-        // move crop to that tile
-        moveCropToTile(scene, cropSprite, tile, dropTile);
+        // fallback: draw tile
+        tileSprite = scene.add.rectangle(x,y, tsize, tsize, 0xcddeab).setStrokeStyle(2, 0x8aa85a).setInteractive();
       }
-    } else {
-      // no tile under drop -> snap back
-      snapCropToTile(cropSprite, tile);
-    }
-    this.setDepth(0);
-    this.scene.tweens.add({
-      targets: this,
-      scale: 0.95,
-      duration: 120,
-      ease: 'Power1'
-    });
-  });
 
-  // store in tile
-  tile.crop = {
-    data: crop,
-    sprite: cropSprite
-  };
+      const tile = { sprite: tileSprite, x, y, index: tiles.length };
+      tileSprite.setData('col', col);
+      tileSprite.setData('row', row);
+      tileSprite.on('pointerdown', (pointer) => onTileClicked(scene, tile, pointer));
+      tiles.push(tile);
+    }
+  }
+}
 
-  // small planting animation
-  scene.tweens.add({
-    targets: cropSprite,
-    scale: 0.95,
-    alpha: { from: 0, to: 1 },
-    duration: 250
-  });
+// tiles plus every crop and building sprite, after a load or a grid resize
+function renderBoard(scene) {
+  closePopover();
+  buildGrid(scene);
+  syncCropSprites(scene);
+  syncBuildingSprites(scene);
+  renderOrderBoard(scene);
+  buildCursor(scene);
 }
 
-function makeCropSprite(scene, x, y, crop) {
-  // prefer stage-specific texture if available
-  const texKey = crop.id + '_' + crop.stage;
-  let sprite;
-  if (scene.textures.exists(texKey)) {
-    sprite = scene.add.image(x, y, texKey);
-    sprite.setDisplaySize(CONFIG.TILE_SIZE * 0.85, CONFIG.TILE_SIZE * 0.85);
-  } else {
-    // draw fallback: colored circle with text
-    const g = scene.add.graphics();
-    const tcfg = CONFIG.CROP_TYPES.find(t => t.id === crop.id);
-    g.fillStyle(tcfg.color, 1);
-    g.fillRoundedRect(-CONFIG.TILE_SIZE*0.35, -CONFIG.TILE_SIZE*0.35, CONFIG.TILE_SIZE*0.7, CONFIG.TILE_SIZE*0.7, 8);
-    // render to texture
-    const key = `tex_${crop.id}_${crop.stage}`;
-    const rt = scene.add.renderTexture(0,0, CONFIG.TILE_SIZE, CONFIG.TILE_SIZE).setOrigin(0.5);
-    rt.draw(g, CONFIG.TILE_SIZE/2, CONFIG.TILE_SIZE/2);
-    g.destroy();
-    sprite = rt;
-    sprite.x = x; sprite.y = y;
-    sprite.setDisplaySize(CONFIG.TILE_SIZE * 0.85, CONFIG.TILE_SIZE * 0.85);
+// ---------------- ENGINE BRIDGE ----------------
+
+// adopt the state from an engine result and render its events
+// returns the events so callers can inspect the outcome
+// events are also published on the FarmGame bus, plus coinsChanged
+function applyResult(scene, res) {
+  const coinsBefore = state.coins;
+  state = res.state;
+  for (const ev of res.events) renderEvent(scene, ev);
+  updateUI();
+  for (const ev of res.events) {
+    if (!FarmGame.EVENTS[ev.type]) continue;
+    const payload = Object.assign({}, ev);
+    delete payload.type;
+    FarmGame.emit(ev.type, payload);
   }
-  sprite.setAlpha(1);
-  sprite.setScale(0.95);
-  return sprite;
+  if (state.coins !== coinsBefore) {
+    FarmGame.emit('coinsChanged', { coins: state.coins, delta: state.coins - coinsBefore });
+  }
+  return res.events;
 }
 
-function onTick() {
-  // iterate crops and reduce timeLeft
-  for (let tile of state.grid) {
-    if (tile.crop) {
-      const crop = tile.crop.data;
-      // if already at max stage no further time decrease unless you want re-growth after harvest
-      if (crop.stage < crop.maxStage) {
-        crop.timeLeft -= 1;
-        if (crop.timeLeft <= 0) {
-          // progress stage
-          crop.stage += 1;
-          // reset next stage timer or clamp
-          if (crop.stage < crop.maxStage) {
-            crop.growthTime = CONFIG.INITIAL_GROWTH_SECONDS / state.upgrades.growthSpeedMultiplier;
-            crop.timeLeft = crop.growthTime;
-          } else {
-            crop.timeLeft = 0;
-            // matured
-            flashInfo(`A ${crop.id} is ready to harvest!`);
-            // if auto-harvester enabled, auto collect
-            if (state.upgrades.autoHarvester) {
-              // harvest after a small delay
-              setTimeout(() => {
-                collectCrop(this, tile);
-              }, 300);
-            }
+function renderEvent(scene, ev) {
+  switch (ev.type) {
+    case 'planted': {
+      audio.play('plant');
+      const sprite = addCropSprite(scene, ev.index);
+      // small planting animation
+      scene.tweens.add({
+        targets: sprite,
+        scale: 0.95,
+        alpha: { from: 0, to: 1 },
+        duration: 250
+      });
+      break;
+    }
+    case 'stageAdvanced':
+      if (ev.crop.stage < ev.crop.maxStage) audio.play('stage'); // reaching the last stage plays 'ready'
+      // update sprite to new stage texture (replace)
+      updateCropSprite(scene, ev.index);
+      break;
+    case 'matured':
+      audio.play('ready');
+      flashInfo(tr('event.matured', { crop: cropName(ev.crop.id) }));
+      break;
+    case 'harvested': {
+      const tile = tiles[ev.index];
+      const sprite = cropSprites[ev.index];
+      cropSprites[ev.index] = null;
+      // auto-harvest: let the mature crop show briefly before it goes
+      if (sprite) scene.time.delayedCall(ev.auto ? 300 : 0, () => releaseCropSprite(sprite));
+      animateCoinToUI(scene, tile.x, tile.y, ev.value);
+      break;
+    }
+    case 'stored': {
+      const sprite = cropSprites[ev.index];
+      cropSprites[ev.index] = null;
+      if (sprite) scene.time.delayedCall(ev.auto ? 300 : 0, () => releaseCropSprite(sprite));
+      if (!ev.auto) flashInfo(tr('event.stored', { crop: cropName(ev.crop.id) }));
+      saveGame();
+      break;
+    }
+    case 'retrieved':
+      addCropSprite(scene, ev.index);
+      flashInfo(tr('event.retrieved', { crop: cropName(ev.crop.id) }));
+      saveGame();
+      break;
+    case 'sold':
+      audio.play('coin');
+      flashInfo(tr('event.sold', { crop: cropName(ev.crop.id), coins: coins(ev.value) }));
+      saveGame();
+      break;
+    case 'buildingPlaced':
+      audio.play('purchase');
+      addBuildingSprite(scene, ev.index);
+      flashInfo(tr('event.buildingPlaced', { building: buildingText(ev.id, 'name'), coins: coins(ev.cost) }));
+      saveGame();
+      break;
+    case 'buildingMoved': {
+      const sprite = buildingSprites[ev.from];
+      buildingSprites[ev.from] = null;
+      buildingSprites[ev.to] = sprite;
+      sprite.setData('index', ev.to);
+      snapCropToTile(sprite, tiles[ev.to]);
+      saveGame();
+      break;
+    }
+    case 'moved': {
+      const sprite = cropSprites[ev.from];
+      cropSprites[ev.from] = null;
+      cropSprites[ev.to] = sprite;
+      sprite.setData('index', ev.to);
+      snapCropToTile(sprite, tiles[ev.to]);
+      break;
+    }
+    case 'merged': {
+      audio.play('merge');
+      // replace the target sprite with the merged crop
+      const source = cropSprites[ev.from];
+      cropSprites[ev.from] = null;
+      removeCropSprite(ev.to);
+      const sprite = addCropSprite(scene, ev.to);
+      if (ev.auto && source) {
+        // auto-merges slide the source crop onto the target before the result appears
+        const target = tiles[ev.to];
+        source.disableInteractive();
+        source.setDepth(10);
+        sprite.setAlpha(0);
+        scene.tweens.add({
+          targets: source,
+          x: target.x,
+          y: target.y,
+          duration: 300,
+          ease: 'Quad.easeIn',
+          onComplete: () => {
+            releaseCropSprite(source);
+            // a later event may already have replaced the merged sprite
+            if (cropSprites[ev.to] === sprite) scene.tweens.add({ targets: sprite, alpha: 1, scale: { from: 1.15, to: 0.95 }, duration: 200 });
           }
-          // update sprite to new stage texture (replace)
-          updateCropSprite(tile);
-        }
+        });
+        flashInfo(tr('event.autoMerged', { level: ev.crop.level, crop: cropName(ev.crop.id) }));
+      } else {
+        if (source) releaseCropSprite(source);
+        flashInfo(tr('event.merged', { level: ev.crop.level }));
       }
+      break;
     }
-  }
-  updateUI();
-}
-
-function updateCropSprite(tile) {
-  const scene = game.scene.scenes[0];
-  if (!tile.crop) return;
-  const crop = tile.crop.data;
-  const old = tile.crop.sprite;
-  // create replacement sprite at same position
-  const newSprite = makeCropSprite(scene, tile.x, tile.y, crop);
-  newSprite.setInteractive({ useHandCursor: true });
-  // copy drag handlers as earlier
-  scene.input.setDraggable(newSprite);
-  newSprite.on('dragstart', function(pointer) { this.setDepth(1000); this.scene.tweens.add({targets:this, scale:1.05, duration:80}); });
-  newSprite.on('drag', function(pointer, dragX, dragY) { this.x = dragX; this.y = dragY; });
-  newSprite.on('dragend', function(pointer) {
-    const dropTile = findTileAt(pointer.worldX, pointer.worldY);
-    if (dropTile) {
-      if (dropTile.crop) {
-        attemptMerge(scene, newSprite, tile, dropTile);
+    case 'orderAdded':
+      renderOrderBoard(scene);
+      flashInfo(tr('event.orderAdded', { order: describeOrder(ev.order) }));
+      break;
+    case 'orderExpired':
+      renderOrderBoard(scene);
+      flashInfo(tr('event.orderExpired', { order: describeOrder(ev.order) }));
+      break;
+    case 'orderDelivered': {
+      // crop flies into the order card
+      const sprite = cropSprites[ev.index];
+      cropSprites[ev.index] = null;
+      const card = orderBoard && orderBoard.cards.find(c => c.orderId === ev.order.id);
+      if (sprite && card) {
+        scene.tweens.add({
+          targets: sprite,
+          x: card.x + card.width / 2, y: card.y + card.height / 2, scale: 0.3, alpha: 0,
+          duration: 250,
+          onComplete: () => releaseCropSprite(sprite)
+        });
+      } else if (sprite) {
+        releaseCropSprite(sprite);
+      }
+      renderOrderBoard(scene);
+      break;
+    }
+    case 'orderCompleted':
+      flashInfo(tr('event.orderCompleted', { reward: describeReward(ev.reward) }));
+      saveGame();
+      break;
+    case 'achievementUnlocked':
+      flashInfo(tr('event.achievementUnlocked', { achievement: achievementText(ev.id, 'name') }));
+      break;
+    case 'cropUnlocked':
+      flashInfo(tr('event.cropUnlocked', { crop: cropName(ev.id) }));
+      break;
+    case 'gridExpanded':
+      audio.play('purchase');
+      renderBoard(scene);
+      flashInfo(tr('event.gridExpanded', { cols: ev.cols, rows: ev.rows }));
+      saveGame();
+      break;
+    case 'upgradePurchased':
+      audio.play('purchase');
+      if (RULES.UPGRADES[ev.id].maxLevel === 1) flashInfo(tr('event.upgradeUnlocked', { upgrade: upgradeText(ev.id, 'name') }));
+      else flashInfo(tr('event.levelUp', { name: upgradeText(ev.id, 'name'), level: ev.level }));
+      saveGame();
+      break;
+    case 'boosted':
+      audio.play('purchase');
+      if (ev.kind === 'fertilize') {
+        updateCropOverlay(cropSprites[ev.index], state.grid[ev.index]);
+        flashInfo(tr('event.fertilized', { coins: coins(ev.cost) }));
+      } else if (ev.kind === 'all') {
+        flashInfo(tr('event.boostedAll', { duration: formatDuration(RULES.SPEED_UP.BOOST_ALL_SECONDS), coins: coins(ev.cost) }));
       } else {
-        moveCropToTile(scene, newSprite, tile, dropTile);
+        flashInfo(tr('event.finished', { coins: coins(ev.cost) }));
       }
-    } else {
-      snapCropToTile(newSprite, tile);
+      saveGame();
+      break;
+    case 'seasonChanged': {
+      const favored = inSeasonCrops();
+      const season = seasonName(FarmEngine.currentSeason(state).id);
+      flashInfo(favored ? tr('event.seasonChangedFavored', { season, crops: favored }) : tr('event.seasonChanged', { season }));
+      break;
     }
-    this.setDepth(0);
-    this.scene.tweens.add({targets: this, scale:0.95, duration:120});
-  });
-
-  // destroy old sprite
-  try { old.destroy(); } catch(e){}
-  tile.crop.sprite = newSprite;
-}
-
-function collectCrop(scene, tile) {
-  if (!tile.crop) return;
-  const crop = tile.crop.data;
-  // compute value: base * 2^(level-1) * stage multiplier
-  const tcfg = CONFIG.CROP_TYPES.find(t => t.id === crop.id);
-  const value = Math.round(tcfg.baseValue * Math.pow(2, crop.level - 1) * crop.stage);
-  state.coins += value;
-  animateCoinToUI(scene, tile.x, tile.y, value);
-  // remove sprite
-  try { tile.crop.sprite.destroy(); } catch(e) {}
-  tile.crop = null;
-  updateUI();
+    case 'weatherChanged':
+      if (ev.weather === 'rain') flashInfo(tr('event.rain'));
+      else if (ev.weather === 'drought') flashInfo(tr('event.drought'));
+      else if (ev.weather === 'storm') flashInfo(tr(FarmEngine.upgradeEffect(state, 'stormShelter') ? 'event.stormSheltered' : 'event.storm'));
+      else flashInfo(tr('event.clear'));
+      break;
+    case 'stormDamaged': {
+      updateCropSprite(scene, ev.index);
+      const sprite = cropSprites[ev.index];
+      if (sprite) scene.tweens.add({ targets: sprite, angle: { from: -12, to: 12 }, duration: 80, yoyo: true, repeat: 2, onComplete: () => sprite.setAngle(0) });
+      break;
+    }
+    case 'debugEdited':
+      renderBoard(scene);
+      break;
+    case 'prestiged':
+      renderBoard(scene);
+      flashInfo(tr('event.prestiged', { count: ev.points }));
+      saveGame();
+      break;
+    case 'perkPurchased':
+      audio.play('purchase');
+      flashInfo(tr('event.levelUp', { name: perkText(ev.id, 'name'), level: ev.level }));
+      saveGame();
+      break;
+    case 'rejected':
+      audio.play('reject');
+      if (ev.reason === 'insufficientCoins') flashInfo(tr('rejected.insufficientCoins'));
+      else if (ev.reason === 'insufficientPoints') flashInfo(tr('rejected.insufficientPoints'));
+      else if (ev.reason === 'notReady') flashInfo(tr('rejected.notReady'));
+      else if (ev.action === 'buyPerk' && ev.reason === 'maxLevel') flashInfo(tr('rejected.perkMaxed'));
+      else if (ev.action === 'buyUpgrade' && ev.reason === 'maxLevel') flashInfo(tr('rejected.upgradeMaxed'));
+      else if (ev.reason === 'notGrowing') flashInfo(tr('rejected.notGrowing'));
+      else if (ev.reason === 'alreadyFertilized') flashInfo(tr('rejected.alreadyFertilized'));
+      else if (ev.reason === 'requires') flashInfo(tr('rejected.requires', { requirements: describeRequirements(ev.missing) }));
+      else if (ev.action === 'collect' && ev.reason === 'notMature') flashInfo(tr('rejected.harvestNotMature'));
+      else if (ev.reason === 'notMature') flashInfo(tr('rejected.notMature'));
+      else if (ev.action === 'deliverOrder' && ev.reason === 'mismatch') flashInfo(tr('rejected.mismatch'));
+      else if (ev.reason === 'maxLevel') flashInfo(tr('rejected.cropMaxed'));
+      else if (ev.reason === 'maxSize') flashInfo(tr('rejected.maxSize'));
+      else if (ev.reason === 'locked') flashInfo(tr('rejected.locked'));
+      else if (ev.reason === 'barnFull') flashInfo(tr('rejected.barnFull', { upgrade: upgradeText('barnSlots', 'name') }));
+      else if (ev.action === 'placeBuilding' && ev.reason === 'occupied') flashInfo(tr('rejected.buildingOccupied'));
+      else if (ev.reason === 'occupied') flashInfo(tr('rejected.occupied'));
+      break;
+  }
 }
 
-function animateCoinToUI(scene, fromX, fromY, amount) {
-  // coin floating then move to top-left
-  const coinSprite = scene.add.image(fromX, fromY - 10, scene.textures.exists('coin') ? 'coin' : null);
-  if (!scene.textures.exists('coin')) {
-    // fallback: small yellow circle
-    const g = scene.add.graphics();
-    g.fillStyle(0xffe066, 1);
-    g.fillCircle(12, 12, 12);
-    const rt = scene.add.renderTexture(0,0,24,24);
-    rt.draw(g);
-    g.destroy();
-    coinSprite.destroy();
-    rt.x = fromX; rt.y = fromY - 10;
-    scene.tweens.add({
-      targets: rt,
-      x: 16 + 40, y: 70, alpha:0.8,
-      duration: 800,
-      ease: 'Cubic.easeOut',
-      onComplete: () => { rt.destroy(); updateUI(); }
-    });
+// ---------------- GAME MECHANICS ----------------
+
+function onTileClicked(scene, tile, pointer) {
+  const crop = state.grid[tile.index];
+  if (placingBuilding) {
+    const events = applyResult(scene, FarmEngine.placeBuilding(state, placingBuilding, tile.index));
+    // a taken tile keeps placement going so the player can pick another
+    if (!events.some(e => e.type === 'rejected' && e.reason === 'occupied')) placingBuilding = null;
+    updateBuildingUI();
+  } else if (state.buildings[tile.index]) {
+    showBuildingInfo(scene, tile.index);
+  } else if (!crop) {
+    // shift+click repeats the default seed, otherwise let the player pick one
+    if (pointer && pointer.event && pointer.event.shiftKey) {
+      applyResult(scene, FarmEngine.plant(state, tile.index, state.selectedCrop));
+    } else {
+      openSeedPicker(scene, tile);
+    }
   } else {
-    coinSprite.setDisplaySize(28,28);
-    scene.tweens.add({
-      targets: coinSprite,
-      x: 16 + 60, y: 70,
-      duration: 800,
-      ease: 'Cubic.easeOut',
-      onComplete: () => { coinSprite.destroy(); }
-    });
+    // if mature and not auto-harvested: harvest
+    if (crop.stage >= crop.maxStage) {
+      applyResult(scene, FarmEngine.collect(state, tile.index));
+    } else {
+      openSpeedUpMenu(scene, tile);
+    }
   }
-  // update coin text smoothly
-  updateUI();
 }
 
-function findTileAt(worldX, worldY) {
-  for (let tile of state.grid) {
-    // simple bounding box
-    const half = CONFIG.TILE_SIZE / 2;
-    if (worldX >= tile.x - half && worldX <= tile.x + half && worldY >= tile.y - half && worldY <= tile.y + half) {
-      return tile;
+// long-press on a crop: level, growth, payout and merge bonus
+function showCropInfo(scene, index) {
+  const crop = state.grid[index];
+  if (!crop) return;
+  const tcfg = FarmEngine.cropType(crop.id);
+  const tile = tiles[index];
+  const multiplier = FarmEngine.harvestMultiplier(state) * FarmEngine.seasonModifier(state, crop.id).value *
+    FarmEngine.buildingBuff(state, index).value;
+  const payout = FarmEngine.harvestValue({ id: crop.id, level: crop.level, stage: crop.maxStage }, multiplier);
+  const items = [
+    {
+      label: tr('cropInfo.level', { level: crop.level, max: tcfg.maxLevel }),
+      detail: crop.stage >= crop.maxStage
+        ? tr('cropInfo.ready')
+        : tr('cropInfo.growing', { stage: crop.stage, stages: crop.maxStage, duration: formatDuration(Math.ceil(crop.timeLeft)) })
+    },
+    { label: tr('cropInfo.pays', { coins: coins(payout) }), detail: tr('cropInfo.paysDetail') },
+    {
+      label: tr('cropInfo.merge'),
+      detail: crop.level >= tcfg.maxLevel
+        ? tr('cropInfo.mergeMaxed')
+        : crop.stage < crop.maxStage
+          ? tr('cropInfo.mergeDetailGrowing', { level: crop.level, next: crop.level + 1 })
+          : tr('cropInfo.mergeDetail', {
+            level: crop.level,
+            next: crop.level + 1,
+            // what merging with a fully grown twin would pay, upgrade and plugins included
+            coins: coins(FarmEngine.mergePayout(state, index, index, { id: crop.id, level: crop.level + 1, stage: 1, maxStage: crop.maxStage }, false))
+          })
+    },
+    {
+      label: tr('cropInfo.buildings'),
+      detail: describeBuff(FarmEngine.buildingBuff(state, index))
+    },
+    {
+      label: tr('cropInfo.store'),
+      detail: tr('cropInfo.storeDetail', { used: state.barn.length, slots: FarmEngine.barnSlots(state) }),
+      enabled: state.barn.length < FarmEngine.barnSlots(state),
+      onSelect: () => applyResult(scene, FarmEngine.storeCrop(state, index))
     }
-  }
-  return null;
+  ].map(item => Object.assign({ color: undefined, enabled: false, selected: false }, item));
+  items[0].color = tcfg.color;
+  openPopover(scene, tile.x, tile.y + layout.tileSize / 2, cropName(crop.id), items);
 }
 
-function moveCropToTile(scene, sprite, fromTile, toTile) {
-  // move sprite visually, update tiles
-  fromTile.crop = null;
-  toTile.crop = {
-    data: sprite.cropData || (sprite._cropData ? sprite._cropData : null),
-    sprite: sprite
-  };
-  // ensure sprite snaps to new tile coords
-  scene.tweens.add({
-    targets: sprite,
-    x: toTile.x, y: toTile.y,
-    duration: 180,
-    ease: 'Power2'
-  });
+// "x1.25 growth, x1.2 value, replanted after harvest" for a buildingBuff()
+function describeBuff(buff) {
+  const parts = [];
+  if (buff.growth !== 1) parts.push(tr('buff.growth', { factor: buff.growth }));
+  if (buff.value !== 1) parts.push(tr('buff.value', { factor: buff.value }));
+  if (buff.replant) parts.push(tr('buff.replant'));
+  return parts.length ? parts.join(', ') : tr('buff.none');
 }
 
-function snapCropToTile(sprite, tile) {
-  sprite.scene.tweens.add({
-    targets: sprite,
-    x: tile.x, y: tile.y,
-    duration: 180,
-    ease: 'Power2'
-  });
+// tap on a building: what it does and how far it reaches
+function showBuildingInfo(scene, index) {
+  const id = state.buildings[index].id;
+  const def = RULES.BUILDINGS[id];
+  const area = FarmEngine.buildingArea(state, index, id);
+  const tile = tiles[index];
+  openPopover(scene, tile.x, tile.y + layout.tileSize / 2, buildingText(id, 'name'), [
+    { label: buildingText(id, 'description'), detail: tr('buildingInfo.range', { count: def.range }), color: def.color },
+    { label: tr('buildingInfo.crops', { count: area.filter(i => state.grid[i]).length }), detail: tr('buildingInfo.hint') }
+  ].map(item => Object.assign({ enabled: false, selected: false }, item)));
 }
 
-function attemptMerge(scene, dragSprite, fromTile, targetTile) {
-  if (!fromTile.crop || !targetTile.crop) {
-    snapCropToTile(dragSprite, fromTile);
-    return;
-  }
-  const a = fromTile.crop.data;
-  const b = targetTile.crop.data;
-  // merge only if same id and same level
-  if (a.id === b.id && a.level === b.level) {
-    // compute merged level
-    const newLevel = a.level + 1;
-    // remove both sprites
-    try { fromTile.crop.sprite.destroy(); } catch(e){}
-    try { targetTile.crop.sprite.destroy(); } catch(e){}
-    // create new crop at targetTile with higher level, reset stages
-    const mergedCropData = {
-      id: a.id,
-      level: newLevel,
-      stage: 1,
-      maxStage: 3,
-      growthTime: CONFIG.INITIAL_GROWTH_SECONDS / state.upgrades.growthSpeedMultiplier,
-      timeLeft: CONFIG.INITIAL_GROWTH_SECONDS / state.upgrades.growthSpeedMultiplier
+// growing crop: pay to finish it, fertilize it or skip time on the whole farm
+function openSpeedUpMenu(scene, tile) {
+  const crop = state.grid[tile.index];
+  const tcfg = FarmEngine.cropType(crop.id);
+  const finishCost = FarmEngine.finishCost(state, tile.index);
+  const fertilizerCost = FarmEngine.fertilizerCost(state, tile.index);
+  const boostCost = FarmEngine.boostAllCost(state);
+  const skip = RULES.SPEED_UP.BOOST_ALL_SECONDS;
+  const items = [
+    {
+      label: tr('speedUp.timeLeft', { duration: formatDuration(Math.ceil(FarmEngine.cropTimeLeft(state, crop))) }),
+      detail: tr(crop.fertilized ? 'speedUp.stageFertilized' : 'speedUp.stage', { stage: crop.stage, stages: crop.maxStage }),
+      color: tcfg.color,
+      enabled: false,
+      selected: false
+    },
+    {
+      label: tr('speedUp.finish', { coins: coins(finishCost) }),
+      detail: tr('speedUp.finishDetail'),
+      enabled: state.coins >= finishCost,
+      selected: false,
+      onSelect: () => confirmSpeedUp(scene, tile, tr('speedUp.finishConfirm', { crop: cropName(crop.id) }), finishCost,
+        () => FarmEngine.finishCrop(state, tile.index))
+    },
+    {
+      label: fertilizerCost === null ? tr('speedUp.fertilized') : tr('speedUp.fertilize', { coins: coins(fertilizerCost) }),
+      detail: fertilizerCost === null
+        ? tr('speedUp.fertilizedDetail')
+        : tr('speedUp.fertilizeDetail', { duration: formatDuration(Math.ceil(crop.timeLeft)) }),
+      enabled: fertilizerCost !== null && state.coins >= fertilizerCost,
+      selected: false,
+      onSelect: () => confirmSpeedUp(scene, tile, tr('speedUp.fertilizeConfirm', { crop: cropName(crop.id) }), fertilizerCost,
+        () => FarmEngine.fertilize(state, tile.index))
+    },
+    {
+      label: tr('speedUp.boostAll', { coins: coins(boostCost) }),
+      detail: tr('speedUp.boostAllDetail', { duration: formatDuration(skip) }),
+      enabled: state.coins >= boostCost,
+      selected: false,
+      onSelect: () => confirmSpeedUp(scene, tile, tr('speedUp.boostAllConfirm', { duration: formatDuration(skip) }), boostCost,
+        () => FarmEngine.boostAll(state))
+    }
+  ];
+  openPopover(scene, tile.x, tile.y + layout.tileSize / 2, tr('speedUp.title', { crop: cropName(crop.id) }), items);
+}
+
+// second step of the speed-up menu: show the price once more before paying
+function confirmSpeedUp(scene, tile, question, cost, buy) {
+  openPopover(scene, tile.x, tile.y + layout.tileSize / 2, question, [
+    {
+      label: tr('confirm.pay', { coins: coins(cost) }),
+      detail: tr('confirm.balance', { coins: coins(state.coins) }),
+      enabled: true,
+      selected: true,
+      onSelect: () => applyResult(scene, buy())
+    },
+    { label: tr('confirm.cancel'), detail: tr('confirm.cancelDetail'), enabled: true, selected: false, onSelect: () => {} }
+  ]);
+}
+
+function describeUnlock(tcfg) {
+  if (tcfg.unlock.coins !== undefined) return tr('seeds.unlockCoins', { coins: coins(tcfg.unlock.coins) });
+  return tr('seeds.unlockMerges', { count: tcfg.unlock.merges });
+}
+
+// list every crop type with seed cost, growth time and payout; picking one plants it
+function openSeedPicker(scene, tile) {
+  const items = RULES.CROP_TYPES.map(t => {
+    const unlocked = FarmEngine.isUnlocked(state, t.id);
+    const season = FarmEngine.seasonModifier(state, t.id);
+    const multiplier = FarmEngine.harvestMultiplier(state) * season.value;
+    const payout = FarmEngine.harvestValue({ id: t.id, level: FarmEngine.seedLevel(state, t.id), stage: t.stages }, multiplier);
+    return {
+      label: season.growth > 1 || season.value > 1 ? tr('seeds.inSeason', { crop: cropName(t.id) }) : cropName(t.id),
+      color: t.color,
+      detail: unlocked
+        ? tr('seeds.detail', { cost: coins(t.seedCost), duration: formatDuration(Math.ceil(FarmEngine.timeToMature(state, t.id))), payout: coins(payout) })
+        : describeUnlock(t),
+      enabled: unlocked && state.coins >= t.seedCost,
+      selected: t.id === state.selectedCrop,
+      onSelect: () => {
+        applyResult(scene, FarmEngine.selectCrop(state, t.id));
+        applyResult(scene, FarmEngine.plant(state, tile.index, t.id));
+      }
     };
-    const sprite = makeCropSprite(scene, targetTile.x, targetTile.y, mergedCropData);
-    sprite.setInteractive({ useHandCursor: true });
-    scene.input.setDraggable(sprite);
-    // assign drag handlers
-    sprite.on('dragstart', function(){ this.setDepth(1000); });
-    sprite.on('drag', function(_, dx, dy){ this.x = dx; this.y = dy; });
-    sprite.on('dragend', function(pointer) {
-      const dropTile = findTileAt(pointer.worldX, pointer.worldY);
-      if (dropTile) {
-        if (dropTile.crop) attemptMerge(scene, sprite, targetTile, dropTile);
-        else moveCropToTile(scene, sprite, targetTile, dropTile);
-      } else snapCropToTile(sprite, targetTile);
-      this.setDepth(0);
+  });
+  // reward seeds from orders
+  state.seeds.forEach((seed, slot) => {
+    const t = FarmEngine.cropType(seed.id);
+    items.push({
+      label: tr('seeds.reward', { crop: cropName(seed.id), level: seed.level }),
+      color: t.color,
+      detail: tr('seeds.rewardDetail'),
+      enabled: true,
+      selected: false,
+      onSelect: () => applyResult(scene, FarmEngine.plantSeed(state, tile.index, slot))
     });
+  });
+  openPopover(scene, tile.x, tile.y + layout.tileSize / 2, tr('seeds.title'), items);
+}
 
-    // put into targetTile
-    targetTile.crop = { data: mergedCropData, sprite: sprite };
-    // clear from fromTile
-    fromTile.crop = null;
+function onTick() {
+  applyResult(this, FarmEngine.tick(state, 1));
+  updateCropOverlays();
+}
 
-    // small merge pop + coins reward
-    state.coins += Math.round( (CONFIG.CROP_TYPES.find(t=>t.id===a.id).baseValue) * Math.pow(2, newLevel-1) * 0.5 );
-    flashInfo('Merged into level ' + newLevel + '! Bonus coins awarded.');
-    updateUI();
-  } else {
-    // cannot merge: snap back
-    snapCropToTile(dragSprite, fromTile);
+// ---------- CROP SPRITE POOL ----------
+// crop containers are reused instead of destroyed: released sprites are
+// hidden and parked here until addCropSprite needs one again
+const cropPool = [];
+
+// show the crop currently stored at `index`, reusing a pooled sprite if there is one
+function addCropSprite(scene, index) {
+  const tile = tiles[index];
+  const sprite = cropPool.pop() || makeCropSprite(scene);
+  // depth 1 keeps pooled crops above tiles rebuilt after them
+  sprite.setPosition(tile.x, tile.y).setAlpha(1).setScale(0.95).setAngle(0).setDepth(1);
+  sprite.setActive(true).setVisible(true);
+  sprite.setInteractive();
+  sprite.getData('pulse').resume();
+  configureCropSprite(sprite, state.grid[index]);
+  sprite.setData('index', index);
+  cropSprites[index] = sprite;
+  return sprite;
+}
+
+// refresh the sprite at `index` for its crop's current stage in place,
+// keeping its position (it may be mid-drag) and the keyboard pick-up dimming
+function updateCropSprite(scene, index) {
+  const sprite = cropSprites[index];
+  if (!sprite) return addCropSprite(scene, index);
+  configureCropSprite(sprite, state.grid[index]);
+  return sprite;
+}
+
+// hide a crop sprite and return it to the pool; releasing twice is harmless
+function releaseCropSprite(sprite) {
+  if (!sprite.active) return;
+  sprite.scene.tweens.killTweensOf(sprite);
+  sprite.disableInteractive();
+  sprite.getData('pulse').pause();
+  sprite.setActive(false).setVisible(false);
+  cropPool.push(sprite);
+}
+
+function removeCropSprite(index) {
+  const sprite = cropSprites[index];
+  if (sprite) releaseCropSprite(sprite);
+  cropSprites[index] = null;
+}
+
+// rebuild every crop sprite from state (after load or layout change)
+function syncCropSprites(scene) {
+  for (let i = 0; i < cropSprites.length; i++) removeCropSprite(i);
+  cropSprites = new Array(state.grid.length).fill(null);
+  for (let i = 0; i < state.grid.length; i++) {
+    if (state.grid[i]) addCropSprite(scene, i);
   }
 }
 
-// ---------- UPGRADES / SHOP UI ----------
-function createShopUI() {
-  // create DOM side-panel in-game as a simple overlay (HTML nodes)
-  const panel = document.createElement('div');
-  panel.id = 'side-panel';
-  panel.innerHTML = `
-    <h3>Shop & Save</h3>
-    <div>Growth Speed: <span id="growth-mul">1.0x</span></div>
-    <div style="margin-top:8px;">
-      <button id="buy-speed" class="btn">Buy +25% speed (cost: 50)</button>
-    </div>
-    <div style="margin-top:8px;">
-      <button id="buy-auto" class="btn">Buy Auto Harvester (cost: 150)</button>
-    </div>
-    <hr />
-    <div><strong>Save / Load</strong></div>
-    <div style="margin-top:6px;">
-      <button id="manual-save" class="btn">Save Now</button>
-      <button id="manual-load" class="btn">Load</button>
-    </div>
-    <div id="save-import" style="margin-top:8px;">
-      <div>Export:</div>
-      <textarea id="export-data" readonly style="width:100%;height:60px;"></textarea>
-      <button id="do-export" class="btn" style="margin-top:6px;">Generate Export</button>
-      <div style="margin-top:6px;">Import (paste JSON):</div>
-      <textarea id="import-data" style="width:100%;height:60px;"></textarea>
-      <button id="do-import" class="btn" style="margin-top:6px;">Import</button>
-    </div>
-  `;
-  document.body.appendChild(panel);
+function cropTextureKey(tcfg, stage) {
+  return tcfg.texture.replace('{stage}', stage);
+}
 
-  // attach handlers
-  document.getElementById('buy-speed').onclick = () => {
-    if (state.coins >= 50) {
-      state.coins -= 50;
-      state.upgrades.growthSpeedMultiplier *= 1.25;
-      flashInfo('Growth speed increased!');
-      updateUI();
-      saveGame();
-    } else {
-      flashInfo('Not enough coins.');
-    }
-  };
-  document.getElementById('buy-auto').onclick = () => {
-    if (state.coins >= 150) {
-      state.coins -= 150;
-      state.upgrades.autoHarvester = true;
-      flashInfo('Auto Harvester unlocked!');
-      updateUI();
-      saveGame();
-    } else {
-      flashInfo('Not enough coins.');
-    }
-  };
+// texture for a crop stage: the loaded image, or a colored tile generated
+// once per crop type and cached under a fallback key
+function cropTexture(scene, tcfg, stage) {
+  const texKey = cropTextureKey(tcfg, stage);
+  if (scene.textures.exists(texKey)) return texKey;
+  const key = 'fallback_crop_' + tcfg.id;
+  if (!scene.textures.exists(key)) {
+    const size = CONFIG.FALLBACK_TEXTURE_SIZE;
+    const g = scene.make.graphics({ add: false });
+    g.fillStyle(tcfg.color, 1);
+    g.fillRoundedRect(size * 0.15, size * 0.15, size * 0.7, size * 0.7, size * 0.07);
+    g.generateTexture(key, size, size);
+    g.destroy();
+  }
+  return key;
+}
 
-  document.getElementById('manual-save').onclick = () => { saveGame(); flashInfo('Saved.'); };
-  document.getElementById('manual-load').onclick = () => { loadGame(true); flashInfo('Loaded.'); };
+// a crop is a container: ready glow, crop image, growth bar and level badge
+// children are stored as data for configureCropSprite and updateCropOverlay;
+// the container starts empty and is filled in by configureCropSprite
+function makeCropSprite(scene) {
+  // soft pulsing halo once the crop can be harvested
+  const glow = scene.add.circle(0, 0, 1, 0xfff2a8, 0.6).setVisible(false);
+  const pulse = scene.tweens.add({ targets: glow, alpha: 0.2, duration: 700, yoyo: true, repeat: -1 });
+  const body = scene.add.image(0, 0, '__DEFAULT');
+  const growthBar = scene.add.graphics();
+  // level badge in the top-right corner
+  const badge = scene.add.circle(0, 0, 1, 0x1c4587).setStrokeStyle(2, 0xffffff);
+  const badgeText = scene.add.text(0, 0, '', { fill: '#fff', fontStyle: 'bold' }).setOrigin(0.5);
 
-  document.getElementById('do-export').onclick = () => {
-    const j = exportSave();
-    document.getElementById('export-data').value = j;
-    flashInfo('Export generated — copy the text to save externally.');
-  };
-  document.getElementById('do-import').onclick = () => {
-    const raw = document.getElementById('import-data').value;
-    if (!raw) { flashInfo('Paste JSON into import box.'); return; }
-    try {
-      importSave(raw);
-      flashInfo('Import successful.');
-    } catch (e) {
-      flashInfo('Import failed: invalid JSON.');
-    }
-  };
+  const sprite = scene.add.container(0, 0, [glow, body, growthBar, badge, badgeText]);
+  sprite.setData({ crop: true, glow, pulse, body, growthBar, badge, badgeText });
+  sprite.setSize(1, 1);
+  sprite.setInteractive({ useHandCursor: true });
+  scene.input.setDraggable(sprite);
+  return sprite;
 }
 
-function updateUI() {
-  coinText.setText('Coins: ' + Math.floor(state.coins));
-  // update shop display values
-  const mulEl = document.getElementById('growth-mul');
-  if (mulEl) mulEl.innerText = state.upgrades.growthSpeedMultiplier.toFixed(2) + 'x';
+// size and fill a crop container for `crop` at the current tile size
+function configureCropSprite(sprite, crop) {
+  const tcfg = FarmEngine.cropType(crop.id);
+  const size = layout.tileSize;
+  sprite.setSize(size * 0.85, size * 0.85);
+  sprite.input.hitArea.setTo(0, 0, size * 0.85, size * 0.85);
+  sprite.getData('glow').setRadius(size * 0.5);
+  sprite.getData('body').setTexture(cropTexture(sprite.scene, tcfg, crop.stage)).setDisplaySize(size * 0.85, size * 0.85);
+  const r = Math.max(9, size * 0.14);
+  sprite.getData('badge').setPosition(size * 0.34, -size * 0.34).setRadius(r);
+  sprite.getData('badgeText').setPosition(size * 0.34, -size * 0.34)
+    .setFontSize(Math.round(r * 1.2) + 'px').setText(String(crop.level));
+  updateCropOverlay(sprite, crop);
 }
 
-// small temporary notification text
-let infoTimer = null;
-function flashInfo(msg) {
-  const scene = game.scene.scenes[0];
-  if (!scene) return;
-  if (infoTimer) { clearTimeout(infoTimer); infoTimer = null; }
-  infoText.setText(msg);
-  infoTimer = setTimeout(() => {
-    infoText.setText('Click a tile to plant. Drag crops onto each other to merge same level.');
-    infoTimer = null;
-  }, 2500);
+// share of the way from planting to maturity, 0..1
+function cropProgress(crop) {
+  if (crop.stage >= crop.maxStage) return 1;
+  const inStage = crop.growthTime > 0 ? 1 - crop.timeLeft / crop.growthTime : 1;
+  return Phaser.Math.Clamp((crop.stage - 1 + inStage) / (crop.maxStage - 1), 0, 1);
 }
 
-// ---------------- SAVE / LOAD / EXPORT / IMPORT ----------------
+// redraw the growth bar, or show the ready glow at maxStage
+function updateCropOverlay(sprite, crop) {
+  const size = layout.tileSize;
+  const bar = sprite.getData('growthBar');
+  const mature = crop.stage >= crop.maxStage;
+  sprite.getData('glow').setVisible(mature);
+  bar.clear();
+  if (mature) return;
+  const w = size * 0.7;
+  const h = Math.max(4, Math.round(size * 0.07));
+  const y = size * 0.42 - h;
+  bar.fillStyle(0x000000, 0.4);
+  bar.fillRoundedRect(-w / 2, y, w, h, h / 2);
+  bar.fillStyle(crop.fertilized ? 0xf1c232 : 0x93c47d, 1); // gold while fertilized
+  bar.fillRoundedRect(-w / 2, y, Math.max(h, w * cropProgress(crop)), h, h / 2);
+}
 
-function saveGame() {
-  try {
-    const data = {
-      coins: state.coins,
-      upgrades: state.upgrades,
-      grid: state.grid.map(t => {
-        if (!t.crop) return null;
-        return {
-          id: t.crop.data.id,
-          level: t.crop.data.level,
-          stage: t.crop.data.stage,
-          timeLeft: t.crop.data.timeLeft
-        };
-      })
-    };
-    localStorage.setItem(CONFIG.SAVE_KEY, JSON.stringify(data));
-    //console.log('Game saved.');
-  } catch (e) {
-    console.warn('Save failed', e);
+function updateCropOverlays() {
+  for (let i = 0; i < cropSprites.length; i++) {
+    if (cropSprites[i] && state.grid[i]) updateCropOverlay(cropSprites[i], state.grid[i]);
   }
 }
 
-function loadGame(showFlash=false) {
-  try {
-    const raw = localStorage.getItem(CONFIG.SAVE_KEY);
-    if (!raw) {
-      if (showFlash) flashInfo('No save found.');
-      return;
-    }
-    const data = JSON.parse(raw);
-    // apply coins & upgrades
-    state.coins = data.coins || 0;
-    state.upgrades = data.upgrades || state.upgrades;
-
-    // clear current crops
-    for (let tile of state.grid) {
-      if (tile.crop) { try { tile.crop.sprite.destroy(); } catch(e){} }
-      tile.crop = null;
-    }
-    // restore grid crops
-    for (let i = 0; i < state.grid.length; i++) {
-      const tile = state.grid[i];
-      const c = (data.grid && data.grid[i]) ? data.grid[i] : null;
-      if (c) {
-        const cropData = {
-          id: c.id,
-          level: c.level,
-          stage: c.stage,
-          maxStage: 3,
-          growthTime: CONFIG.INITIAL_GROWTH_SECONDS / (state.upgrades.growthSpeedMultiplier || 1),
-          timeLeft: c.timeLeft
-        };
-        const sprite = makeCropSprite(game.scene.scenes[0], tile.x, tile.y, cropData);
-        sprite.setInteractive({ useHandCursor: true });
-        game.scene.scenes[0].input.setDraggable(sprite);
-        // attach drag handlers (same as earlier)
-        sprite.on('dragstart', function(){ this.setDepth(1000); });
-        sprite.on('drag', function(_,dx,dy){ this.x = dx; this.y = dy; });
-        sprite.on('dragend', function(pointer) {
-          const dropTile = findTileAt(pointer.worldX, pointer.worldY);
-          if (dropTile) {
-            if (dropTile.crop) attemptMerge(game.scene.scenes[0], sprite, tile, dropTile);
-            else moveCropToTile(game.scene.scenes[0], sprite, tile, dropTile);
-          } else snapCropToTile(sprite, tile);
-          this.setDepth(0);
-        });
-        tile.crop = { data: cropData, sprite: sprite };
-      }
-    }
-    updateUI();
-    if (showFlash) flashInfo('Save loaded.');
-  } catch (e) {
-    console.warn('Load failed', e);
-    if (showFlash) flashInfo('Load failed.');
+// tiles whose crop the crop at `from` could merge with get an outline
+let mergeHints = [];
+function showMergeTargets(scene, from) {
+  clearMergeTargets();
+  for (let i = 0; i < state.grid.length; i++) {
+    if (!FarmEngine.canMerge(state, from, i)) continue;
+    const tile = tiles[i];
+    mergeHints.push(scene.add.rectangle(tile.x, tile.y, layout.tileSize, layout.tileSize)
+      .setStrokeStyle(4, 0xf1c232).setFillStyle(0xf1c232, 0.2).setDepth(5));
   }
 }
 
-function exportSave() {
-  try {
-    return localStorage.getItem(CONFIG.SAVE_KEY) || '{}';
-  } catch (e) { return '{}'; }
+function clearMergeTargets() {
+  for (const hint of mergeHints) hint.destroy();
+  mergeHints = [];
 }
 
-function importSave(raw) {
-  // set localStorage and reload
-  localStorage.setItem(CONFIG.SAVE_KEY, raw);
-  loadGame(true);
+// ---------- CROP INPUT ----------
+// one controller for every crop sprite, registered once on the scene's input
+// events: a press that neither drags nor turns into a long-press is a tap
+const cropPress = { sprite: null, timer: null };
+
+function cancelCropPress() {
+  if (cropPress.timer) cropPress.timer.remove();
+  cropPress.timer = null;
+  cropPress.sprite = null;
+}
+
+function isCropSprite(obj) {
+  return obj.getData('crop') === true;
+}
+
+function setupCropInput(scene) {
+  scene.input.on('gameobjectdown', (pointer, sprite) => {
+    if (!isCropSprite(sprite)) return;
+    cancelCropPress();
+    cropPress.sprite = sprite;
+    cropPress.timer = scene.time.delayedCall(CONFIG.LONG_PRESS_MS, () => {
+      cancelCropPress();
+      showCropInfo(scene, sprite.getData('index'));
+    });
+  });
+  scene.input.on('gameobjectup', (pointer, sprite) => {
+    if (!isCropSprite(sprite) || cropPress.sprite !== sprite) return;
+    cancelCropPress();
+    onTileClicked(scene, tiles[sprite.getData('index')], pointer);
+  });
+  scene.input.on('gameobjectout', (pointer, sprite) => {
+    if (cropPress.sprite === sprite) cancelCropPress();
+  });
+  // released somewhere else: no tap (gameobjectup above runs first)
+  scene.input.on('pointerup', cancelCropPress);
+
+  scene.input.on('dragstart', (pointer, sprite) => {
+    if (!isCropSprite(sprite)) return;
+    cancelCropPress();
+    showMergeTargets(scene, sprite.getData('index'));
+    sprite.setDepth(1000);
+    scene.tweens.add({ targets: sprite, scale: 1.05, duration: 80, ease: 'Power1' });
+  });
+  scene.input.on('drag', (pointer, sprite, dragX, dragY) => {
+    if (isCropSprite(sprite)) sprite.setPosition(dragX, dragY);
+  });
+  scene.input.on('dragend', (pointer, sprite) => {
+    if (!isCropSprite(sprite)) return;
+    // a sprite released by a harvest mid-drag still leaves its targets behind
+    clearMergeTargets();
+    if (!sprite.active) return;
+    dropCropSprite(scene, pointer, sprite);
+  });
+}
+
+// drop logic: store in the barn, deliver to an order card, merge with or
+// move to the tile under the pointer, otherwise snap back
+function dropCropSprite(scene, pointer, sprite) {
+  clearMergeTargets();
+  const from = sprite.getData('index');
+  const order = findOrderAt(pointer.worldX, pointer.worldY);
+  const dropTile = findTileAt(pointer.worldX, pointer.worldY, pointer.wasTouch ? CONFIG.TOUCH_DROP_TOLERANCE : 0);
+  let res = null;
+  if (isBarnDrop(pointer)) {
+    res = FarmEngine.storeCrop(state, from);
+  } else if (order) {
+    res = FarmEngine.deliverOrder(state, from, order.id);
+  } else if (dropTile && dropTile.index !== from) {
+    res = state.grid[dropTile.index]
+      ? FarmEngine.merge(state, from, dropTile.index)
+      : FarmEngine.move(state, from, dropTile.index);
+  }
+  const events = res ? applyResult(scene, res) : [];
+  if (!res || events.some(e => e.type === 'rejected')) snapCropToTile(sprite, tiles[from]);
+  if (cropSprites[sprite.getData('index')] !== sprite) return; // merged or delivered
+  sprite.setDepth(1);
+  scene.tweens.add({ targets: sprite, scale: 0.95, duration: 120, ease: 'Power1' });
+}
+
+// released over a page element marked data-barn-drop (the barn list, the
+// Market tab or the panel button)? Mouse releases outside the canvas still
+// reach Phaser through its window listeners.
+function isBarnDrop(pointer) {
+  const ev = pointer.event;
+  const point = ev && ev.changedTouches ? ev.changedTouches[0] : ev;
+  if (!point || point.clientX === undefined) return false;
+  const el = document.elementFromPoint(point.clientX, point.clientY);
+  return !!(el && el.closest('[data-barn-drop]'));
+}
+
+// ---------- BUILDINGS ----------
+// few and rarely rebuilt, so building sprites are created and destroyed
+// instead of pooled; they share the crops' tile snapping and drop handling
+
+function syncBuildingSprites(scene) {
+  for (const sprite of buildingSprites) if (sprite) sprite.destroy();
+  buildingSprites = new Array(state.buildings.length).fill(null);
+  for (let i = 0; i < state.buildings.length; i++) {
+    if (state.buildings[i]) addBuildingSprite(scene, i);
+  }
+}
+
+// the 'building_<id>' image, or a roofed block in the building's color generated once
+function buildingTexture(scene, id) {
+  if (scene.textures.exists('building_' + id)) return 'building_' + id;
+  const key = 'fallback_building_' + id;
+  if (!scene.textures.exists(key)) {
+    const size = CONFIG.FALLBACK_TEXTURE_SIZE;
+    const g = scene.make.graphics({ add: false });
+    g.fillStyle(RULES.BUILDINGS[id].color, 1);
+    g.fillRect(size * 0.2, size * 0.45, size * 0.6, size * 0.4);
+    g.fillStyle(0x7f3f00, 1);
+    g.fillTriangle(size * 0.12, size * 0.47, size * 0.5, size * 0.12, size * 0.88, size * 0.47);
+    g.generateTexture(key, size, size);
+    g.destroy();
+  }
+  return key;
+}
+
+function addBuildingSprite(scene, index) {
+  const id = state.buildings[index].id;
+  const tile = tiles[index];
+  const size = layout.tileSize * 0.85;
+  const body = scene.add.image(0, 0, buildingTexture(scene, id)).setDisplaySize(size, size);
+  const label = scene.add.text(0, size * 0.3, buildingText(id, 'name'), {
+    fontSize: Math.max(9, Math.round(layout.tileSize * 0.13)) + 'px', fill: '#fff', stroke: '#000', strokeThickness: 3
+  }).setOrigin(0.5);
+  const sprite = scene.add.container(tile.x, tile.y, [body, label]).setDepth(1);
+  sprite.setData({ building: true, id, index });
+  sprite.setSize(size, size);
+  sprite.setInteractive({ useHandCursor: true });
+  scene.input.setDraggable(sprite);
+  buildingSprites[index] = sprite;
+  return sprite;
+}
+
+function isBuildingSprite(obj) {
+  return obj.getData('building') === true;
+}
+
+// tiles a building on `index` buffs get a tinted outline
+let areaHints = [];
+function showBuildingArea(scene, index, id) {
+  clearBuildingArea();
+  const color = RULES.BUILDINGS[id].color;
+  for (const i of FarmEngine.buildingArea(state, index, id)) {
+    const tile = tiles[i];
+    areaHints.push(scene.add.rectangle(tile.x, tile.y, layout.tileSize, layout.tileSize)
+      .setStrokeStyle(3, color).setFillStyle(color, 0.15).setDepth(5));
+  }
+}
+
+function clearBuildingArea() {
+  for (const hint of areaHints) hint.destroy();
+  areaHints = [];
+}
+
+// hover shows a building's area; while dragging, the area follows the tile
+// under the pointer; a press released without dragging is a tap
+function setupBuildingInput(scene) {
+  let pressed = null;
+  let areaAt = null; // tile the area is drawn around while dragging
+  scene.input.on('gameobjectover', (pointer, sprite) => {
+    if (isBuildingSprite(sprite) && !pointer.isDown) showBuildingArea(scene, sprite.getData('index'), sprite.getData('id'));
+  });
+  scene.input.on('gameobjectout', (pointer, sprite) => {
+    if (isBuildingSprite(sprite) && !pointer.isDown) clearBuildingArea();
+  });
+  scene.input.on('gameobjectdown', (pointer, sprite) => {
+    pressed = isBuildingSprite(sprite) ? sprite : null;
+  });
+  scene.input.on('gameobjectup', (pointer, sprite) => {
+    if (sprite !== pressed) return;
+    pressed = null;
+    onTileClicked(scene, tiles[sprite.getData('index')], pointer);
+  });
+  scene.input.on('dragstart', (pointer, sprite) => {
+    if (!isBuildingSprite(sprite)) return;
+    pressed = null;
+    areaAt = sprite.getData('index');
+    showBuildingArea(scene, areaAt, sprite.getData('id'));
+    sprite.setDepth(1000);
+  });
+  scene.input.on('drag', (pointer, sprite, dragX, dragY) => {
+    if (!isBuildingSprite(sprite)) return;
+    sprite.setPosition(dragX, dragY);
+    const tile = findTileAt(pointer.worldX, pointer.worldY);
+    if (tile && tile.index !== areaAt) {
+      areaAt = tile.index;
+      showBuildingArea(scene, areaAt, sprite.getData('id'));
+    }
+  });
+  scene.input.on('dragend', (pointer, sprite) => {
+    if (!isBuildingSprite(sprite)) return;
+    clearBuildingArea();
+    if (!sprite.active) return;
+    dropBuildingSprite(scene, pointer, sprite);
+  });
+}
+
+// move to the free tile under the pointer, otherwise snap back
+function dropBuildingSprite(scene, pointer, sprite) {
+  const from = sprite.getData('index');
+  const dropTile = findTileAt(pointer.worldX, pointer.worldY, pointer.wasTouch ? CONFIG.TOUCH_DROP_TOLERANCE : 0);
+  const events = dropTile && dropTile.index !== from ? applyResult(scene, FarmEngine.moveBuilding(state, from, dropTile.index)) : [];
+  if (!events.some(e => e.type === 'buildingMoved')) snapCropToTile(sprite, tiles[from]);
+  sprite.setDepth(1);
+}
+
+// coin images flying to the coin counter, reused like crop sprites
+const coinPool = [];
+
+// the 'coin' image, or a yellow circle generated once
+function coinTexture(scene) {
+  if (scene.textures.exists('coin')) return 'coin';
+  if (!scene.textures.exists('fallback_coin')) {
+    const g = scene.make.graphics({ add: false });
+    g.fillStyle(0xffe066, 1);
+    g.fillCircle(12, 12, 12);
+    g.generateTexture('fallback_coin', 24, 24);
+    g.destroy();
+  }
+  return 'fallback_coin';
+}
+
+function animateCoinToUI(scene, fromX, fromY, amount) {
+  audio.play('coin');
+  // coin floating then move to the coin counter
+  const coin = coinPool.pop() || scene.add.image(0, 0, coinTexture(scene)).setDepth(1100);
+  coin.setPosition(fromX, fromY - 10).setDisplaySize(24, 24).setAlpha(1).setActive(true).setVisible(true);
+  scene.tweens.add({
+    targets: coin,
+    x: 16 + 50, y: 70, alpha: 0.8,
+    duration: 800,
+    ease: 'Cubic.easeOut',
+    onComplete: () => {
+      coin.setActive(false).setVisible(false);
+      coinPool.push(coin);
+    }
+  });
+  // update coin text smoothly
+  updateUI();
+}
+
+// tile under a point; `tolerance` widens each tile's box (touch drops), and
+// where widened boxes overlap the nearest tile wins
+function findTileAt(worldX, worldY, tolerance = 0) {
+  const half = layout.tileSize / 2 + tolerance;
+  let best = null;
+  let bestDist = Infinity;
+  for (let tile of tiles) {
+    const dx = Math.abs(worldX - tile.x);
+    const dy = Math.abs(worldY - tile.y);
+    if (dx > half || dy > half) continue;
+    if (dx + dy < bestDist) {
+      best = tile;
+      bestDist = dx + dy;
+    }
+  }
+  return best;
+}
+
+function snapCropToTile(sprite, tile) {
+  sprite.scene.tweens.add({
+    targets: sprite,
+    x: tile.x, y: tile.y,
+    duration: 180,
+    ease: 'Power2'
+  });
+}
+
+// ---------- ORDER BOARD (in-canvas) ----------
+// a column of order cards between the farm and the side panel;
+// each card is a drop target for mature crops (see findOrderAt)
+let orderBoard = null; // { container, cards: [{ orderId, x, y, width, height, timeText }] }
+
+function describeOrder(order) {
+  return tr('order.describe', { count: order.qty, crop: cropName(order.cropId), level: order.level });
+}
+
+function describeReward(reward) {
+  if (reward.coins) return coins(reward.coins);
+  return tr('order.seedReward', { level: reward.seed.level, crop: cropName(reward.seed.id) });
+}
+
+// one card per order: stacked in a column, or side by side in a compact
+// row when the layout has several columns (narrow screens)
+function renderOrderBoard(scene) {
+  if (orderBoard) orderBoard.container.destroy();
+  const { x: left, y: top, columns } = layout.orders;
+  const compact = columns > 1;
+  const width = (layout.orders.width - (columns - 1) * 8) / columns;
+  const cardH = 74;
+  const container = scene.add.container(left, top);
+  const cards = [];
+
+  container.add(scene.add.text(0, 0, tr('order.title'), { fontSize: '18px', fill: '#fff', stroke: '#000', strokeThickness: 3 }));
+  if (state.orders.length === 0) {
+    container.add(scene.add.text(0, 28, tr('order.none'), { fontSize: '12px', fill: '#fff' }));
+  }
+  state.orders.forEach((order, i) => {
+    const x = compact ? i * (width + 8) : 0;
+    const y = compact ? 28 : 28 + i * (cardH + 8);
+    const tcfg = FarmEngine.cropType(order.cropId);
+    const small = compact ? '10px' : '12px';
+    container.add(scene.add.rectangle(x, y, width, cardH, 0xffffff, 0.92).setOrigin(0).setStrokeStyle(1, 0x666666));
+    container.add(scene.add.rectangle(x, y, 6, cardH, tcfg.color).setOrigin(0));
+    const params = { n: i + 1, count: order.qty, crop: cropName(order.cropId), level: order.level, delivered: order.delivered };
+    container.add(scene.add.text(x + 12, y + 6, tr(compact ? 'order.cardTitleShort' : 'order.cardTitle', params),
+      { fontSize: compact ? '12px' : '14px', fill: '#111', fontStyle: 'bold' }));
+    container.add(scene.add.text(x + 12, y + 24, tr(compact ? 'order.progressShort' : 'order.progress', params), { fontSize: small, fill: '#333' }));
+    container.add(scene.add.text(x + 12, y + 40, compact ? describeReward(order.reward) : tr('order.reward', { reward: describeReward(order.reward) }), { fontSize: small, fill: '#333' }));
+    const timeText = scene.add.text(x + 12, y + 56, '', { fontSize: compact ? '10px' : '11px', fill: '#a33' });
+    container.add(timeText);
+    cards.push({ orderId: order.id, x: left + x, y: top + y, width, height: cardH, timeText });
+  });
+
+  orderBoard = { container, cards };
+  updateOrderTimers();
+}
+
+function updateOrderTimers() {
+  if (!orderBoard) return;
+  for (const card of orderBoard.cards) {
+    const order = state.orders.find(o => o.id === card.orderId);
+    if (!order) continue;
+    const duration = formatDuration(order.timeLeft);
+    card.timeText.setText(layout.orders.columns > 1 ? duration : tr('order.timeLeft', { duration }));
+  }
+}
+
+function findOrderAt(worldX, worldY) {
+  if (!orderBoard) return null;
+  const card = orderBoard.cards.find(c =>
+    worldX >= c.x && worldX <= c.x + c.width && worldY >= c.y && worldY <= c.y + c.height);
+  return card ? state.orders.find(o => o.id === card.orderId) : null;
+}
+
+// ---------- POPOVER MENU (in-canvas) ----------
+let popover = null;
+
+// small menu anchored below (x, y); clicking outside it closes it
+// items: [{ label, detail, color?, enabled, selected, onSelect }]
+function openPopover(scene, x, y, title, items) {
+  closePopover();
+  const width = 250;
+  const pad = 8;
+  const rowH = 40;
+  const height = pad * 2 + 24 + items.length * rowH;
+  const left = Phaser.Math.Clamp(x - width / 2, 8, game.scale.width - width - 8);
+  const top = Phaser.Math.Clamp(y, 8, game.scale.height - height - 8);
+
+  // invisible full-canvas catcher for outside clicks
+  const blocker = scene.add.rectangle(0, 0, game.scale.width, game.scale.height, 0x000000, 0.001)
+    .setOrigin(0).setDepth(1500).setInteractive();
+  blocker.on('pointerdown', closePopover);
+
+  const box = scene.add.container(left, top).setDepth(1501);
+  box.add(scene.add.rectangle(0, 0, width, height, 0xffffff, 0.96).setOrigin(0).setStrokeStyle(1, 0x666666));
+  box.add(scene.add.text(pad, pad, title, { fontSize: '15px', fill: '#111', fontStyle: 'bold' }));
+
+  const rows = items.map((item, i) => {
+    const rowY = pad + 24 + i * rowH;
+    const row = scene.add.rectangle(pad, rowY, width - pad * 2, rowH - 4, item.selected ? 0xd9ead3 : 0xf1f1f1)
+      .setOrigin(0).setStrokeStyle(item.selected ? 2 : 0, 0x6aa84f);
+    // rows without onSelect are plain information, not disabled choices
+    const alpha = item.enabled || !item.onSelect ? 1 : 0.45;
+    box.add(row);
+    if (item.color !== undefined) {
+      box.add(scene.add.rectangle(pad + 16, rowY + (rowH - 4) / 2, 20, 20, item.color).setAlpha(alpha));
+    }
+    box.add(scene.add.text(pad + 32, rowY + 3, item.label, { fontSize: '14px', fill: '#111' }).setAlpha(alpha));
+    box.add(scene.add.text(pad + 32, rowY + 19, item.detail, { fontSize: '11px', fill: '#444' }).setAlpha(alpha));
+    if (item.enabled) {
+      row.setInteractive({ useHandCursor: true });
+      row.on('pointerdown', () => { closePopover(); item.onSelect(); });
+    }
+    return row;
+  });
+
+  // keyboard focus starts on the selected (or first usable) row
+  let focus = items.findIndex(item => item.selected && item.enabled);
+  if (focus === -1) focus = items.findIndex(item => item.enabled);
+  popover = { blocker, box, items, rows, focus: -1 };
+  announce(tr('menu.opened', { title }));
+  if (focus !== -1) focusPopoverItem(focus);
+}
+
+// move the popover's keyboard focus to item `i` and read it out
+function focusPopoverItem(i) {
+  const prev = popover.rows[popover.focus];
+  if (prev) prev.setStrokeStyle(popover.items[popover.focus].selected ? 2 : 0, 0x6aa84f);
+  popover.focus = i;
+  popover.rows[i].setStrokeStyle(3, 0x1c4587);
+  const item = popover.items[i];
+  announce(`${item.label}, ${item.detail}`);
+}
+
+// arrow keys step through the usable rows; Enter picks the focused one
+function onPopoverKey(event) {
+  const usable = popover.items.map((item, i) => item.enabled ? i : -1).filter(i => i !== -1);
+  if (event.key === 'Escape') {
+    closePopover();
+    announce(tr('menu.closed'));
+  } else if ((event.key === 'ArrowDown' || event.key === 'ArrowUp') && usable.length) {
+    const at = usable.indexOf(popover.focus);
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    focusPopoverItem(usable[(at + step + usable.length) % usable.length]);
+  } else if ((event.key === 'Enter' || event.key === ' ') && popover.focus !== -1) {
+    const item = popover.items[popover.focus];
+    closePopover();
+    item.onSelect();
+  } else {
+    return false;
+  }
+  return true;
+}
+
+function closePopover() {
+  if (!popover) return;
+  popover.blocker.destroy();
+  popover.box.destroy();
+  popover = null;
+}
+
+// ---------- UPGRADES / SHOP UI ----------
+function createShopUI(scene) {
+  // create DOM side-panel in-game as a simple overlay (HTML nodes)
+  const panel = document.createElement('div');
+  panel.id = 'side-panel';
+  panel.setAttribute('aria-label', tr('panel.label'));
+
+  // narrow screens: the panel is a drawer opened with this button
+  const toggle = document.createElement('button');
+  toggle.id = 'panel-toggle';
+  toggle.className = 'btn';
+  toggle.innerText = tr('panel.open');
+  toggle.setAttribute('aria-controls', 'side-panel');
+  toggle.setAttribute('data-barn-drop', '');
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.onclick = () => setPanelOpen(!panel.classList.contains('open'));
+  document.body.appendChild(toggle);
+  const languages = Object.keys(FarmI18n.LANGUAGES)
+    .map(code => `<option value="${code}">${FarmI18n.LANGUAGES[code]}</option>`).join('');
+  panel.innerHTML = `
+    <div class="tabs" role="tablist">
+      <button class="tab active" data-tab="shop" role="tab" aria-selected="true" aria-controls="tab-shop">${tr('tab.shop')}</button>
+      <button class="tab" data-tab="market" data-barn-drop role="tab" aria-selected="false" aria-controls="tab-market">${tr('tab.market')}</button>
+      <button class="tab" data-tab="stats" role="tab" aria-selected="false" aria-controls="tab-stats">${tr('tab.stats')}</button>
+      <button class="tab" data-tab="saves" role="tab" aria-selected="false" aria-controls="tab-saves">${tr('tab.saves')}</button>
+      <button class="tab" data-tab="settings" role="tab" aria-selected="false" aria-controls="tab-settings">${tr('tab.settings')}</button>
+    </div>
+    <div id="tab-shop" class="tab-page" role="tabpanel">
+    <h3>${tr('shop.title')}</h3>
+    <div>${tr('shop.growthSpeed')} <span id="growth-mul">1.0x</span></div>
+    <div id="upgrade-list"></div>
+    <div id="auto-merge-settings" style="margin-top:6px;">
+      <div>${tr('shop.autoMergeCrops')}</div>
+      <div id="auto-merge-crops"></div>
+      <label>${tr('shop.autoMergeCap')}
+        <select id="auto-merge-cap"></select>
+      </label>
+    </div>
+    <div style="margin-top:8px;">${tr('shop.farmSize')} <span id="farm-size">4x4</span></div>
+    <div style="margin-top:8px;">
+      <button id="buy-col" class="btn"></button>
+      <button id="buy-row" class="btn"></button>
+    </div>
+    <div style="margin-top:8px;"><strong>${tr('shop.buildings')}</strong></div>
+    <div id="building-list"></div>
+    <hr />
+    <div><strong>${tr('prestige.title')}</strong></div>
+    <div style="margin-top:6px;">${tr('prestige.points')} <span id="prestige-points">0</span></div>
+    <div style="margin-top:6px;">
+      <button id="do-prestige" class="btn"></button>
+    </div>
+    <div id="perk-list"></div>
+    </div>
+    <div id="tab-market" class="tab-page" role="tabpanel" style="display:none;">
+      <h3>${tr('market.barn')} <span id="barn-count"></span></h3>
+      <label class="setting"><input type="checkbox" id="harvest-to-barn"> ${tr('market.harvestToBarn')}</label>
+      <div class="perk-desc">${tr('market.hint')}</div>
+      <ul id="barn-list" data-barn-drop></ul>
+      <h3>${tr('market.prices')}</h3>
+      <table id="price-table"></table>
+    </div>
+    <div id="tab-stats" class="tab-page" role="tabpanel" style="display:none;">
+      <h3>${tr('stats.title')}</h3>
+      <table id="stats-table"></table>
+      <h3 style="margin-top:12px;">${tr('stats.achievements')} <span id="achievement-count"></span></h3>
+      <ul id="achievement-list"></ul>
+    </div>
+    <div id="tab-saves" class="tab-page" role="tabpanel" style="display:none;">
+      <h3>${tr('saves.slots')}</h3>
+      <ul id="slot-list"></ul>
+      <div>
+        <input type="text" id="slot-name" maxlength="${FarmSlots.MAX_NAME_LENGTH}" placeholder="${tr('saves.namePlaceholder')}" aria-label="${tr('saves.namePlaceholder')}">
+        <button id="slot-new" class="btn">${tr('saves.newSlot')}</button>
+      </div>
+      <div style="margin-top:6px;">
+        <button id="manual-save" class="btn">${tr('save.save')}</button>
+        <button id="manual-load" class="btn">${tr('save.load')}</button>
+      </div>
+      <h3 style="margin-top:12px;">${tr('saves.backups')}</h3>
+      <div class="perk-desc">${tr('saves.backupsHint', { minutes: FarmSlots.BACKUP_INTERVAL / 60000, count: FarmSlots.MAX_BACKUPS })}</div>
+      <ul id="backup-list"></ul>
+      <h3 style="margin-top:12px;">${tr('saves.file')}</h3>
+      <button id="save-download" class="btn">${tr('saves.download')}</button>
+      <button id="save-upload" class="btn">${tr('saves.upload')}</button>
+      <input type="file" id="save-file" accept=".json,application/json" hidden>
+      <div class="perk-desc">${tr('saves.dropHint')}</div>
+      <div id="save-import">
+        <div>${tr('save.export')}</div>
+        <textarea id="export-data" readonly style="width:100%;height:60px;"></textarea>
+        <button id="do-export" class="btn" style="margin-top:6px;">${tr('save.generateExport')}</button>
+        <div style="margin-top:6px;">${tr('save.importLabel')}</div>
+        <textarea id="import-data" style="width:100%;height:60px;"></textarea>
+        <button id="do-import" class="btn" style="margin-top:6px;">${tr('save.import')}</button>
+      </div>
+    </div>
+    <div id="tab-settings" class="tab-page" role="tabpanel" style="display:none;">
+      <h3>${tr('settings.language')}</h3>
+      <label class="setting">${tr('settings.languageLabel')} <select id="language">${languages}</select></label>
+      <h3>${tr('settings.sound')}</h3>
+      <label class="setting">${tr('settings.master')} <input type="range" id="vol-master" min="0" max="100"></label>
+      <label class="setting">${tr('settings.sfx')} <input type="range" id="vol-sfx" min="0" max="100"></label>
+      <label class="setting">${tr('settings.music')} <input type="range" id="vol-music" min="0" max="100"></label>
+      <label class="setting"><input type="checkbox" id="sound-muted"> ${tr('settings.mute')}</label>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  for (const tab of panel.querySelectorAll('.tab')) {
+    tab.onclick = () => showPanelTab(tab.getAttribute('data-tab'));
+  }
+  // Escape in the panel hands the keyboard back to the farm grid
+  panel.addEventListener('keydown', event => {
+    if (event.key !== 'Escape') return;
+    setPanelOpen(false);
+    scene.game.canvas.focus();
+  });
+  updatePanelMode();
+
+  // attach handlers
+  // one row per upgrade definition; labels and states are filled in by updateUpgradeUI
+  const upgradeList = document.getElementById('upgrade-list');
+  for (const id of Object.keys(RULES.UPGRADES)) {
+    const row = document.createElement('div');
+    row.style.marginTop = '8px';
+    row.innerHTML = `<button id="upgrade-${id}" class="btn"></button>` +
+      `<div class="perk-desc">${upgradeText(id, 'description')}</div>` +
+      `<div class="perk-desc" id="upgrade-${id}-requires"></div>`;
+    upgradeList.appendChild(row);
+    row.querySelector('button').onclick = () => {
+      applyResult(scene, FarmEngine.buyUpgrade(state, id));
+    };
+  }
+  // buying a building starts placement; the next tile click puts it down
+  const buildingList = document.getElementById('building-list');
+  for (const id of Object.keys(RULES.BUILDINGS)) {
+    const row = document.createElement('div');
+    row.style.marginTop = '8px';
+    row.innerHTML = `<button id="building-${id}" class="btn"></button><div class="perk-desc">${buildingText(id, 'description')}</div>`;
+    buildingList.appendChild(row);
+    row.querySelector('button').onclick = () => {
+      placingBuilding = placingBuilding === id ? null : id;
+      updateBuildingUI();
+      if (!placingBuilding) return;
+      setPanelOpen(false);
+      flashInfo(tr('shop.placeBuilding', { building: buildingText(id, 'name') }));
+    };
+  }
+
+  setupMarketUI(scene);
+
+  const mergeCrops = document.getElementById('auto-merge-crops');
+  for (const t of RULES.CROP_TYPES) {
+    const label = document.createElement('label');
+    label.style.marginRight = '8px';
+    label.innerHTML = `<input type="checkbox" data-crop="${t.id}"> ${cropName(t.id)}`;
+    mergeCrops.appendChild(label);
+  }
+  mergeCrops.onchange = () => {
+    const excluded = [];
+    for (const box of mergeCrops.querySelectorAll('input')) {
+      if (!box.checked) excluded.push(box.getAttribute('data-crop'));
+    }
+    applyResult(scene, FarmEngine.configureAutoMerge(state, { excluded }));
+  };
+  const capSelect = document.getElementById('auto-merge-cap');
+  const topLevel = Math.max(...RULES.CROP_TYPES.map(t => t.maxLevel));
+  capSelect.innerHTML = `<option value="">${tr('shop.noLimit')}</option>`;
+  for (let level = 2; level <= topLevel; level++) {
+    capSelect.innerHTML += `<option value="${level}">${level}</option>`;
+  }
+  capSelect.onchange = () => {
+    const levelCap = capSelect.value ? parseInt(capSelect.value, 10) : null;
+    applyResult(scene, FarmEngine.configureAutoMerge(state, { levelCap }));
+  };
+
+  document.getElementById('buy-col').onclick = () => {
+    applyResult(scene, FarmEngine.expandGrid(state, 'col'));
+  };
+  document.getElementById('buy-row').onclick = () => {
+    applyResult(scene, FarmEngine.expandGrid(state, 'row'));
+  };
+
+  document.getElementById('do-prestige').onclick = () => {
+    const message = tr('prestige.confirm', { count: FarmEngine.prestigePoints(state) });
+    if (FarmEngine.canPrestige(state) && !window.confirm(message)) return;
+    applyResult(scene, FarmEngine.prestige(state));
+  };
+  const perkList = document.getElementById('perk-list');
+  for (const id of Object.keys(RULES.PERKS)) {
+    const row = document.createElement('div');
+    row.style.marginTop = '8px';
+    row.innerHTML = `<button id="perk-${id}" class="btn"></button><div class="perk-desc">${perkText(id, 'description')}</div>`;
+    perkList.appendChild(row);
+    row.querySelector('button').onclick = () => {
+      applyResult(scene, FarmEngine.buyPerk(state, id));
+    };
+  }
+
+  // sound settings: applied live and stored on every change
+  const channels = ['master', 'sfx', 'music'];
+  const muted = document.getElementById('sound-muted');
+  const onSoundChange = () => {
+    const settings = { muted: muted.checked };
+    for (const channel of channels) settings[channel] = document.getElementById('vol-' + channel).value / 100;
+    audio.setSettings(settings);
+    FarmAudio.saveSettings(localStorage, settings);
+  };
+  for (const channel of channels) {
+    const slider = document.getElementById('vol-' + channel);
+    slider.value = Math.round(audio.settings[channel] * 100);
+    slider.addEventListener('input', onSoundChange);
+  }
+  muted.checked = audio.settings.muted;
+  muted.addEventListener('input', onSoundChange);
+  // preview the effects level when the slider is released
+  document.getElementById('vol-sfx').addEventListener('change', () => audio.play('coin'));
+
+  const language = document.getElementById('language');
+  language.value = i18n.language;
+  language.onchange = () => setLanguage(scene, language.value);
+
+  setupSavesUI(panel);
+}
+
+function updateUI() {
+  coinText.setText(tr('hud.coins', { coins: Math.floor(state.coins) }));
+  updateClimateText();
+  // update shop display values
+  const mulEl = document.getElementById('growth-mul');
+  if (mulEl) mulEl.innerText = tr('shop.multiplier', { factor: FarmEngine.growthSpeed(state) });
+  updateOrderTimers();
+  renderStatsTab();
+  const sizeEl = document.getElementById('farm-size');
+  if (sizeEl) sizeEl.innerText = tr('shop.size', { cols: state.cols, rows: state.rows });
+  const cost = FarmEngine.expansionCost(state);
+  for (const axis of ['col', 'row']) {
+    const btn = document.getElementById('buy-' + axis);
+    if (!btn) continue;
+    const open = FarmEngine.canExpand(state, axis);
+    btn.disabled = !open;
+    const label = tr(axis === 'col' ? 'shop.addColumn' : 'shop.addRow');
+    btn.innerText = open ? tr('shop.cost', { label, cost }) : tr('shop.max', { label });
+  }
+  updateUpgradeUI();
+  updateBuildingUI();
+  updateAutoMergeUI();
+  updatePrestigeUI();
+  renderMarketTab();
+  renderSavesTab();
+}
+
+// "Summer 9m 12s · Rain 1m 5s"
+function updateClimateText() {
+  climateText.setText(tr('hud.climate', {
+    season: seasonName(FarmEngine.currentSeason(state).id),
+    seasonTime: formatDuration(state.season.timeLeft),
+    weather: weatherName(state.weather.id),
+    weatherTime: formatDuration(state.weather.timeLeft)
+  }));
+  climateText.setX(coinText.x + coinText.width + 16);
+}
+
+// crop names that grow or pay more in the current season, e.g. "Corn and Tomato"
+function inSeasonCrops() {
+  const names = RULES.CROP_TYPES.filter(t => {
+    const mod = FarmEngine.seasonModifier(state, t.id);
+    return mod.growth > 1 || mod.value > 1;
+  }).map(t => cropName(t.id));
+  return names.length ? i18n.list(names) : null;
+}
+
+// "Auto Harvester and Growth Speed Lv 2" for missingRequirements() entries
+function describeRequirements(missing) {
+  return i18n.list(missing.map(m => {
+    const name = upgradeText(m.id, 'name');
+    return RULES.UPGRADES[m.id].maxLevel === 1 ? name : tr('shop.requiredLevel', { name, level: m.level });
+  }));
+}
+
+// level, next cost and availability of every shop upgrade
+function updateUpgradeUI() {
+  for (const id of Object.keys(RULES.UPGRADES)) {
+    const btn = document.getElementById('upgrade-' + id);
+    if (!btn) return;
+    const def = RULES.UPGRADES[id];
+    const cost = FarmEngine.upgradeCost(state, id);
+    const problem = FarmEngine.upgradeProblem(state, id);
+    btn.disabled = problem !== null;
+    btn.classList.toggle('unaffordable', problem === 'insufficientCoins');
+    const name = upgradeText(id, 'name');
+    const label = def.maxLevel === 1 ? name : tr('shop.level', { name, level: state.upgrades[id], max: def.maxLevel });
+    if (cost === null) btn.innerText = tr(def.maxLevel === 1 ? 'shop.owned' : 'shop.max', { label });
+    else btn.innerText = tr('shop.cost', { label, cost });
+    const missing = FarmEngine.missingRequirements(state, id);
+    document.getElementById(`upgrade-${id}-requires`).innerText = cost !== null && missing.length
+      ? tr('shop.requires', { requirements: describeRequirements(missing) })
+      : '';
+  }
+}
+
+// building prices; the one being placed reads as a cancel button
+function updateBuildingUI() {
+  for (const id of Object.keys(RULES.BUILDINGS)) {
+    const btn = document.getElementById('building-' + id);
+    if (!btn) return;
+    const cost = FarmEngine.buildingCost(state, id);
+    const placing = placingBuilding === id;
+    btn.disabled = !placing && state.coins < cost;
+    btn.classList.toggle('unaffordable', !placing && state.coins < cost);
+    const label = buildingText(id, 'name');
+    btn.innerText = placing ? tr('shop.placing', { building: label }) : tr('shop.cost', { label, cost });
+  }
+}
+
+function updateAutoMergeUI() {
+  const capSelect = document.getElementById('auto-merge-cap');
+  if (!capSelect) return;
+  for (const box of document.querySelectorAll('#auto-merge-crops input')) {
+    box.checked = state.autoMerge.excluded.indexOf(box.getAttribute('data-crop')) === -1;
+  }
+  capSelect.value = state.autoMerge.levelCap === null ? '' : String(state.autoMerge.levelCap);
+}
+
+function updatePrestigeUI() {
+  const pointsEl = document.getElementById('prestige-points');
+  if (!pointsEl) return;
+  pointsEl.innerText = i18n.number(state.prestige.points);
+  const btn = document.getElementById('do-prestige');
+  const gained = FarmEngine.prestigePoints(state);
+  btn.disabled = !FarmEngine.canPrestige(state);
+  btn.innerText = state.stats.coinsEarned < RULES.PRESTIGE.UNLOCK_LIFETIME_COINS
+    ? tr('prestige.locked', { coins: RULES.PRESTIGE.UNLOCK_LIFETIME_COINS })
+    : tr('prestige.button', { count: gained });
+  for (const id of Object.keys(RULES.PERKS)) {
+    const perk = RULES.PERKS[id];
+    const level = state.prestige.perks[id];
+    const perkBtn = document.getElementById('perk-' + id);
+    const maxed = level >= perk.maxLevel;
+    perkBtn.disabled = maxed || state.prestige.points < FarmEngine.perkCost(state, id);
+    const label = tr('prestige.perkLevel', { name: perkText(id, 'name'), level });
+    perkBtn.innerText = maxed ? tr('shop.max', { label }) : tr('prestige.perkCost', { label, count: FarmEngine.perkCost(state, id) });
+  }
+}
+
+// open or close the side-panel drawer (only has an effect on narrow screens)
+function setPanelOpen(open) {
+  const panel = document.getElementById('side-panel');
+  const toggle = document.getElementById('panel-toggle');
+  panel.classList.toggle('open', open);
+  toggle.setAttribute('aria-expanded', String(open));
+  toggle.innerText = tr(open ? 'panel.close' : 'panel.open');
+  updatePanelMode();
+}
+
+// the drawer hides the panel from screen readers while it is shut
+function updatePanelMode() {
+  const panel = document.getElementById('side-panel');
+  if (!panel) return;
+  const hidden = isNarrow() && !panel.classList.contains('open');
+  panel.setAttribute('aria-hidden', String(hidden));
+  panel.inert = hidden;
+}
+
+function showPanelTab(name) {
+  for (const tab of document.querySelectorAll('#side-panel .tab')) {
+    tab.classList.toggle('active', tab.getAttribute('data-tab') === name);
+    tab.setAttribute('aria-selected', String(tab.getAttribute('data-tab') === name));
+  }
+  for (const page of document.querySelectorAll('#side-panel .tab-page')) {
+    page.style.display = page.id === 'tab-' + name ? '' : 'none';
+  }
+  renderStatsTab();
+  renderMarketTab();
+  renderSavesTab();
+}
+
+// ---------------- BARN / MARKET ----------------
+
+// barn list buttons and the harvest setting; built again with the side panel
+function setupMarketUI(scene) {
+  const list = document.getElementById('barn-list');
+  list.onclick = event => {
+    const btn = event.target.closest('button');
+    if (!btn) return;
+    const slot = Number(btn.getAttribute('data-slot'));
+    if (btn.hasAttribute('data-sell')) applyResult(scene, FarmEngine.sellCrop(state, slot));
+    else plantFromBarn(scene, slot, null);
+  };
+  list.addEventListener('dragstart', event => {
+    const item = event.target.closest('[data-slot]');
+    if (!item) return;
+    event.dataTransfer.setData('text/plain', item.getAttribute('data-slot'));
+    event.dataTransfer.effectAllowed = 'move';
+  });
+  document.getElementById('harvest-to-barn').onchange = event => {
+    applyResult(scene, FarmEngine.configureBarn(state, { harvestToBarn: event.target.checked }));
+  };
+}
+
+// barn crops dragged from the side panel onto a canvas tile; set up once,
+// since the canvas outlives side panels rebuilt for another language
+function setupBarnDrop(scene) {
+  const canvas = scene.game.canvas;
+  canvas.addEventListener('dragover', event => event.preventDefault());
+  canvas.addEventListener('drop', event => {
+    event.preventDefault();
+    const slot = Number(event.dataTransfer.getData('text/plain'));
+    if (!Number.isInteger(slot)) return;
+    const rect = canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * (game.scale.width / rect.width);
+    const y = (event.clientY - rect.top) * (game.scale.height / rect.height);
+    const tile = findTileAt(x, y);
+    if (tile) plantFromBarn(scene, slot, tile.index);
+  });
+}
+
+// put a barn crop on tile `index`, or on the first empty tile when null
+function plantFromBarn(scene, slot, index) {
+  if (index === null) index = state.grid.findIndex(c => !c);
+  if (index === -1) {
+    flashInfo(tr('market.noEmptyTile'));
+    return;
+  }
+  applyResult(scene, FarmEngine.retrieveCrop(state, slot, index));
+}
+
+// line chart of a crop's recent prices
+function priceSparkline(history) {
+  const { MIN, MAX } = RULES.MARKET;
+  const step = 60 / Math.max(1, RULES.MARKET.HISTORY - 1);
+  const points = history.map((p, i) => `${(i * step).toFixed(1)},${(16 - (p - MIN) / (MAX - MIN) * 16).toFixed(1)}`);
+  return `<svg width="60" height="16" aria-hidden="true"><polyline points="${points.join(' ')}" fill="none" stroke="#38761d"/></svg>`;
+}
+
+// the last html written to each market list; unchanged lists are not rebuilt,
+// so buttons and drags survive the per-second refresh
+const marketView = { barn: '', prices: '' };
+
+// barn contents and market prices; only drawn while visible
+function renderMarketTab() {
+  const page = document.getElementById('tab-market');
+  if (!page || page.style.display === 'none') return;
+  document.getElementById('harvest-to-barn').checked = state.harvestToBarn;
+  document.getElementById('barn-count').innerText = tr('market.count', { used: state.barn.length, slots: FarmEngine.barnSlots(state) });
+
+  const barn = state.barn.map((crop, slot) => {
+    const tcfg = FarmEngine.cropType(crop.id);
+    const params = { crop: cropName(crop.id), level: crop.level, stage: crop.stage, stages: crop.maxStage };
+    return `<li draggable="true" data-slot="${slot}"><span style="color:#${tcfg.color.toString(16).padStart(6, '0')}">■</span> ` +
+      `${tr(crop.stage >= crop.maxStage ? 'market.itemGrown' : 'market.itemGrowing', params)}<br>` +
+      `<button class="btn" data-slot="${slot}" data-sell>${tr('market.sell', { coins: FarmEngine.saleValue(state, slot) })}</button> ` +
+      `<button class="btn" data-slot="${slot}">${tr('market.plantBack')}</button></li>`;
+  }).join('') || `<li class="perk-desc">${tr('market.empty')}</li>`;
+  if (barn !== marketView.barn) {
+    document.getElementById('barn-list').innerHTML = barn;
+    marketView.barn = barn;
+  }
+
+  const prices = RULES.CROP_TYPES.map(t => {
+    const history = state.market.history[t.id];
+    const price = FarmEngine.marketPrice(state, t.id);
+    const prev = history.length > 1 ? history[history.length - 2] : price;
+    const trend = price > prev ? '▲' : price < prev ? '▼' : '–';
+    return `<tr><td>${cropName(t.id)}</td><td>${tr('market.price', { factor: +price.toFixed(2) })} ${trend}</td><td>${priceSparkline(history)}</td></tr>`;
+  }).join('');
+  if (prices !== marketView.prices) {
+    document.getElementById('price-table').innerHTML = prices;
+    marketView.prices = prices;
+  }
+}
+
+// lifetime statistics and the achievement list; only drawn while visible
+function renderStatsTab() {
+  const page = document.getElementById('tab-stats');
+  if (!page || page.style.display === 'none') return;
+  const st = state.stats;
+  const perCrop = counts => RULES.CROP_TYPES.map(t => `${cropName(t.id)}: ${i18n.number(counts[t.id] || 0)}`).join('<br>');
+  const perLevel = Object.keys(st.mergesByLevel).sort((a, b) => a - b)
+    .map(level => tr('stats.mergeLevel', { level: Number(level), count: st.mergesByLevel[level] })).join('<br>');
+  const rows = [
+    [tr('stats.playTime'), formatDuration(st.playTime)],
+    [tr('stats.coinsEarned'), i18n.compact(st.coinsEarned)],
+    [tr('stats.coinsSpent'), i18n.compact(st.coinsSpent)],
+    [tr('stats.highestLevel'), st.highestLevel],
+    [tr('stats.merges'), i18n.number(st.merges) + (perLevel ? '<br>' + perLevel : '')],
+    [tr('stats.ordersCompleted'), i18n.number(st.ordersCompleted)],
+    [tr('stats.prestiges'), i18n.number(state.prestige.count)],
+    [tr('stats.planted'), perCrop(st.planted)],
+    [tr('stats.harvested'), perCrop(st.harvested)]
+  ];
+  document.getElementById('stats-table').innerHTML =
+    rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('');
+
+  document.getElementById('achievement-count').innerText =
+    tr('stats.achievementCount', { done: state.achievements.length, total: RULES.ACHIEVEMENTS.length });
+  document.getElementById('achievement-list').innerHTML = RULES.ACHIEVEMENTS.map(a => {
+    const done = state.achievements.indexOf(a.id) !== -1;
+    return `<li class="${done ? 'done' : ''}"><strong>${achievementText(a.id, 'name')}</strong><br>${achievementText(a.id, 'description')}</li>`;
+  }).join('');
+}
+
+// ---------------- TEXT / LANGUAGE ----------------
+
+// the chosen language's message for `key` (string tables live in locales/)
+function tr(key, params) {
+  return i18n.t(key, params);
+}
+
+// "1 coin", "250 coins", "1.2K coins"
+function coins(amount) {
+  return tr('coins', { count: Math.floor(amount) });
+}
+
+// text typed by the player (slot names), made safe for innerHTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// name or description of a rules entry from the string tables; content packs
+// and plugins can add entries the tables do not know, which keep their English text
+function ruleText(kind, id, field, english) {
+  const key = `${kind}.${id}.${field}`;
+  return i18n.has(key) ? tr(key) : english;
+}
+
+function cropName(id) {
+  return ruleText('crop', id, 'name', FarmEngine.cropType(id).name);
+}
+
+function upgradeText(id, field) {
+  return ruleText('upgrade', id, field, RULES.UPGRADES[id][field]);
+}
+
+function perkText(id, field) {
+  return ruleText('perk', id, field, RULES.PERKS[id][field]);
+}
+
+function buildingText(id, field) {
+  return ruleText('building', id, field, RULES.BUILDINGS[id][field]);
+}
+
+function achievementText(id, field) {
+  return ruleText('achievement', id, field, RULES.ACHIEVEMENTS.find(a => a.id === id)[field]);
+}
+
+function seasonName(id) {
+  return ruleText('season', id, 'name', RULES.SEASONS.LIST.find(s => s.id === id).name);
+}
+
+function weatherName(id) {
+  return ruleText('weather', id, 'name', RULES.WEATHER[id].name);
+}
+
+// switch the game to another language and remember the choice; the side
+// panel is built again and every canvas text redrawn
+function setLanguage(scene, language) {
+  loadStrings(language)
+    .then(() => {
+      FarmI18n.saveLanguage(localStorage, language);
+      const open = document.getElementById('side-panel').classList.contains('open');
+      document.getElementById('side-panel').remove();
+      document.getElementById('panel-toggle').remove();
+      marketView.barn = '';
+      marketView.prices = '';
+      savesView.slots = '';
+      savesView.backups = '';
+      createShopUI(scene);
+      setPanelOpen(open);
+      showPanelTab('settings');
+      document.getElementById('language').focus();
+      scene.game.canvas.setAttribute('aria-label', tr('keys.label', { help: tr('keys.help') }));
+      renderBoard(scene);
+      updateUI();
+      flashInfo(tr('settings.languageChanged', { language: FarmI18n.LANGUAGES[language] }));
+    })
+    .catch(e => {
+      console.warn('Language change failed', e);
+      document.getElementById('language').value = i18n.language;
+      flashInfo(tr('settings.languageFailed'));
+    });
+}
+
+// small temporary notification text, mirrored to the screen-reader live region
+let infoTimer = null;
+function flashInfo(msg) {
+  const scene = game.scene.scenes[0];
+  if (!scene) return;
+  if (infoTimer) { clearTimeout(infoTimer); infoTimer = null; }
+  infoText.setText(msg);
+  announce(msg);
+  infoTimer = setTimeout(() => {
+    infoText.setText(tr('hint.info'));
+    infoTimer = null;
+  }, 2500);
+}
+
+// ---------------- KEYBOARD / SCREEN READER ----------------
+
+let cursorIndex = 0; // tile under the keyboard cursor
+let heldIndex = null; // tile of the crop picked up with P, or null
+let cursorFrame = null; // outline drawn over the cursor tile
+
+// polite live region: every status message is read out by screen readers
+function announce(msg) {
+  const region = document.getElementById('sr-status');
+  if (!region) return;
+  // clear first so repeating the same message is still announced
+  region.textContent = '';
+  setTimeout(() => { region.textContent = msg; }, 30);
+}
+
+// spoken summary of a tile: position plus crop, level and growth
+function describeTile(index) {
+  const col = index % state.cols + 1;
+  const row = Math.floor(index / state.cols) + 1;
+  const crop = state.grid[index];
+  let contents;
+  if (state.buildings[index]) {
+    contents = buildingText(state.buildings[index].id, 'name');
+  } else if (!crop) {
+    contents = tr('tile.empty');
+  } else {
+    contents = crop.stage >= crop.maxStage
+      ? tr('tile.cropReady', { crop: cropName(crop.id), level: crop.level })
+      : tr('tile.cropGrowing', { crop: cropName(crop.id), level: crop.level, stage: crop.stage, stages: crop.maxStage, count: Math.ceil(crop.timeLeft) });
+  }
+  return tr(heldIndex === index ? 'tile.held' : 'tile.describe', { row, col, contents });
+}
+
+function setupKeyboard(scene) {
+  const canvas = scene.game.canvas;
+  canvas.setAttribute('tabindex', '0');
+  canvas.setAttribute('role', 'application');
+  canvas.setAttribute('aria-label', tr('keys.label', { help: tr('keys.help') }));
+  canvas.addEventListener('focus', () => announce(describeTile(cursorIndex)));
+  scene.input.keyboard.on('keydown', event => onGameKey(scene, event));
+}
+
+// keys only drive the farm while focus is on the page or the canvas, never
+// while typing in the side panel
+function onGameKey(scene, event) {
+  if (event.target !== document.body && event.target !== scene.game.canvas) return;
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  const handled = popover ? onPopoverKey(event) : onBoardKey(scene, event);
+  if (handled) event.preventDefault();
+}
+
+function onBoardKey(scene, event) {
+  const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  if (steps[key]) {
+    const col = Phaser.Math.Clamp(cursorIndex % state.cols + steps[key][0], 0, state.cols - 1);
+    const row = Phaser.Math.Clamp(Math.floor(cursorIndex / state.cols) + steps[key][1], 0, state.rows - 1);
+    cursorIndex = row * state.cols + col;
+    drawCursor();
+    announce(describeTile(cursorIndex));
+  } else if (key === 'Enter' || key === ' ') {
+    onTileClicked(scene, tiles[cursorIndex], { event });
+  } else if (key === 'p') {
+    pickUpCrop();
+  } else if (key === 'd') {
+    dropCrop(scene);
+  } else if (key >= '1' && key <= '9') {
+    const order = state.orders[Number(key) - 1];
+    if (!order) announce(tr('keys.noOrder', { n: Number(key) }));
+    else applyResult(scene, FarmEngine.deliverOrder(state, cursorIndex, order.id));
+  } else if (key === 'b') {
+    releaseHeld();
+    if (!state.grid[cursorIndex]) announce(tr('keys.nothingToStore'));
+    else applyResult(scene, FarmEngine.storeCrop(state, cursorIndex));
+  } else if (key === 's' || key === 'a' || key === 'm') {
+    focusPanel({ s: 'shop', a: 'stats', m: 'market' }[key]);
+  } else if (key === 'h' || key === '?') {
+    announce(tr('keys.help'));
+  } else if (key === 'Escape' && placingBuilding) {
+    placingBuilding = null;
+    updateBuildingUI();
+    announce(tr('keys.placementCancelled'));
+  } else if (key === 'Escape' && heldIndex !== null) {
+    releaseHeld();
+    announce(tr('keys.pickUpCancelled'));
+  } else {
+    return false;
+  }
+  return true;
+}
+
+function pickUpCrop() {
+  const building = state.buildings[cursorIndex];
+  if (!state.grid[cursorIndex] && !building) {
+    announce(tr('keys.nothingToPickUp'));
+    return;
+  }
+  releaseHeld();
+  heldIndex = cursorIndex;
+  const sprite = building ? buildingSprites[heldIndex] : cropSprites[heldIndex];
+  sprite.setAlpha(0.6);
+  if (building) showBuildingArea(sprite.scene, heldIndex, building.id);
+  else showMergeTargets(sprite.scene, heldIndex);
+  drawCursor();
+  announce(tr('keys.pickedUp', { tile: describeTile(cursorIndex) }));
+}
+
+// drop on an empty tile moves the crop, on a crop merges it; buildings only move
+function dropCrop(scene) {
+  if (heldIndex === null) {
+    announce(tr('keys.nothingHeld'));
+    return;
+  }
+  const from = heldIndex;
+  releaseHeld();
+  if (from === cursorIndex) {
+    announce(tr('keys.putBack'));
+    return;
+  }
+  if (state.buildings[from]) {
+    const events = applyResult(scene, FarmEngine.moveBuilding(state, from, cursorIndex));
+    if (events.some(e => e.type === 'buildingMoved')) announce(describeTile(cursorIndex));
+    return;
+  }
+  if (!state.grid[from]) {
+    announce(tr('keys.cropGone'));
+    return;
+  }
+  const res = state.grid[cursorIndex]
+    ? FarmEngine.merge(state, from, cursorIndex)
+    : FarmEngine.move(state, from, cursorIndex);
+  const events = applyResult(scene, res);
+  if (events.some(e => e.type === 'moved')) announce(describeTile(cursorIndex));
+}
+
+function releaseHeld() {
+  const sprite = heldIndex !== null ? cropSprites[heldIndex] || buildingSprites[heldIndex] : null;
+  if (sprite) sprite.setAlpha(1);
+  heldIndex = null;
+  clearMergeTargets();
+  clearBuildingArea();
+  drawCursor();
+}
+
+// outline the cursor tile: green normally, orange while holding a crop
+function drawCursor() {
+  if (!cursorFrame || !tiles[cursorIndex]) return;
+  const tile = tiles[cursorIndex];
+  cursorFrame.setPosition(tile.x, tile.y);
+  cursorFrame.setSize(layout.tileSize + 8, layout.tileSize + 8);
+  cursorFrame.setStrokeStyle(4, heldIndex === null ? 0x1c4587 : 0xe69138);
+}
+
+// (re)create the cursor after the tiles are rebuilt
+function buildCursor(scene) {
+  if (cursorFrame) cursorFrame.destroy();
+  if (cursorIndex >= tiles.length) cursorIndex = 0;
+  heldIndex = null;
+  clearMergeTargets();
+  cursorFrame = scene.add.rectangle(0, 0, 1, 1).setDepth(900).setOrigin(0.5);
+  drawCursor();
+}
+
+// jump to a side-panel tab and put keyboard focus on its first control
+function focusPanel(name) {
+  setPanelOpen(true);
+  showPanelTab(name);
+  const page = document.getElementById('tab-' + name);
+  const first = page.querySelector('button:not([disabled]), input, select, textarea, [tabindex]');
+  if (!first) page.setAttribute('tabindex', '-1');
+  (first || page).focus();
+  announce(tr('keys.panel', { panel: tr('keys.panel.' + name) }));
+}
+
+// ---------------- DEBUG CONSOLE ----------------
+// debug.js is not part of index.html: it is fetched only when a developer
+// opens the page with ?debug or presses Ctrl+Shift+D
+let debugPanel = null; // FarmDebug panel once loaded
+
+// ?debug in the URL: the console opens at once and missing strings are reported
+function isDevMode() {
+  const flag = new URLSearchParams(window.location.search).get('debug');
+  return flag !== null && flag !== '0';
+}
+
+function setupDebug(scene) {
+  if (isDevMode()) toggleDebug(scene);
+  window.addEventListener('keydown', event => {
+    if (!event.ctrlKey || !event.shiftKey || event.key.toLowerCase() !== 'd') return;
+    event.preventDefault();
+    toggleDebug(scene);
+  });
+}
+
+function toggleDebug(scene) {
+  if (debugPanel) {
+    debugPanel.toggle();
+    return;
+  }
+  const script = document.createElement('script');
+  script.src = CONFIG.DEBUG_SCRIPT_URL;
+  script.onload = () => {
+    debugPanel = FarmDebug.createPanel({
+      getState: () => state,
+      apply: res => applyResult(scene, res),
+      // one engine tick for the whole span: it still runs every auto harvester
+      // and auto-merger round inside it, so the farm ends up as after real play
+      warp: minutes => {
+        applyResult(scene, FarmEngine.tick(state, minutes * 60));
+        updateCropOverlays();
+      },
+      setTickSpeed: speed => { tickTimer.timeScale = speed; }
+    });
+  };
+  script.onerror = () => console.warn(`Debug console "${CONFIG.DEBUG_SCRIPT_URL}" failed to load`);
+  document.head.appendChild(script);
+}
+
+// ---------------- SAVE / LOAD / EXPORT / IMPORT ----------------
+
+// write the running game to the active slot; while the tab is hidden the
+// save is dated to when it was hidden, since the farm has not moved since
+function saveGame() {
+  try {
+    const data = FarmSave.serialize(state, hiddenAt || Date.now());
+    slots.write(slots.activeId(), data);
+    FarmGame.emit('saved', { savedAt: data.savedAt });
+  } catch (e) {
+    console.warn('Save failed', e);
+  }
+}
+
+// keep the running game as a backup of the active slot before a load,
+// import or restore replaces it, so that step can be undone
+function backUpRunningGame() {
+  try {
+    slots.backup(slots.activeId(), FarmSave.serialize(state, Date.now()));
+  } catch (e) {
+    console.warn('Backup failed', e);
+  }
+}
+
+function loadGame(showFlash=false, applyOffline=false) {
+  try {
+    const raw = slots.read(slots.activeId());
+    if (!raw) {
+      if (showFlash) flashInfo(tr('save.none'));
+      return;
+    }
+    applySave(FarmSave.parse(raw), applyOffline);
+    if (showFlash) flashInfo(tr('save.loaded'));
+  } catch (e) {
+    console.warn('Load failed', e);
+    if (showFlash) flashInfo(tr('save.loadFailed', { error: e.message }));
+  }
+}
+
+// replace the running game with validated save data
+function applySave(data, applyOffline=false) {
+  const scene = game.scene.scenes[0];
+  state = FarmSave.toState(data);
+  renderBoard(scene);
+  FarmGame.emit('loaded', { savedAt: data.savedAt, offline: applyOffline });
+  if (applyOffline) applyOfflineProgress(scene, data.savedAt);
+  updateUI();
+}
+
+function exportSave() {
+  try {
+    return slots.read(slots.activeId()) || '{}';
+  } catch (e) { return '{}'; }
+}
+
+// validate before touching storage: a bad import must not replace a good save
+// throws FarmSave.SaveError describing every invalid field
+function importSave(raw) {
+  const data = FarmSave.parse(raw);
+  backUpRunningGame();
+  applySave(data);
+  saveGame();
+}
+
+// importSave() with a status message; rejected fields are listed in the console
+function importWithMessage(raw) {
+  try {
+    importSave(raw);
+    flashInfo(tr('save.imported'));
+  } catch (e) {
+    if (!(e instanceof FarmSave.SaveError)) throw e;
+    console.warn('Import rejected', e.errors);
+    flashInfo(tr('save.importFailed', { error: e.message }));
+  }
+}
+
+// a .json save file picked or dropped by the player
+function importSaveFile(file) {
+  file.text().then(importWithMessage, e => {
+    console.warn('Save file unreadable', e);
+    flashInfo(tr('saves.fileUnreadable', { file: file.name }));
+  });
+}
+
+// the active slot as a .json file, named after the slot and today's date
+function downloadSave() {
+  saveGame();
+  const slot = slots.list().find(s => s.active);
+  const name = CONFIG.SAVE_FILE_NAME
+    .replace('{slot}', slot.name.replace(/[^\w-]+/g, '-').toLowerCase())
+    .replace('{date}', new Date().toISOString().slice(0, 10));
+  const url = URL.createObjectURL(new Blob([exportSave()], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  flashInfo(tr('saves.downloaded', { file: name }));
+}
+
+// save the current slot, then play slot `id`: its save with the time it was
+// left credited, or a new farm when it has none
+// returns false, staying on the current slot, when the save does not load
+function playSlot(id) {
+  saveGame();
+  const raw = slots.read(id);
+  let data;
+  try {
+    data = raw ? FarmSave.parse(raw) : FarmSave.serialize(FarmEngine.createState(), Date.now());
+  } catch (e) {
+    console.warn('Load failed', e);
+    flashInfo(tr('save.loadFailed', { error: e.message }));
+    return false;
+  }
+  slots.select(id);
+  applySave(data, !!raw);
+  saveGame();
+  flashInfo(tr('saves.playing', { name: slots.list().find(s => s.id === id).name }));
+  return true;
+}
+
+function newSlot() {
+  const input = document.getElementById('slot-name');
+  const name = input.value.trim() || tr('saves.defaultName', { n: slots.list().length + 1 });
+  input.value = '';
+  playSlot(slots.create(name));
+}
+
+function renameSlot(id) {
+  const slot = slots.list().find(s => s.id === id);
+  const name = window.prompt(tr('saves.renamePrompt'), slot.name);
+  if (name === null || !name.trim()) return;
+  slots.rename(id, name);
+  renderSavesTab();
+}
+
+function deleteSlot(id) {
+  const slot = slots.list().find(s => s.id === id);
+  if (!window.confirm(tr('saves.deleteConfirm', { name: slot.name }))) return;
+  // the active slot is played elsewhere first, so the running game is not
+  // saved into the slot that took its place
+  if (slot.active && !playSlot(slots.list().find(s => s.id !== id).id)) return;
+  slots.remove(id);
+  flashInfo(tr('saves.deleted', { name: slot.name }));
+  renderSavesTab();
+}
+
+function restoreBackup(at) {
+  try {
+    const data = FarmSave.parse(slots.readBackup(slots.activeId(), at));
+    backUpRunningGame();
+    applySave(data);
+    saveGame();
+    flashInfo(tr('saves.restored', { date: i18n.dateTime(at) }));
+  } catch (e) {
+    console.warn('Restore failed', e);
+    flashInfo(tr('save.loadFailed', { error: e.message }));
+  }
+}
+
+// slot and backup buttons, the file picker and file drops; built again with the side panel
+function setupSavesUI(panel) {
+  document.getElementById('manual-save').onclick = () => { saveGame(); flashInfo(tr('save.saved')); };
+  document.getElementById('manual-load').onclick = () => {
+    backUpRunningGame();
+    loadGame(true);
+  };
+  document.getElementById('slot-new').onclick = newSlot;
+  document.getElementById('slot-list').onclick = event => {
+    const btn = event.target.closest('button[data-action]');
+    if (!btn) return;
+    const id = Number(btn.closest('[data-slot-id]').getAttribute('data-slot-id'));
+    const action = btn.getAttribute('data-action');
+    if (action === 'play') playSlot(id);
+    else if (action === 'rename') renameSlot(id);
+    else if (action === 'delete') deleteSlot(id);
+  };
+  document.getElementById('backup-list').onclick = event => {
+    const btn = event.target.closest('button[data-at]');
+    if (btn) restoreBackup(Number(btn.getAttribute('data-at')));
+  };
+
+  document.getElementById('save-download').onclick = downloadSave;
+  const picker = document.getElementById('save-file');
+  document.getElementById('save-upload').onclick = () => picker.click();
+  picker.onchange = () => {
+    if (picker.files.length) importSaveFile(picker.files[0]);
+    picker.value = '';
+  };
+  // files only: barn crops dragged inside the panel carry text, not files
+  panel.addEventListener('dragover', event => {
+    if (!event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    panel.classList.add('file-over');
+  });
+  panel.addEventListener('dragleave', event => {
+    if (!panel.contains(event.relatedTarget)) panel.classList.remove('file-over');
+  });
+  panel.addEventListener('drop', event => {
+    panel.classList.remove('file-over');
+    if (!event.dataTransfer.files.length) return;
+    event.preventDefault();
+    importSaveFile(event.dataTransfer.files[0]);
+  });
+
+  document.getElementById('do-export').onclick = () => {
+    const j = exportSave();
+    document.getElementById('export-data').value = j;
+    flashInfo(tr('save.exported'));
+  };
+  document.getElementById('do-import').onclick = () => {
+    const raw = document.getElementById('import-data').value;
+    if (!raw) { flashInfo(tr('save.importEmpty')); return; }
+    importWithMessage(raw);
+  };
+}
+
+// "12/05/26, 14:03 · 1.2K coins · best crop Lv 4"
+function saveSummary(summary) {
+  return tr('saves.summary', { date: i18n.dateTime(summary.savedAt), coins: coins(summary.coins), level: summary.highestLevel });
+}
+
+// the last html written to each saves list, as in marketView
+const savesView = { slots: '', backups: '' };
+
+// slots with what each holds, and the active slot's backups; only drawn while visible
+function renderSavesTab() {
+  const page = document.getElementById('tab-saves');
+  if (!page || page.style.display === 'none') return;
+  const list = slots.list();
+  const slotHtml = list.map(slot => {
+    const play = slot.active ? '' : `<button class="btn" data-action="play">${tr('saves.play')}</button> `;
+    const remove = list.length > 1 ? ` <button class="btn" data-action="delete">${tr('saves.delete')}</button>` : '';
+    return `<li class="${slot.active ? 'active' : ''}" data-slot-id="${slot.id}"><strong>${escapeHtml(slot.name)}</strong>` +
+      `${slot.active ? ' ' + tr('saves.current') : ''}<br>` +
+      `<span class="perk-desc">${slot.summary ? saveSummary(slot.summary) : tr('saves.empty')}</span><br>` +
+      `${play}<button class="btn" data-action="rename">${tr('saves.rename')}</button>${remove}</li>`;
+  }).join('');
+  if (slotHtml !== savesView.slots) {
+    document.getElementById('slot-list').innerHTML = slotHtml;
+    savesView.slots = slotHtml;
+  }
+  document.getElementById('slot-new').disabled = slots.isFull();
+
+  const backupHtml = slots.backups(slots.activeId()).map(b =>
+    `<li>${saveSummary(b.summary)} <button class="btn" data-at="${b.at}">${tr('saves.restore')}</button></li>`
+  ).join('') || `<li class="perk-desc">${tr('saves.noBackups')}</li>`;
+  if (backupHtml !== savesView.backups) {
+    document.getElementById('backup-list').innerHTML = backupHtml;
+    savesView.backups = backupHtml;
+  }
+}
+
+// ---------------- OFFLINE PROGRESS ----------------
+
+// fast-forward the farm by the time since `lastActive` (ms timestamp)
+function applyOfflineProgress(scene, lastActive) {
+  if (!lastActive) return;
+  const now = Date.now();
+  if (now < lastActive) {
+    // system clock was set backwards: grant nothing rather than trusting it
+    console.warn('Clock moved backwards since last save; ignoring offline time.');
+    return;
+  }
+  const elapsed = Math.min((now - lastActive) / 1000, CONFIG.OFFLINE_MAX_SECONDS);
+
+  // applied quietly: hours of events would otherwise all animate, sound,
+  // announce and reach plugins at once; the away popup sums them up instead
+  const coinsBefore = state.coins;
+  const res = FarmEngine.tick(state, elapsed, { offline: true });
+  const events = res.events;
+  state = res.state;
+  renderBoard(scene);
+  updateUI();
+  if (state.coins !== coinsBefore) {
+    FarmGame.emit('coinsChanged', { coins: state.coins, delta: state.coins - coinsBefore });
+  }
+  // tiles, not events: a crop set back by a storm matures twice
+  const matured = new Set(events.filter(e => e.type === 'matured').map(e => e.index)).size;
+  // the coin balance counts auto-merge bonuses and compost replanting too
+  const earned = state.coins - coinsBefore;
+  const stored = events.filter(e => e.type === 'stored').length;
+  saveGame();
+
+  if (elapsed >= CONFIG.OFFLINE_MIN_SECONDS) {
+    showAwayPopup({ elapsed, capped: (now - lastActive) / 1000 > CONFIG.OFFLINE_MAX_SECONDS, matured, earned, stored });
+  }
+}
+
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  if (h > 0) return tr('duration.hours', { h, m });
+  if (m > 0) return tr('duration.minutes', { m, s });
+  return tr('duration.seconds', { s });
+}
+
+function showAwayPopup(summary) {
+  let popup = document.getElementById('away-popup');
+  if (popup) popup.remove();
+  popup = document.createElement('div');
+  popup.id = 'away-popup';
+  popup.innerHTML = `
+    <h3>${tr('away.title')}</h3>
+    <div>${tr('away.time')} <strong>${formatDuration(summary.elapsed)}</strong>${summary.capped ? ' ' + tr('away.capped') : ''}</div>
+    <div>${tr('away.matured')} <strong>${i18n.number(summary.matured)}</strong></div>
+    <div>${tr('away.earned')} <strong>${i18n.compact(summary.earned)}</strong></div>
+    ${summary.stored ? `<div>${tr('away.stored')} <strong>${i18n.number(summary.stored)}</strong></div>` : ''}
+    <div style="margin-top:10px;"><button id="away-close" class="btn">${tr('away.collect')}</button></div>
+  `;
+  document.body.appendChild(popup);
+  document.getElementById('away-close').onclick = () => popup.remove();
 }
 
 // ------------- END -------------
@@ -0,0 +1,572 @@
+/* save.js
+   Idle Merge Farm — save format
+   - every save carries a `version`; older saves are upgraded through
+     MIGRATIONS one version at a time until they reach CURRENT_VERSION
+   - validate() checks the migrated data field by field and throws a
+     SaveError listing every problem, so bad saves never reach the board
+   - serialize()/toState() convert between engine state and save data;
+     a save is split into `run` data (reset by a prestige) and
+     `permanent` data (unlocks, stats, achievements, prestige perks)
+   Loaded as a browser global (FarmSave) or via require('./save').
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'));
+  } else {
+    root.FarmSave = factory(root.FarmEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FarmEngine) {
+  'use strict';
+
+  const CURRENT_VERSION = 13;
+
+  class SaveError extends Error {
+    // errors: [{ field, message }]
+    constructor(errors) {
+      super(errors.map(e => e.field ? `${e.field}: ${e.message}` : e.message).join('; '));
+      this.name = 'SaveError';
+      this.errors = errors;
+    }
+  }
+
+  // MIGRATIONS[n] upgrades a version-n save to version n+1
+  const MIGRATIONS = {
+    // v1: the original unversioned format, timestamp stored as lastActive
+    1: data => {
+      const out = Object.assign({}, data, { version: 2, savedAt: data.lastActive || null });
+      delete out.lastActive;
+      return out;
+    },
+    // v2 -> v3: seed unlocks, default seed and merge count
+    2: data => Object.assign({}, data, {
+      version: 3,
+      unlocked: FarmEngine.createState().unlocked,
+      selectedCrop: FarmEngine.RULES.CROP_TYPES[0].id,
+      stats: { merges: 0 }
+    }),
+    // v3 -> v4: grid dimensions; earlier saves are always the original 4x4 board
+    3: data => Object.assign({}, data, { version: 4, cols: 4, rows: 4 }),
+    // v4 -> v5: order board, reward seeds, random generator and highest level reached
+    4: data => {
+      const fresh = FarmEngine.createState();
+      const levels = (Array.isArray(data.grid) ? data.grid : []).filter(c => c && Number.isInteger(c.level)).map(c => c.level);
+      return Object.assign({}, data, {
+        version: 5,
+        stats: Object.assign({}, data.stats, { highestLevel: Math.max(1, ...levels) }),
+        seeds: [],
+        orders: [],
+        orderRefresh: fresh.orderRefresh,
+        nextOrderId: 1,
+        rng: fresh.rng
+      });
+    },
+    // v5 -> v6: lifetime statistics and achievements
+    5: data => Object.assign({}, data, {
+      version: 6,
+      stats: Object.assign({}, FarmEngine.createState().stats, data.stats),
+      achievements: []
+    }),
+    // v6 -> v7: prestige; the flat save splits into `run` (reset by a
+    // prestige) and `permanent` (kept) sections
+    6: data => {
+      const run = {};
+      const permanent = {};
+      for (const key of Object.keys(data)) {
+        if (key === 'version' || key === 'savedAt') continue;
+        const section = ['unlocked', 'selectedCrop', 'stats', 'achievements', 'rng'].indexOf(key) === -1 ? run : permanent;
+        section[key] = data[key];
+      }
+      run.runCoinsEarned = data.stats && Number.isFinite(data.stats.coinsEarned) ? data.stats.coinsEarned : 0;
+      permanent.prestige = FarmEngine.createState().prestige;
+      return { version: 7, savedAt: data.savedAt, run, permanent };
+    },
+    // v7 -> v8: auto-merger level and timer (run) and its settings (permanent)
+    7: data => {
+      const fresh = FarmEngine.createState();
+      return Object.assign({}, data, {
+        version: 8,
+        run: Object.assign({}, data.run, {
+          upgrades: Object.assign({}, data.run && data.run.upgrades, { autoMerger: 0 }),
+          autoMergeTimer: fresh.autoMergeTimer
+        }),
+        permanent: Object.assign({}, data.permanent, { autoMerge: fresh.autoMerge })
+      });
+    },
+    // v8 -> v9: upgrades become a map of levels; the growth multiplier
+    // (x1.25 per purchase) turns back into a purchase count
+    8: data => {
+      const fresh = FarmEngine.createState();
+      const old = (data.run && data.run.upgrades) || {};
+      const speed = FarmEngine.RULES.UPGRADES.growthSpeed;
+      const multiplier = isNumber(old.growthSpeedMultiplier) ? old.growthSpeedMultiplier : 1;
+      const speedLevel = Math.round(Math.log(Math.max(1, multiplier)) / Math.log(speed.effect(1)));
+      return Object.assign({}, data, {
+        version: 9,
+        run: Object.assign({}, data.run, {
+          upgrades: Object.assign({}, fresh.upgrades, {
+            growthSpeed: Math.min(speedLevel, speed.maxLevel),
+            autoHarvester: old.autoHarvester === true ? 1 : 0,
+            autoMerger: old.autoMerger
+          }),
+          autoHarvestTimer: fresh.autoHarvestTimer
+        })
+      });
+    },
+    // v9 -> v10: crops remember whether their current stage is fertilized
+    9: data => Object.assign({}, data, {
+      version: 10,
+      run: Object.assign({}, data.run, {
+        grid: Array.isArray(data.run && data.run.grid)
+          ? data.run.grid.map(c => c && typeof c === 'object' ? Object.assign({}, c, { fertilized: false }) : c)
+          : data.run && data.run.grid
+      })
+    }),
+    // v10 -> v11: barn storage and its upgrade (run), market prices and the
+    // harvest-to-barn setting (permanent)
+    10: data => {
+      const fresh = FarmEngine.createState();
+      return Object.assign({}, data, {
+        version: 11,
+        run: Object.assign({}, data.run, {
+          upgrades: Object.assign({}, data.run && data.run.upgrades, { barnSlots: 0 }),
+          barn: []
+        }),
+        permanent: Object.assign({}, data.permanent, { market: fresh.market, harvestToBarn: false })
+      });
+    },
+    // v11 -> v12: storm shelter upgrade (run), season and weather clocks (permanent)
+    11: data => {
+      const fresh = FarmEngine.createState();
+      return Object.assign({}, data, {
+        version: 12,
+        run: Object.assign({}, data.run, {
+          upgrades: Object.assign({}, data.run && data.run.upgrades, { stormShelter: 0 })
+        }),
+        permanent: Object.assign({}, data.permanent, { season: fresh.season, weather: fresh.weather })
+      });
+    },
+    // v12 -> v13: buildings, one slot per tile like the grid
+    12: data => {
+      const run = data.run || {};
+      const size = Number.isInteger(run.cols) && Number.isInteger(run.rows) ? run.cols * run.rows : 0;
+      return Object.assign({}, data, {
+        version: 13,
+        run: Object.assign({}, data.run, { buildings: new Array(size).fill(null) })
+      });
+    }
+  };
+
+  function versionOf(data) {
+    return data.version === undefined ? 1 : data.version;
+  }
+
+  function migrate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new SaveError([{ field: '', message: 'save must be a JSON object' }]);
+    }
+    let version = versionOf(data);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new SaveError([{ field: 'version', message: `unsupported version ${JSON.stringify(data.version)}` }]);
+    }
+    if (version > CURRENT_VERSION) {
+      throw new SaveError([{ field: 'version', message: `save is from a newer game version (v${version})` }]);
+    }
+    while (version < CURRENT_VERSION) {
+      data = MIGRATIONS[version](data);
+      version = versionOf(data);
+    }
+    return data;
+  }
+
+  function isNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v);
+  }
+
+  function validateCrop(crop, field, errors) {
+    if (crop === null) return;
+    if (typeof crop !== 'object' || Array.isArray(crop)) {
+      errors.push({ field, message: 'must be a crop object or null' });
+      return;
+    }
+    const tcfg = FarmEngine.cropType(crop.id);
+    if (!tcfg) {
+      errors.push({ field: field + '.id', message: `unknown crop ${JSON.stringify(crop.id)}` });
+    }
+    const maxLevel = tcfg ? tcfg.maxLevel : Infinity;
+    if (!Number.isInteger(crop.level) || crop.level < 1 || crop.level > maxLevel) {
+      errors.push({ field: field + '.level', message: tcfg ? `must be an integer from 1 to ${maxLevel}` : 'must be an integer >= 1' });
+    }
+    const maxStage = tcfg ? tcfg.stages : Infinity;
+    if (!Number.isInteger(crop.stage) || crop.stage < 1 || crop.stage > maxStage) {
+      errors.push({ field: field + '.stage', message: tcfg ? `must be an integer from 1 to ${maxStage}` : 'must be an integer >= 1' });
+    }
+    if (!isNumber(crop.timeLeft) || crop.timeLeft < 0) {
+      errors.push({ field: field + '.timeLeft', message: 'must be a number >= 0' });
+    }
+    if (typeof crop.fertilized !== 'boolean') {
+      errors.push({ field: field + '.fertilized', message: 'must be true or false' });
+    }
+  }
+
+  // { key: count } maps in stats
+  function validateCounts(counts, field, errors) {
+    if (!counts || typeof counts !== 'object' || Array.isArray(counts)) {
+      errors.push({ field, message: 'must be an object of counts' });
+      return;
+    }
+    for (const key of Object.keys(counts)) {
+      if (!Number.isInteger(counts[key]) || counts[key] < 0) {
+        errors.push({ field: `${field}.${key}`, message: 'must be an integer >= 0' });
+      }
+    }
+  }
+
+  // { id, level } of a reward seed
+  function validateSeed(seed, field, errors) {
+    if (!seed || typeof seed !== 'object') {
+      errors.push({ field, message: 'must be a seed object' });
+      return;
+    }
+    const tcfg = FarmEngine.cropType(seed.id);
+    if (!tcfg) {
+      errors.push({ field: field + '.id', message: `unknown crop ${JSON.stringify(seed.id)}` });
+    } else if (!Number.isInteger(seed.level) || seed.level < 1 || seed.level > tcfg.maxLevel) {
+      errors.push({ field: field + '.level', message: `must be an integer from 1 to ${tcfg.maxLevel}` });
+    }
+  }
+
+  function validateOrder(order, field, errors) {
+    const err = (name, message) => errors.push({ field: `${field}.${name}`, message });
+    if (!order || typeof order !== 'object') {
+      errors.push({ field, message: 'must be an order object' });
+      return;
+    }
+    if (!Number.isInteger(order.id) || order.id < 1) err('id', 'must be an integer >= 1');
+    validateSeed({ id: order.cropId, level: order.level }, field, errors);
+    if (!Number.isInteger(order.qty) || order.qty < 1) err('qty', 'must be an integer >= 1');
+    if (!Number.isInteger(order.delivered) || order.delivered < 0 || order.delivered >= order.qty) {
+      err('delivered', 'must be an integer from 0 to qty - 1');
+    }
+    if (!isNumber(order.timeLeft) || order.timeLeft <= 0) err('timeLeft', 'must be a number > 0');
+    const reward = order.reward;
+    if (reward && isNumber(reward.coins) && reward.coins >= 0) return;
+    if (reward && reward.seed) validateSeed(reward.seed, field + '.reward.seed', errors);
+    else err('reward', 'must be { coins } or { seed }');
+  }
+
+  // fields of the `run` section: everything a prestige resets
+  function validateRun(run, errors) {
+    const err = (field, message) => errors.push({ field: 'run.' + field, message });
+    if (!isNumber(run.coins) || run.coins < 0) err('coins', 'must be a number >= 0');
+    if (!isNumber(run.runCoinsEarned) || run.runCoinsEarned < 0) err('runCoinsEarned', 'must be a number >= 0');
+
+    const up = run.upgrades;
+    if (!up || typeof up !== 'object') {
+      err('upgrades', 'missing');
+    } else {
+      for (const id of Object.keys(FarmEngine.RULES.UPGRADES)) {
+        const max = FarmEngine.RULES.UPGRADES[id].maxLevel;
+        if (!Number.isInteger(up[id]) || up[id] < 0 || up[id] > max) {
+          err(`upgrades.${id}`, `must be an integer from 0 to ${max}`);
+        }
+      }
+    }
+    if (!Array.isArray(run.barn)) {
+      err('barn', 'must be an array');
+    } else {
+      const slots = up && Number.isInteger(up.barnSlots) ? FarmEngine.RULES.UPGRADES.barnSlots.effect(up.barnSlots) : Infinity;
+      if (run.barn.length > slots) err('barn', `must hold at most ${slots} crops (got ${run.barn.length})`);
+      run.barn.forEach((crop, i) => {
+        if (crop === null) err(`barn[${i}]`, 'must be a crop object');
+        else validateCrop(crop, `run.barn[${i}]`, errors);
+      });
+    }
+    if (!isNumber(run.autoHarvestTimer)) err('autoHarvestTimer', 'must be a number');
+    if (!isNumber(run.autoMergeTimer)) err('autoMergeTimer', 'must be a number');
+
+    if (!Array.isArray(run.seeds)) {
+      err('seeds', 'must be an array');
+    } else {
+      run.seeds.forEach((seed, i) => validateSeed(seed, `run.seeds[${i}]`, errors));
+    }
+    if (!Array.isArray(run.orders)) {
+      err('orders', 'must be an array');
+    } else {
+      run.orders.forEach((order, i) => validateOrder(order, `run.orders[${i}]`, errors));
+      const maxId = Math.max(0, ...run.orders.map(o => (o && o.id) || 0));
+      if (!Number.isInteger(run.nextOrderId) || run.nextOrderId <= maxId) {
+        err('nextOrderId', `must be an integer > ${maxId}`);
+      }
+    }
+    if (!isNumber(run.orderRefresh)) err('orderRefresh', 'must be a number');
+
+    const { GRID_START, GRID_MAX } = FarmEngine.RULES;
+    let size = null;
+    if (!Number.isInteger(run.cols) || run.cols < GRID_START.cols || run.cols > GRID_MAX.cols) {
+      err('cols', `must be an integer from ${GRID_START.cols} to ${GRID_MAX.cols}`);
+    } else if (!Number.isInteger(run.rows) || run.rows < GRID_START.rows || run.rows > GRID_MAX.rows) {
+      err('rows', `must be an integer from ${GRID_START.rows} to ${GRID_MAX.rows}`);
+    } else {
+      size = run.cols * run.rows;
+    }
+    if (!Array.isArray(run.grid)) {
+      err('grid', 'must be an array');
+    } else if (size !== null && run.grid.length !== size) {
+      err('grid', `must have ${size} tiles (got ${run.grid.length})`);
+    } else {
+      run.grid.forEach((crop, i) => validateCrop(crop, `run.grid[${i}]`, errors));
+    }
+    if (!Array.isArray(run.buildings)) {
+      err('buildings', 'must be an array');
+    } else if (size !== null && run.buildings.length !== size) {
+      err('buildings', `must have ${size} tiles (got ${run.buildings.length})`);
+    } else {
+      run.buildings.forEach((b, i) => {
+        if (b === null) return;
+        if (!b || typeof b !== 'object' || !Object.prototype.hasOwnProperty.call(FarmEngine.RULES.BUILDINGS, b.id)) {
+          err(`buildings[${i}]`, 'must be null or { id } of a known building');
+        } else if (Array.isArray(run.grid) && run.grid[i]) {
+          err(`buildings[${i}]`, 'shares its tile with a crop');
+        }
+      });
+    }
+  }
+
+  // { prices, history, timer }; crops missing from it start at the base price
+  function validateMarket(market, errors) {
+    const err = (field, message) => errors.push({ field: 'permanent.market.' + field, message });
+    const { MIN, MAX, HISTORY } = FarmEngine.RULES.MARKET;
+    if (!market || typeof market !== 'object') {
+      errors.push({ field: 'permanent.market', message: 'missing' });
+      return;
+    }
+    for (const key of ['prices', 'history']) {
+      if (!market[key] || typeof market[key] !== 'object' || Array.isArray(market[key])) {
+        err(key, 'must be an object keyed by crop id');
+        return;
+      }
+    }
+    for (const id of Object.keys(market.prices)) {
+      const price = market.prices[id];
+      if (!FarmEngine.cropType(id)) err(`prices.${id}`, `unknown crop ${JSON.stringify(id)}`);
+      else if (!isNumber(price) || price < MIN || price > MAX) err(`prices.${id}`, `must be a number from ${MIN} to ${MAX}`);
+    }
+    for (const id of Object.keys(market.history)) {
+      const history = market.history[id];
+      if (!FarmEngine.cropType(id)) {
+        err(`history.${id}`, `unknown crop ${JSON.stringify(id)}`);
+      } else if (!Array.isArray(history) || history.length < 1 || history.length > HISTORY || !history.every(isNumber)) {
+        err(`history.${id}`, `must be 1 to ${HISTORY} numbers`);
+      }
+    }
+    if (!isNumber(market.timer)) err('timer', 'must be a number');
+  }
+
+  // fields of the `permanent` section: everything that survives a prestige
+  function validatePermanent(perm, errors) {
+    const err = (field, message) => errors.push({ field: 'permanent.' + field, message });
+    if (!Array.isArray(perm.unlocked)) {
+      err('unlocked', 'must be an array of crop ids');
+    } else {
+      perm.unlocked.forEach((id, i) => {
+        if (!FarmEngine.cropType(id)) err(`unlocked[${i}]`, `unknown crop ${JSON.stringify(id)}`);
+      });
+      if (perm.unlocked.indexOf(perm.selectedCrop) === -1) err('selectedCrop', 'must be an unlocked crop');
+    }
+
+    const stats = perm.stats;
+    if (!stats || typeof stats !== 'object') {
+      err('stats', 'missing');
+    } else {
+      if (!Number.isInteger(stats.merges) || stats.merges < 0) err('stats.merges', 'must be an integer >= 0');
+      if (!Number.isInteger(stats.highestLevel) || stats.highestLevel < 1) err('stats.highestLevel', 'must be an integer >= 1');
+      for (const key of ['planted', 'harvested', 'mergesByLevel']) {
+        validateCounts(stats[key], 'permanent.stats.' + key, errors);
+      }
+      for (const key of ['coinsEarned', 'coinsSpent', 'playTime']) {
+        if (!isNumber(stats[key]) || stats[key] < 0) err('stats.' + key, 'must be a number >= 0');
+      }
+      if (!Number.isInteger(stats.ordersCompleted) || stats.ordersCompleted < 0) {
+        err('stats.ordersCompleted', 'must be an integer >= 0');
+      }
+    }
+    if (!Array.isArray(perm.achievements)) {
+      err('achievements', 'must be an array');
+    } else {
+      perm.achievements.forEach((id, i) => {
+        if (!FarmEngine.achievement(id)) err(`achievements[${i}]`, `unknown achievement ${JSON.stringify(id)}`);
+      });
+    }
+
+    const prestige = perm.prestige;
+    if (!prestige || typeof prestige !== 'object') {
+      err('prestige', 'missing');
+    } else {
+      if (!Number.isInteger(prestige.points) || prestige.points < 0) err('prestige.points', 'must be an integer >= 0');
+      if (!Number.isInteger(prestige.count) || prestige.count < 0) err('prestige.count', 'must be an integer >= 0');
+      if (!prestige.perks || typeof prestige.perks !== 'object') {
+        err('prestige.perks', 'missing');
+      } else {
+        for (const id of Object.keys(FarmEngine.RULES.PERKS)) {
+          const max = FarmEngine.RULES.PERKS[id].maxLevel;
+          const level = prestige.perks[id];
+          if (!Number.isInteger(level) || level < 0 || level > max) {
+            err(`prestige.perks.${id}`, `must be an integer from 0 to ${max}`);
+          }
+        }
+      }
+    }
+    const autoMerge = perm.autoMerge;
+    if (!autoMerge || typeof autoMerge !== 'object') {
+      err('autoMerge', 'missing');
+    } else {
+      if (!Array.isArray(autoMerge.excluded)) {
+        err('autoMerge.excluded', 'must be an array of crop ids');
+      } else {
+        autoMerge.excluded.forEach((id, i) => {
+          if (!FarmEngine.cropType(id)) err(`autoMerge.excluded[${i}]`, `unknown crop ${JSON.stringify(id)}`);
+        });
+      }
+      if (autoMerge.levelCap !== null && (!Number.isInteger(autoMerge.levelCap) || autoMerge.levelCap < 2)) {
+        err('autoMerge.levelCap', 'must be an integer >= 2 or null');
+      }
+    }
+    validateMarket(perm.market, errors);
+    const { SEASONS, WEATHER } = FarmEngine.RULES;
+    const season = perm.season;
+    if (!season || typeof season !== 'object') {
+      err('season', 'missing');
+    } else {
+      if (!Number.isInteger(season.index) || season.index < 0 || season.index >= SEASONS.LIST.length) {
+        err('season.index', `must be an integer from 0 to ${SEASONS.LIST.length - 1}`);
+      }
+      if (!isNumber(season.timeLeft) || season.timeLeft <= 0 || season.timeLeft > SEASONS.SECONDS) {
+        err('season.timeLeft', `must be a number from 0 to ${SEASONS.SECONDS}`);
+      }
+    }
+    const weather = perm.weather;
+    if (!weather || typeof weather !== 'object') {
+      err('weather', 'missing');
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(WEATHER, weather.id)) err('weather.id', `unknown weather ${JSON.stringify(weather.id)}`);
+      if (!isNumber(weather.timeLeft) || weather.timeLeft <= 0) err('weather.timeLeft', 'must be a number > 0');
+    }
+    if (typeof perm.harvestToBarn !== 'boolean') err('harvestToBarn', 'must be true or false');
+    if (!Number.isInteger(perm.rng) || perm.rng < 0 || perm.rng > 0xFFFFFFFF) {
+      err('rng', 'must be a 32-bit unsigned integer');
+    }
+  }
+
+  // throws SaveError unless `data` is a well-formed current-version save
+  function validate(data) {
+    const errors = [];
+    if (data.version !== CURRENT_VERSION) {
+      errors.push({ field: 'version', message: `expected ${CURRENT_VERSION}` });
+    }
+    if (data.savedAt !== null && !isNumber(data.savedAt)) {
+      errors.push({ field: 'savedAt', message: 'must be a timestamp or null' });
+    }
+    for (const name of ['run', 'permanent']) {
+      if (!data[name] || typeof data[name] !== 'object' || Array.isArray(data[name])) {
+        errors.push({ field: name, message: 'missing' });
+      }
+    }
+    if (data.run && typeof data.run === 'object') validateRun(data.run, errors);
+    if (data.permanent && typeof data.permanent === 'object') validatePermanent(data.permanent, errors);
+
+    if (errors.length) throw new SaveError(errors);
+    return data;
+  }
+
+  // raw JSON text -> validated current-version save data
+  function parse(raw) {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (e) {
+      throw new SaveError([{ field: '', message: 'not valid JSON' }]);
+    }
+    return validate(migrate(data));
+  }
+
+  // state keys stored in each save section
+  const RUN_KEYS = ['coins', 'runCoinsEarned', 'upgrades', 'buildings', 'autoHarvestTimer', 'autoMergeTimer', 'seeds', 'orders', 'orderRefresh', 'nextOrderId', 'cols', 'rows'];
+  const PERMANENT_KEYS = ['unlocked', 'selectedCrop', 'stats', 'achievements', 'prestige', 'autoMerge', 'market', 'harvestToBarn', 'season', 'weather', 'rng'];
+
+  function pick(obj, keys) {
+    const out = {};
+    for (const key of keys) out[key] = JSON.parse(JSON.stringify(obj[key]));
+    return out;
+  }
+
+  // grid and barn crops are saved without the fields toState() can rebuild
+  function saveCrop(c) {
+    if (!c) return null;
+    return {
+      id: c.id,
+      level: c.level,
+      stage: c.stage,
+      timeLeft: c.timeLeft,
+      fertilized: c.fertilized
+    };
+  }
+
+  function loadCrop(state, c) {
+    if (!c) return null;
+    const tcfg = FarmEngine.cropType(c.id);
+    return {
+      id: c.id,
+      level: c.level,
+      stage: c.stage,
+      maxStage: tcfg.stages,
+      growthTime: FarmEngine.growthTime(state, c.id, Math.min(c.stage, tcfg.stages - 1)),
+      timeLeft: c.timeLeft,
+      fertilized: c.fertilized
+    };
+  }
+
+  function serialize(state, now) {
+    const run = pick(state, RUN_KEYS);
+    run.grid = state.grid.map(saveCrop);
+    run.barn = state.barn.map(saveCrop);
+    return {
+      version: CURRENT_VERSION,
+      savedAt: now,
+      run,
+      permanent: pick(state, PERMANENT_KEYS)
+    };
+  }
+
+  // validated save data -> engine state
+  function toState(data) {
+    const state = Object.assign(FarmEngine.createState(), pick(data.permanent, PERMANENT_KEYS), pick(data.run, RUN_KEYS));
+    state.grid = data.run.grid.map(c => loadCrop(state, c));
+    state.barn = data.run.barn.map(c => loadCrop(state, c));
+    // crops added since the save was made start at the base price
+    const market = FarmEngine.createState().market;
+    state.market.prices = Object.assign(market.prices, state.market.prices);
+    state.market.history = Object.assign(market.history, state.market.history);
+    return state;
+  }
+
+  // what a save slot lists about validated save data
+  function summarize(data) {
+    return {
+      savedAt: data.savedAt,
+      coins: Math.floor(data.run.coins),
+      highestLevel: data.permanent.stats.highestLevel
+    };
+  }
+
+  return {
+    CURRENT_VERSION,
+    SaveError,
+    MIGRATIONS,
+    migrate,
+    validate,
+    parse,
+    serialize,
+    toState,
+    summarize
+  };
+});
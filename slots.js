@@ -0,0 +1,218 @@
+/* slots.js
+   Idle Merge Farm — save slots and backups (FarmSlots)
+   - up to MAX_SLOTS named farms; the slot index (names, the active slot and
+     a summary of each save) is one storage entry, every save and backup
+     is its own
+   - writing a slot also keeps a backup copy once the newest backup is
+     BACKUP_INTERVAL old; backup() keeps one at once, for the moments a
+     load, import or restore is about to replace the running game
+   - each slot keeps its MAX_BACKUPS newest backups, timestamped by savedAt
+   - the first open adopts the save from before there were slots as slot 1
+   - storage the browser refuses (private mode, full, disabled) falls back
+     to memory, so the game still starts; saves then last for the session
+   Loaded as a browser global (FarmSlots) or via require('./slots').
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./save'));
+  } else {
+    root.FarmSlots = factory(root.FarmSave);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FarmSave) {
+  'use strict';
+
+  const MAX_SLOTS = 5;
+  const MAX_BACKUPS = 5;
+  const BACKUP_INTERVAL = 5 * 60 * 1000; // ms of saves between automatic backups
+  const MAX_NAME_LENGTH = 40;
+
+  // summary of raw save text, or null when it does not load
+  function describe(raw) {
+    try {
+      return FarmSave.summarize(FarmSave.parse(raw));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function cleanName(name) {
+    const clean = String(name).trim().slice(0, MAX_NAME_LENGTH);
+    if (!clean) throw new Error('a save slot needs a name');
+    return clean;
+  }
+
+  // an index entry is kept only if it has the fields the slot list reads
+  function isSlot(slot) {
+    return !!slot && Number.isInteger(slot.id) && typeof slot.name === 'string' && Array.isArray(slot.backups);
+  }
+
+  // keeps writes in memory and reads through to `storage` where it still
+  // answers, so a save that loads is not lost to a failed first write
+  function memoryStorage(storage) {
+    const data = new Map();
+    return {
+      getItem(key) {
+        if (data.has(key)) return data.get(key);
+        try {
+          return storage.getItem(key);
+        } catch (e) {
+          return null;
+        }
+      },
+      setItem: (key, value) => { data.set(key, String(value)); },
+      removeItem: key => { data.set(key, null); }
+    };
+  }
+
+  // storage: localStorage or anything with getItem/setItem/removeItem
+  // options.prefix: the key of the save from before slots; slot keys start with it
+  // options.legacyKeys: older keys read when the prefix key holds no save
+  // options.firstName: name of the slot made on the first open
+  function open(storage, options) {
+    let store = storage;
+    const prefix = options.prefix;
+    const indexKey = prefix + '_slots';
+    const slotKey = id => `${prefix}_slot${id}`;
+    const backupKey = (id, at) => `${prefix}_slot${id}_backup${at}`;
+    const index = openIndex();
+
+    function openIndex() {
+      try {
+        return loadIndex();
+      } catch (e) {
+        console.warn('Save storage unavailable; saves last only this session', e);
+        store = memoryStorage(storage);
+        return loadIndex();
+      }
+    }
+
+    function loadIndex() {
+      let stored = null;
+      try {
+        stored = JSON.parse(store.getItem(indexKey));
+      } catch (e) {
+        console.warn('Save slot index unreadable; starting a new one', e);
+      }
+      if (stored && Array.isArray(stored.slots)) {
+        const slots = stored.slots.filter(isSlot);
+        if (slots.length) {
+          const nextId = Math.max(stored.nextId || 0, ...slots.map(s => s.id + 1));
+          const active = slots.some(s => s.id === stored.active) ? stored.active : slots[0].id;
+          return { active, nextId, slots };
+        }
+      }
+      // first open, or an index lost to corruption: slot 1 gets the newest save found
+      const created = { active: 1, nextId: 2, slots: [{ id: 1, name: cleanName(options.firstName), summary: null, backups: [] }] };
+      for (const key of [slotKey(1), prefix].concat(options.legacyKeys || [])) {
+        const raw = store.getItem(key);
+        if (!raw) continue;
+        if (key !== slotKey(1)) store.setItem(slotKey(1), raw);
+        created.slots[0].summary = describe(raw);
+        break;
+      }
+      store.setItem(indexKey, JSON.stringify(created));
+      return created;
+    }
+
+    function saveIndex() {
+      store.setItem(indexKey, JSON.stringify(index));
+    }
+
+    function find(id) {
+      const slot = index.slots.find(s => s.id === id);
+      if (!slot) throw new Error(`unknown save slot ${id}`);
+      return slot;
+    }
+
+    // copy `data` into the slot's backups, dropping the oldest past MAX_BACKUPS;
+    // a full storage costs the backup, never the save itself
+    function keepBackup(slot, data) {
+      const newest = slot.backups[0];
+      const at = newest && data.savedAt <= newest.at ? newest.at + 1 : data.savedAt;
+      try {
+        store.setItem(backupKey(slot.id, at), JSON.stringify(data));
+      } catch (e) {
+        console.warn('Backup not kept', e);
+        return;
+      }
+      slot.backups.unshift({ at, summary: FarmSave.summarize(data) });
+      for (const old of slot.backups.splice(MAX_BACKUPS)) store.removeItem(backupKey(slot.id, old.at));
+    }
+
+    return {
+      // [{ id, name, summary, active }]; summary is null for a slot not saved yet
+      list: () => index.slots.map(s => ({ id: s.id, name: s.name, summary: s.summary, active: s.id === index.active })),
+      activeId: () => index.active,
+      isFull: () => index.slots.length >= MAX_SLOTS,
+
+      select(id) {
+        find(id);
+        index.active = id;
+        saveIndex();
+      },
+
+      // a new empty slot; returns its id
+      create(name) {
+        if (index.slots.length >= MAX_SLOTS) throw new Error(`all ${MAX_SLOTS} save slots are in use`);
+        const id = index.nextId++;
+        index.slots.push({ id, name: cleanName(name), summary: null, backups: [] });
+        saveIndex();
+        return id;
+      },
+
+      rename(id, name) {
+        find(id).name = cleanName(name);
+        saveIndex();
+      },
+
+      // the slot goes with its backups; deleting the active slot selects the first one left
+      remove(id) {
+        const slot = find(id);
+        if (index.slots.length === 1) throw new Error('the last save slot cannot be deleted');
+        store.removeItem(slotKey(id));
+        for (const b of slot.backups) store.removeItem(backupKey(id, b.at));
+        index.slots.splice(index.slots.indexOf(slot), 1);
+        if (index.active === id) index.active = index.slots[0].id;
+        saveIndex();
+      },
+
+      // raw save text, or null for a slot not saved yet
+      read: id => {
+        find(id);
+        return store.getItem(slotKey(id));
+      },
+
+      // data: FarmSave.serialize() output
+      write(id, data) {
+        const slot = find(id);
+        store.setItem(slotKey(id), JSON.stringify(data));
+        slot.summary = FarmSave.summarize(data);
+        const newest = slot.backups[0];
+        if (!newest || data.savedAt - newest.at >= BACKUP_INTERVAL) keepBackup(slot, data);
+        saveIndex();
+      },
+
+      backup(id, data) {
+        keepBackup(find(id), data);
+        saveIndex();
+      },
+
+      // [{ at, summary }], newest first
+      backups: id => find(id).backups.map(b => ({ at: b.at, summary: b.summary })),
+
+      readBackup: (id, at) => {
+        find(id);
+        return store.getItem(backupKey(id, at));
+      }
+    };
+  }
+
+  return {
+    MAX_SLOTS,
+    MAX_BACKUPS,
+    BACKUP_INTERVAL,
+    MAX_NAME_LENGTH,
+    describe,
+    open
+  };
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FarmAudio = require('../audio');
+
+// minimal localStorage stand-in
+function memoryStorage(initial = {}) {
+  const data = Object.assign({}, initial);
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data
+  };
+}
+
+test('missing or corrupt settings fall back to the defaults', () => {
+  assert.deepEqual(FarmAudio.loadSettings(memoryStorage()), FarmAudio.DEFAULT_SETTINGS);
+  const storage = memoryStorage({ [FarmAudio.SETTINGS_KEY]: '{not json' });
+  assert.deepEqual(FarmAudio.loadSettings(storage), FarmAudio.DEFAULT_SETTINGS);
+});
+
+test('settings are clamped to 0..1 and keep valid fields', () => {
+  const settings = FarmAudio.normalizeSettings({ master: 3, sfx: -1, music: 'loud', muted: true });
+  assert.deepEqual(settings, { master: 1, sfx: 0, music: FarmAudio.DEFAULT_SETTINGS.music, muted: true });
+});
+
+test('settings round-trip through storage', () => {
+  const storage = memoryStorage();
+  FarmAudio.saveSettings(storage, { master: 0.5, sfx: 0.25, music: 0, muted: false });
+  assert.deepEqual(FarmAudio.loadSettings(storage), { master: 0.5, sfx: 0.25, music: 0, muted: false });
+});
+
+test('channel volume is master * channel, and zero when muted', () => {
+  const settings = { master: 0.5, sfx: 0.5, music: 1, muted: false };
+  assert.equal(FarmAudio.volume(settings, 'sfx'), 0.25);
+  assert.equal(FarmAudio.volume(settings, 'music'), 0.5);
+  assert.equal(FarmAudio.volume(Object.assign({}, settings, { muted: true }), 'music'), 0);
+});
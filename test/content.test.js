@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FarmEngine = require('../engine');
+
+const BASE_PACK = require('../content/crops.json');
+
+// a copy of the base pack with `edit` applied to its first crop
+function packWith(edit) {
+  const pack = JSON.parse(JSON.stringify(BASE_PACK));
+  edit(pack.crops[0]);
+  return pack;
+}
+
+// the "field: message" problems reported for `pack`
+function problemsOf(pack) {
+  try {
+    FarmEngine.loadContentPack(pack);
+  } catch (e) {
+    assert.ok(e instanceof FarmEngine.ContentError);
+    return e.errors.map(err => `${err.field}: ${err.message}`);
+  } finally {
+    FarmEngine.loadContentPack(BASE_PACK);
+  }
+  return [];
+}
+
+test('the bundled content pack loads', () => {
+  const crops = FarmEngine.loadContentPack(BASE_PACK);
+  assert.deepEqual(crops.map(c => c.id), ['carrot', 'corn', 'tomato']);
+  assert.equal(FarmEngine.cropType('carrot').color, 0xff8c42);
+});
+
+test('crop definitions drive growth time, stages and value', () => {
+  const pack = packWith(c => {
+    c.stages = 4;
+    c.stageSeconds = [5, 10, 20];
+    c.value = { base: 2, levelGrowth: 3, stageMultipliers: [1, 1, 2, 5] };
+  });
+  FarmEngine.loadContentPack(pack);
+  try {
+    let state = FarmEngine.plant(FarmEngine.createState(), 0, 'carrot').state;
+    assert.equal(state.grid[0].maxStage, 4);
+    assert.equal(state.grid[0].timeLeft, 5);
+    assert.equal(FarmEngine.timeToMature(state, 'carrot'), 35);
+    state = FarmEngine.tick(state, 15).state;
+    assert.equal(state.grid[0].stage, 3);
+    assert.equal(FarmEngine.harvestValue({ id: 'carrot', level: 2, stage: 4 }), 30);
+    assert.equal(FarmEngine.mergeBonus('carrot', 3), 9);
+  } finally {
+    FarmEngine.loadContentPack(BASE_PACK);
+  }
+});
+
+test('a bad pack is rejected with a clear error per field', () => {
+  assert.deepEqual(problemsOf(packWith(c => { c.stageSeconds = [12]; })), [
+    'crops[0].stageSeconds: must list 2 positive durations (one per stage before mature)'
+  ]);
+  assert.deepEqual(problemsOf(packWith(c => { c.color = 'orange'; c.maxLevel = 0; })), [
+    'crops[0].color: must be a "#rrggbb" string',
+    'crops[0].maxLevel: must be an integer >= 1'
+  ]);
+  assert.deepEqual(problemsOf(packWith(c => { c.id = 'corn'; })), ['crops[1].id: duplicate crop "corn"']);
+  assert.deepEqual(problemsOf(packWith(c => { c.unlock = { coins: 5 }; })), [
+    'crops: at least one crop must be available without an unlock'
+  ]);
+  assert.deepEqual(problemsOf({ crops: [] }), ['crops: must be a non-empty array']);
+  assert.deepEqual(problemsOf(packWith(c => { c.seasons = { monsoon: { growth: 2 }, winter: { growth: 0, taste: 1 } }; })), [
+    'crops[0].seasons.monsoon: unknown season (expected one of: spring, summer, autumn, winter)',
+    'crops[0].seasons.winter: must be { "growth"?: n, "value"?: n } with positive numbers'
+  ]);
+});
+
+test('a rejected pack leaves the previous crops active', () => {
+  assert.throws(() => FarmEngine.loadContentPack({ crops: [{ id: 'x' }] }), /Invalid content pack: crops\[0\]\.name/);
+  assert.ok(FarmEngine.cropType('tomato'));
+});
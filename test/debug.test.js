@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FarmEngine = require('../engine');
+const FarmDebug = require('../debug');
+
+FarmEngine.loadContentPack(require('../content/crops.json'));
+
+test('setCoins replaces the balance and rejects bad amounts', () => {
+  const state = FarmEngine.createState(1);
+  const res = FarmDebug.setCoins(state, 5000);
+  assert.equal(res.state.coins, 5000);
+  assert.equal(state.coins, 0, 'input state is not mutated');
+  assert.deepEqual(res.events, [{ type: 'debugEdited', what: 'coins' }]);
+  assert.equal(FarmDebug.setCoins(state, -1).events[0].reason, 'invalidAmount');
+  assert.equal(FarmDebug.setCoins(state, NaN).events[0].reason, 'invalidAmount');
+});
+
+test('spawnCrop places any crop, level and stage and the crop keeps growing', () => {
+  const state = FarmEngine.createState(1);
+  let res = FarmDebug.spawnCrop(state, 5, 'tomato', 7, 2);
+  const crop = res.state.grid[5];
+  assert.deepEqual([crop.id, crop.level, crop.stage, crop.timeLeft], ['tomato', 7, 2, 12]);
+  assert.equal(res.state.stats.highestLevel, 7);
+  res = FarmEngine.tick(res.state, 12);
+  assert.equal(res.state.grid[5].stage, 3);
+
+  const ripe = FarmDebug.spawnCrop(state, 0, 'carrot', 1, 3).state.grid[0];
+  assert.equal(ripe.timeLeft, 0);
+
+  state.buildings[1] = { id: 'sprinkler' };
+  assert.equal(FarmDebug.spawnCrop(state, 1, 'carrot', 1, 1).state.buildings[1], null, 'replaces a building');
+});
+
+test('spawnCrop reports which input is out of range', () => {
+  const state = FarmEngine.createState(1);
+  assert.equal(FarmDebug.spawnCrop(state, 16, 'carrot', 1, 1).events[0].reason, 'invalidTile');
+  assert.equal(FarmDebug.spawnCrop(state, 0, 'potato', 1, 1).events[0].reason, 'unknownCrop');
+  assert.deepEqual(FarmDebug.spawnCrop(state, 0, 'carrot', 11, 1).events[0],
+    { type: 'rejected', action: 'debugSpawn', reason: 'invalidLevel', level: 11, max: 10 });
+  assert.equal(FarmDebug.spawnCrop(state, 0, 'carrot', 1, 4).events[0].reason, 'invalidStage');
+});
+
+test('setUpgradeLevel sets any level up to the maximum', () => {
+  const state = FarmEngine.createState(1);
+  const res = FarmDebug.setUpgradeLevel(state, 'autoHarvestSpeed', 4);
+  assert.equal(res.state.upgrades.autoHarvestSpeed, 4);
+  assert.equal(FarmDebug.setUpgradeLevel(res.state, 'autoHarvestSpeed', 0).state.upgrades.autoHarvestSpeed, 0);
+  assert.equal(FarmDebug.setUpgradeLevel(state, 'growthSpeed', 11).events[0].reason, 'invalidLevel');
+  assert.equal(FarmDebug.setUpgradeLevel(state, 'nope', 1).events[0].reason, 'unknownUpgrade');
+});
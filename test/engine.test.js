@@ -0,0 +1,857 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FarmEngine = require('../engine');
+
+const { RULES } = FarmEngine;
+
+FarmEngine.loadContentPack(require('../content/crops.json'));
+const CARROT = FarmEngine.cropType('carrot');
+
+// a fresh state with every crop type unlocked, held in clear spring
+// weather (no crop favors spring) unless a test moves the clocks
+function farm() {
+  const state = FarmEngine.createState();
+  state.unlocked = RULES.CROP_TYPES.map(t => t.id);
+  state.season.timeLeft = 1e9;
+  state.weather.timeLeft = 1e9;
+  return state;
+}
+
+// event types in order, leaving out order arrivals and achievements
+function cropEvents(events) {
+  return events.filter(e => e.type !== 'orderAdded' && e.type !== 'achievementUnlocked').map(e => e.type);
+}
+
+// plant `typeId` at each index in turn, returning the final state
+// seed costs are granted up front so coin totals only reflect the rule under test
+function plantAll(state, typeId, indices, level = 1) {
+  for (const i of indices) {
+    state.coins += FarmEngine.cropType(typeId).seedCost;
+    state = FarmEngine.plant(state, i, typeId, level).state;
+  }
+  return state;
+}
+
+// grow the crops on `indices` to their last stage
+function ripen(state, indices) {
+  for (const i of indices) state.grid[i].stage = state.grid[i].maxStage;
+  return state;
+}
+
+test('createState builds an empty grid with default upgrades', () => {
+  const state = FarmEngine.createState();
+  assert.equal(state.coins, 0);
+  assert.equal(state.cols, RULES.GRID_START.cols);
+  assert.equal(state.rows, RULES.GRID_START.rows);
+  assert.equal(state.grid.length, state.cols * state.rows);
+  assert.ok(state.grid.every(c => c === null));
+  assert.deepEqual(state.upgrades, { growthSpeed: 0, harvestValue: 0, mergeBonus: 0, autoHarvester: 0, autoHarvestSpeed: 0, autoMerger: 0, barnSlots: 0, stormShelter: 0, seedLevel: 0 });
+});
+
+test('harvestValue is base * 2^(level-1) * stage', () => {
+  assert.equal(FarmEngine.harvestValue({ id: 'carrot', level: 1, stage: 3 }), 3);
+  assert.equal(FarmEngine.harvestValue({ id: 'corn', level: 3, stage: 3 }), 24);
+  assert.equal(FarmEngine.harvestValue({ id: 'tomato', level: 2, stage: 1 }), 6);
+});
+
+test('mergeBonus is half the base payout of the new level, rounded', () => {
+  assert.equal(FarmEngine.mergeBonus('carrot', 2), 1);
+  assert.equal(FarmEngine.mergeBonus('carrot', 4), 4);
+  assert.equal(FarmEngine.mergeBonus('tomato', 2), 3);
+  assert.equal(FarmEngine.mergeBonus('corn', 5), 16);
+});
+
+test('plant places a fresh stage-1 crop and reports it', () => {
+  const before = farm();
+  const { state, events } = FarmEngine.plant(before, 5, 'carrot');
+  assert.deepEqual(state.grid[5], {
+    id: 'carrot', level: 1, stage: 1, maxStage: CARROT.stages,
+    timeLeft: CARROT.stageSeconds[0], growthTime: CARROT.stageSeconds[0], fertilized: false
+  });
+  assert.equal(events[0].type, 'planted');
+  assert.equal(before.grid[5], null, 'input state is not mutated');
+});
+
+test('plant rejects occupied tiles and unknown crops', () => {
+  const state = plantAll(farm(), 'carrot', [0]);
+  assert.equal(FarmEngine.plant(state, 0, 'carrot').events[0].reason, 'occupied');
+  assert.equal(FarmEngine.plant(state, 1, 'potato').events[0].reason, 'unknownCrop');
+  assert.equal(FarmEngine.plant(state, 99, 'carrot').events[0].reason, 'invalidTile');
+});
+
+test('plant charges the seed cost and refuses locked or unaffordable seeds', () => {
+  const state = FarmEngine.createState();
+  assert.deepEqual(state.unlocked, ['carrot']);
+  assert.equal(FarmEngine.plant(state, 0, 'corn').events[0].reason, 'locked');
+  state.unlocked.push('corn');
+  assert.equal(FarmEngine.plant(state, 0, 'corn').events[0].reason, 'insufficientCoins');
+  state.coins = 10;
+  const res = FarmEngine.plant(state, 0, 'corn');
+  assert.equal(res.state.coins, 10 - FarmEngine.cropType('corn').seedCost);
+  assert.equal(res.events[0].cost, FarmEngine.cropType('corn').seedCost);
+});
+
+test('crops unlock at their coin and merge milestones', () => {
+  let state = FarmEngine.createState();
+  state.coins = FarmEngine.cropType('corn').unlock.coins - 1;
+  state = plantAll(state, 'carrot', [0]);
+  const res = FarmEngine.collect(FarmEngine.tick(state, 1000).state, 0);
+  assert.ok(res.state.unlocked.includes('corn'));
+  assert.deepEqual(cropEvents(res.events), ['harvested', 'cropUnlocked']);
+
+  state = FarmEngine.createState();
+  state.stats.merges = FarmEngine.cropType('tomato').unlock.merges - 1;
+  state = plantAll(state, 'carrot', [0, 1]);
+  const merged = FarmEngine.merge(state, 0, 1);
+  assert.equal(merged.state.stats.merges, FarmEngine.cropType('tomato').unlock.merges);
+  assert.deepEqual(cropEvents(merged.events), ['merged', 'cropUnlocked']);
+});
+
+test('selectCrop changes the default seed to an unlocked crop only', () => {
+  const state = FarmEngine.createState();
+  assert.equal(FarmEngine.selectCrop(state, 'tomato').events[0].reason, 'locked');
+  state.unlocked.push('tomato');
+  assert.equal(FarmEngine.selectCrop(state, 'tomato').state.selectedCrop, 'tomato');
+});
+
+test('move relocates a crop onto an empty tile only', () => {
+  let state = plantAll(farm(), 'carrot', [0, 1]);
+  const moved = FarmEngine.move(state, 0, 2);
+  assert.equal(moved.state.grid[0], null);
+  assert.equal(moved.state.grid[2].id, 'carrot');
+  assert.deepEqual(moved.events.map(e => e.type), ['moved']);
+  assert.equal(FarmEngine.move(state, 0, 1).events[0].reason, 'occupied');
+});
+
+test('merge combines same id and level into the next level with a bonus', () => {
+  let state = ripen(plantAll(farm(), 'tomato', [0, 1], 2), [0, 1]);
+  const { state: next, events } = FarmEngine.merge(state, 0, 1);
+  assert.equal(next.grid[0], null);
+  assert.equal(next.grid[1].level, 3);
+  assert.equal(next.grid[1].stage, 1);
+  assert.equal(next.coins, FarmEngine.mergeBonus('tomato', 3));
+  assert.equal(events[0].type, 'merged');
+  assert.equal(events[0].bonus, 6);
+});
+
+test('merging a crop that is still growing pays no bonus', () => {
+  // free carrot seedlings merged over and over must not mint coins
+  const state = ripen(plantAll(farm(), 'carrot', [0, 1, 2, 3]), [2]);
+  for (const [from, to] of [[0, 1], [3, 2]]) {
+    const { state: next, events } = FarmEngine.merge(state, from, to);
+    assert.equal(next.grid[to].level, 2);
+    assert.equal(events[0].bonus, 0);
+    assert.equal(next.coins, 0);
+  }
+});
+
+test('merge stops at the crop\'s maximum level', () => {
+  const state = plantAll(farm(), 'carrot', [0, 1], CARROT.maxLevel);
+  assert.equal(FarmEngine.merge(state, 0, 1).events[0].reason, 'maxLevel');
+});
+
+test('merge rejects different crops or levels', () => {
+  let state = plantAll(farm(), 'carrot', [0]);
+  state = plantAll(state, 'corn', [1]);
+  state = plantAll(state, 'carrot', [2], 2);
+  assert.equal(FarmEngine.merge(state, 0, 1).events[0].reason, 'mismatch');
+  assert.equal(FarmEngine.merge(state, 0, 2).events[0].reason, 'mismatch');
+  assert.equal(FarmEngine.merge(state, 0, 3).events[0].reason, 'empty');
+});
+
+test('tick advances stages and reports maturity', () => {
+  let state = plantAll(farm(), 'carrot', [0]);
+  let res = FarmEngine.tick(state, CARROT.stageSeconds[0]);
+  assert.equal(res.state.grid[0].stage, 2);
+  assert.deepEqual(cropEvents(res.events), ['stageAdvanced']);
+  res = FarmEngine.tick(res.state, CARROT.stageSeconds[1]);
+  assert.equal(res.state.grid[0].stage, CARROT.stages);
+  assert.equal(res.state.grid[0].timeLeft, 0);
+  assert.deepEqual(cropEvents(res.events), ['stageAdvanced', 'matured']);
+});
+
+test('a long tick fast-forwards through several stages at once', () => {
+  const state = plantAll(farm(), 'carrot', [0]);
+  const res = FarmEngine.tick(state, 1000);
+  assert.equal(res.state.grid[0].stage, CARROT.stages);
+  assert.equal(res.events.filter(e => e.type === 'matured').length, 1);
+});
+
+test('tick auto-harvests matured crops when the auto harvester is owned', () => {
+  let state = plantAll(farm(), 'corn', [3], 2);
+  state.upgrades.autoHarvester = 1;
+  const res = FarmEngine.tick(state, 1000);
+  assert.equal(res.state.grid[3], null);
+  assert.equal(res.state.coins, 12);
+  const harvested = res.events.find(e => e.type === 'harvested');
+  assert.equal(harvested.value, 12);
+  assert.equal(harvested.auto, true);
+});
+
+test('finishCrop grows a crop to maturity for a price based on time left and level', () => {
+  let state = plantAll(farm(), 'carrot', [0]);
+  state = plantAll(state, 'tomato', [1], 3);
+  state = FarmEngine.tick(state, 4).state;
+  // 20s left at 0.25 coins per second per point of level value
+  assert.equal(FarmEngine.finishCost(state, 0), 5);
+  assert.equal(FarmEngine.finishCost(state, 1), 60);
+  assert.equal(FarmEngine.finishCrop(state, 0).events[0].reason, 'insufficientCoins');
+
+  state.coins = 5;
+  const res = FarmEngine.finishCrop(state, 0);
+  assert.equal(res.state.coins, 0);
+  assert.equal(res.state.grid[0].stage, CARROT.stages);
+  assert.deepEqual(cropEvents(res.events), ['boosted', 'stageAdvanced', 'matured']);
+  assert.equal(FarmEngine.finishCrop(res.state, 0).events[0].reason, 'notGrowing');
+  assert.equal(FarmEngine.finishCrop(res.state, 2).events[0].reason, 'empty');
+});
+
+test('fertilizer halves the rest of the current stage, once per stage', () => {
+  let state = plantAll(farm(), 'carrot', [0]);
+  state.coins = 100;
+  assert.equal(FarmEngine.fertilizerCost(state, 0), Math.ceil(6 * 0.25 * RULES.SPEED_UP.FERTILIZER_DISCOUNT));
+  const res = FarmEngine.fertilize(state, 0);
+  state = res.state;
+  assert.equal(state.grid[0].fertilized, true);
+  assert.deepEqual(res.events, [{ type: 'boosted', kind: 'fertilize', index: 0, cost: 1 }]);
+  assert.equal(FarmEngine.fertilize(state, 0).events[0].reason, 'alreadyFertilized');
+  assert.equal(FarmEngine.cropTimeLeft(state, state.grid[0]), 6 + 12);
+
+  state = FarmEngine.tick(state, 6).state;
+  assert.equal(state.grid[0].stage, 2);
+  assert.equal(state.grid[0].fertilized, false, 'the next stage grows at the normal speed');
+  assert.equal(state.grid[0].timeLeft, 12);
+});
+
+test('boostAll skips time on every growing crop', () => {
+  let state = plantAll(farm(), 'carrot', [0, 1]);
+  state = plantAll(state, 'corn', [2], 2);
+  state = FarmEngine.tick(state, 24).state;
+  state = plantAll(state, 'carrot', [3]);
+  assert.equal(FarmEngine.boostAllCost(state), Math.ceil(24 * 0.25 * RULES.SPEED_UP.BOOST_ALL_DISCOUNT));
+  state.coins = 100;
+  const res = FarmEngine.boostAll(state);
+  assert.equal(res.state.coins, 100 - FarmEngine.boostAllCost(state));
+  assert.equal(res.state.grid[3].stage, CARROT.stages);
+  assert.equal(res.events.filter(e => e.type === 'matured').length, 1);
+
+  assert.equal(FarmEngine.boostAll(res.state).events[0].reason, 'notGrowing');
+});
+
+test('collect pays out fully grown crops and rejects growing ones', () => {
+  const state = plantAll(farm(), 'tomato', [0], 3);
+  const early = FarmEngine.collect(state, 0);
+  assert.equal(early.events[0].reason, 'notMature');
+  assert.equal(early.state, state);
+  const ripe = FarmEngine.collect(FarmEngine.tick(state, 1000).state, 0);
+  assert.equal(ripe.state.coins, 36);
+  assert.equal(ripe.state.grid[0], null);
+});
+
+test('buyUpgrade spends coins and applies the upgrade', () => {
+  let state = FarmEngine.createState();
+  assert.equal(FarmEngine.buyUpgrade(state, 'growthSpeed').events[0].reason, 'insufficientCoins');
+  state.coins = 200;
+  let res = FarmEngine.buyUpgrade(state, 'growthSpeed');
+  assert.equal(res.state.coins, 150);
+  assert.equal(res.state.upgrades.growthSpeed, 1);
+  assert.deepEqual(res.events[0], { type: 'upgradePurchased', id: 'growthSpeed', level: 1, cost: 50 });
+  assert.equal(FarmEngine.growthTime(res.state, 'carrot', 1), CARROT.stageSeconds[0] / 1.25);
+  res = FarmEngine.buyUpgrade(res.state, 'autoHarvester');
+  assert.equal(res.state.coins, 0);
+  assert.equal(res.state.upgrades.autoHarvester, 1);
+  assert.equal(FarmEngine.buyUpgrade(res.state, 'nope').events[0].reason, 'unknownUpgrade');
+});
+
+test('upgrade costs follow their curve and stop at the maximum level', () => {
+  const state = farm();
+  const def = RULES.UPGRADES.growthSpeed;
+  assert.equal(FarmEngine.upgradeCost(state, 'growthSpeed'), def.cost.base);
+  state.upgrades.growthSpeed = 3;
+  assert.equal(FarmEngine.upgradeCost(state, 'growthSpeed'), Math.round(def.cost.base * Math.pow(def.cost.growth, 3)));
+  state.upgrades.growthSpeed = def.maxLevel;
+  state.coins = 1e9;
+  assert.equal(FarmEngine.upgradeCost(state, 'growthSpeed'), null);
+  assert.equal(FarmEngine.buyUpgrade(state, 'growthSpeed').events[0].reason, 'maxLevel');
+
+  // one-off upgrades cannot be bought twice
+  state.upgrades.autoHarvester = 1;
+  assert.equal(FarmEngine.upgradeProblem(state, 'autoHarvester'), 'maxLevel');
+});
+
+test('upgrades with prerequisites stay locked until those levels are owned', () => {
+  let state = farm();
+  state.coins = 1e6;
+  const res = FarmEngine.buyUpgrade(state, 'autoHarvestSpeed');
+  assert.equal(res.events[0].reason, 'requires');
+  assert.deepEqual(res.events[0].missing, [{ id: 'autoHarvester', level: 1 }]);
+  assert.equal(res.state, state);
+
+  state = FarmEngine.buyUpgrade(state, 'autoHarvester').state;
+  assert.equal(FarmEngine.upgradeProblem(state, 'autoHarvestSpeed'), null);
+  assert.equal(FarmEngine.buyUpgrade(state, 'autoHarvestSpeed').state.upgrades.autoHarvestSpeed, 1);
+});
+
+test('mergePayout is what the merge pays, upgrade and hooks included', () => {
+  const state = ripen(plantAll(farm(), 'tomato', [0, 1, 2]), [0, 1]);
+  state.upgrades.mergeBonus = 4;
+  const removeHook = FarmEngine.addHook('mergeBonus', bonus => bonus + 5);
+  try {
+    const merged = { id: 'tomato', level: 2, stage: 1, maxStage: 3 };
+    const payout = FarmEngine.mergePayout(state, 1, 0, merged, false);
+    assert.equal(payout, Math.round(FarmEngine.mergeBonus('tomato', 2) * 2) + 5);
+    assert.equal(FarmEngine.merge(state, 1, 0).events[0].bonus, payout);
+    // a seedling in the pair pays only what the hooks add
+    assert.equal(FarmEngine.mergePayout(state, 2, 0, merged, false), 5);
+  } finally {
+    removeHook();
+  }
+});
+
+test('harvest value, merge bonus and seed level upgrades change payouts and new crops', () => {
+  let state = ripen(plantAll(farm(), 'carrot', [0, 1]), [0, 1]);
+  state.upgrades.harvestValue = 2;
+  state.upgrades.mergeBonus = 4;
+  let res = FarmEngine.merge(state, 1, 0);
+  assert.equal(res.events[0].bonus, FarmEngine.mergeBonus('carrot', 2) * 2);
+  res = FarmEngine.collect(FarmEngine.tick(res.state, 1000).state, 0);
+  assert.equal(res.events[0].value, Math.round(FarmEngine.harvestValue({ id: 'carrot', level: 2, stage: 3 }) * 1.2));
+
+  state = farm();
+  state.coins = 100;
+  state.upgrades.seedLevel = 2;
+  assert.equal(FarmEngine.plant(state, 0, 'carrot').state.grid[0].level, 3);
+  assert.equal(FarmEngine.plant(state, 0, 'carrot', 1).state.grid[0].level, 1);
+});
+
+test('the auto harvester collects mature crops once per round', () => {
+  let state = plantAll(farm(), 'carrot', [0]);
+  state.upgrades.autoHarvester = 1;
+  const grown = FarmEngine.timeToMature(state, 'carrot');
+  state.autoHarvestTimer = grown + 5;
+  let res = FarmEngine.tick(state, grown);
+  assert.ok(res.state.grid[0], 'waits for its next round');
+  res = FarmEngine.tick(res.state, 5);
+  assert.equal(res.state.grid[0], null);
+  assert.equal(res.state.autoHarvestTimer, FarmEngine.upgradeEffect(res.state, 'autoHarvestSpeed'));
+});
+
+test('one long tick harvests and merges as often as the same time in 1s ticks', () => {
+  // a compost bin replants around it, so crops mature again and again
+  let state = plantAll(farm(), 'carrot', [0, 1, 2, 4, 6, 8, 9, 10]);
+  state.buildings[5] = { id: 'compostBin' };
+  state.upgrades.autoHarvester = 1;
+  state.upgrades.autoMerger = 1;
+  const long = FarmEngine.tick(state, 3600).state;
+  let short = state;
+  for (let i = 0; i < 3600; i++) short = FarmEngine.tick(short, 1).state;
+  assert.ok(long.stats.harvested.carrot > 100);
+  assert.deepEqual(long.stats.harvested, short.stats.harvested);
+  assert.equal(long.stats.merges, short.stats.merges);
+  assert.equal(long.coins, short.coins);
+  assert.deepEqual(long.grid, short.grid);
+});
+
+test('expandGrid adds a column while crops keep their row and column', () => {
+  let state = plantAll(farm(), 'carrot', [5, 15]); // (row 1, col 1) and (row 3, col 3)
+  state.coins = 1000;
+  const { state: next, events } = FarmEngine.expandGrid(state, 'col');
+  assert.equal(next.cols, 5);
+  assert.equal(next.grid.length, 20);
+  assert.equal(next.grid[1 * 5 + 1].id, 'carrot');
+  assert.equal(next.grid[3 * 5 + 3].id, 'carrot');
+  assert.equal(next.grid.filter(Boolean).length, 2);
+  assert.equal(next.coins, 1000 - RULES.EXPANSION_BASE_COST);
+  assert.equal(events[0].type, 'gridExpanded');
+});
+
+test('expansion prices rise and stop at the maximum size', () => {
+  let state = farm();
+  state.coins = 1e9;
+  const first = FarmEngine.expansionCost(state);
+  state = FarmEngine.expandGrid(state, 'row').state;
+  assert.ok(FarmEngine.expansionCost(state) > first);
+  while (FarmEngine.canExpand(state, 'row')) state = FarmEngine.expandGrid(state, 'row').state;
+  assert.equal(state.rows, RULES.GRID_MAX.rows);
+  assert.equal(FarmEngine.expandGrid(state, 'row').events[0].reason, 'maxSize');
+});
+
+test('orders arrive on a timer, scale with the highest level and expire', () => {
+  let state = farm();
+  state.stats.highestLevel = 4;
+  let res = FarmEngine.tick(state, RULES.ORDERS.FIRST_ORDER_SECONDS);
+  assert.equal(res.state.orders.length, 1);
+  assert.deepEqual(cropEvents(res.events), []);
+  const order = res.state.orders[0];
+  assert.ok(order.level >= 3 && order.level <= 4);
+  assert.ok(order.qty >= 1 && order.qty <= RULES.ORDERS.MAX_QTY);
+
+  res = FarmEngine.tick(res.state, RULES.ORDERS.REFRESH_SECONDS * 10);
+  assert.equal(res.state.orders.length, RULES.ORDERS.MAX_ACTIVE);
+  const expired = FarmEngine.tick(res.state, 1e6);
+  assert.ok(expired.events.some(e => e.type === 'orderExpired'));
+});
+
+test('order generation is deterministic for a given seed', () => {
+  const a = FarmEngine.tick(FarmEngine.createState(42), 600).state.orders;
+  const b = FarmEngine.tick(FarmEngine.createState(42), 600).state.orders;
+  assert.deepEqual(a, b);
+});
+
+// a state with one open order for `qty` level-2 carrots paying `reward`
+function withOrder(qty, reward) {
+  const state = plantAll(farm(), 'carrot', [0, 1], 2);
+  const ripe = FarmEngine.tick(state, 1000).state;
+  ripe.orders = [{ id: 7, cropId: 'carrot', level: 2, qty, delivered: 0, timeLeft: 600, reward }];
+  return ripe;
+}
+
+test('deliverOrder takes mature matching crops and pays on completion', () => {
+  let state = withOrder(2, { coins: 50 });
+  const coins = state.coins;
+  let res = FarmEngine.deliverOrder(state, 0, 7);
+  assert.equal(res.state.grid[0], null);
+  assert.equal(res.state.orders[0].delivered, 1);
+  assert.equal(res.state.coins, coins);
+  res = FarmEngine.deliverOrder(res.state, 1, 7);
+  assert.deepEqual(cropEvents(res.events), ['orderDelivered', 'orderCompleted']);
+  assert.equal(res.state.orders.length, 0);
+  assert.equal(res.state.coins, coins + 50);
+});
+
+test('seed rewards go to the inventory and plant for free', () => {
+  const res = FarmEngine.deliverOrder(withOrder(1, { seed: { id: 'corn', level: 3 } }), 0, 7);
+  assert.deepEqual(res.state.seeds, [{ id: 'corn', level: 3 }]);
+  const planted = FarmEngine.plantSeed(res.state, 5, 0);
+  assert.equal(planted.state.grid[5].level, 3);
+  assert.equal(planted.state.seeds.length, 0);
+  assert.equal(planted.state.coins, res.state.coins);
+  assert.equal(planted.state.stats.highestLevel, 3);
+});
+
+test('deliverOrder refuses growing or mismatched crops', () => {
+  let state = withOrder(1, { coins: 5 });
+  state = plantAll(state, 'carrot', [2], 2);
+  state = plantAll(state, 'carrot', [3], 1);
+  state.grid[3] = FarmEngine.tick(state, 1000).state.grid[3];
+  assert.equal(FarmEngine.deliverOrder(state, 2, 7).events[0].reason, 'notMature');
+  assert.equal(FarmEngine.deliverOrder(state, 3, 7).events[0].reason, 'mismatch');
+  assert.equal(FarmEngine.deliverOrder(state, 0, 8).events[0].reason, 'unknownOrder');
+});
+
+test('stats track plants, harvests, merges and coin flow', () => {
+  let state = farm();
+  state.coins = 20;
+  state = FarmEngine.plant(state, 0, 'corn').state;
+  state = FarmEngine.plant(state, 1, 'corn').state;
+  state = FarmEngine.tick(state, 1000).state;
+  state = FarmEngine.merge(state, 0, 1).state;
+  state = FarmEngine.tick(state, 1000).state;
+  state = FarmEngine.collect(state, 1).state;
+  const stats = state.stats;
+  assert.deepEqual(stats.planted, { corn: 2 });
+  assert.deepEqual(stats.harvested, { corn: 1 });
+  assert.deepEqual(stats.mergesByLevel, { 2: 1 });
+  assert.equal(stats.highestLevel, 2);
+  assert.equal(stats.coinsSpent, 2 * FarmEngine.cropType('corn').seedCost);
+  assert.equal(stats.coinsEarned, FarmEngine.mergeBonus('corn', 2) + FarmEngine.harvestValue({ id: 'corn', level: 2, stage: 3 }));
+  assert.equal(state.coins, 20 - stats.coinsSpent + stats.coinsEarned);
+  assert.equal(stats.playTime, 2000);
+});
+
+test('offline ticks do not count as play time', () => {
+  const state = FarmEngine.tick(farm(), 500, { offline: true }).state;
+  assert.equal(state.stats.playTime, 0);
+});
+
+test('achievements unlock once when their condition is met', () => {
+  let state = plantAll(FarmEngine.createState(), 'carrot', [0, 1]);
+  let res = FarmEngine.merge(state, 0, 1);
+  const unlocked = res.events.filter(e => e.type === 'achievementUnlocked');
+  assert.deepEqual(unlocked.map(e => e.id), ['first_merge']);
+  assert.deepEqual(res.state.achievements, ['first_merge']);
+  res = FarmEngine.tick(res.state, 1000);
+  assert.ok(!res.events.some(e => e.id === 'first_merge'));
+  assert.equal(FarmEngine.achievement('first_merge').name, 'Better Together');
+});
+
+test('prestige needs the lifetime coin threshold and at least one point', () => {
+  const state = farm();
+  state.stats.coinsEarned = RULES.PRESTIGE.UNLOCK_LIFETIME_COINS - 1;
+  state.runCoinsEarned = 4000;
+  assert.equal(FarmEngine.prestigePoints(state), 2);
+  assert.equal(FarmEngine.prestige(state).events[0].reason, 'notReady');
+  state.stats.coinsEarned = RULES.PRESTIGE.UNLOCK_LIFETIME_COINS;
+  state.runCoinsEarned = 999;
+  assert.equal(FarmEngine.canPrestige(state), false);
+});
+
+test('prestige resets the run and keeps permanent progress', () => {
+  let state = plantAll(farm(), 'corn', [0, 1]);
+  state.coins = 5000;
+  state.cols = 5;
+  state.grid.push(null, null, null, null);
+  state.upgrades = Object.assign({}, state.upgrades, { growthSpeed: 1, autoHarvester: 1 });
+  state.seeds.push({ id: 'carrot', level: 2 });
+  state.stats.coinsEarned = 20000;
+  state.runCoinsEarned = 16000;
+  state.achievements.push('first_merge');
+  state.prestige.perks.startingCoins = 2;
+  state.barn.push(Object.assign({}, state.grid[0]));
+  state.market.prices.corn = 1.5;
+  const res = FarmEngine.prestige(state);
+  assert.deepEqual(res.events.filter(e => e.type === 'prestiged'), [{ type: 'prestiged', points: 4, total: 4 }]);
+  const next = res.state;
+  assert.equal(next.coins, 100);
+  assert.equal(next.cols, RULES.GRID_START.cols);
+  assert.ok(next.grid.length === 16 && next.grid.every(c => c === null));
+  assert.deepEqual(next.upgrades, { growthSpeed: 0, harvestValue: 0, mergeBonus: 0, autoHarvester: 0, autoHarvestSpeed: 0, autoMerger: 0, barnSlots: 0, stormShelter: 0, seedLevel: 0 });
+  assert.deepEqual(next.seeds, []);
+  assert.deepEqual(next.barn, []);
+  assert.equal(next.market.prices.corn, 1.5);
+  assert.equal(next.runCoinsEarned, 0);
+  assert.equal(next.stats.coinsEarned, 20000);
+  assert.deepEqual(next.unlocked, state.unlocked);
+  assert.ok(next.achievements.includes('first_merge'));
+  assert.deepEqual(next.prestige, { points: 4, count: 1, perks: { harvestValue: 0, startingCoins: 2, growthSpeed: 0 } });
+});
+
+test('perks cost rising points and feed harvest value and growth time', () => {
+  let state = farm();
+  state.prestige.points = 3;
+  let res = FarmEngine.buyPerk(state, 'harvestValue');
+  assert.deepEqual(res.events[0], { type: 'perkPurchased', id: 'harvestValue', level: 1, cost: 1 });
+  res = FarmEngine.buyPerk(res.state, 'harvestValue');
+  assert.equal(res.state.prestige.points, 0);
+  assert.equal(FarmEngine.buyPerk(res.state, 'harvestValue').events[0].reason, 'insufficientPoints');
+  assert.equal(FarmEngine.buyPerk(res.state, 'nope').events[0].reason, 'unknownPerk');
+
+  state = plantAll(res.state, 'carrot', [0]);
+  state = FarmEngine.tick(state, 1000).state;
+  const before = state.coins;
+  state = FarmEngine.collect(state, 0).state;
+  assert.equal(state.coins - before, Math.round(FarmEngine.harvestValue({ id: 'carrot', level: 1, stage: 3 }) * 1.2));
+
+  state.prestige.perks.growthSpeed = 4;
+  state.upgrades.growthSpeed = 1;
+  assert.equal(FarmEngine.growthSpeed(state), 1.5);
+  assert.equal(FarmEngine.growthTime(state, 'carrot', 1), CARROT.stageSeconds[0] / 1.5);
+});
+
+test('the auto-merger merges one matching pair per interval with the usual bonus', () => {
+  let state = ripen(plantAll(farm(), 'carrot', [0, 3, 5]), [0, 3, 5]);
+  state = plantAll(state, 'corn', [6]);
+  state.coins = RULES.UPGRADES.autoMerger.cost.base;
+  let res = FarmEngine.buyUpgrade(state, 'autoMerger');
+  assert.equal(res.state.upgrades.autoMerger, 1);
+  assert.equal(res.state.coins, 0);
+  const interval = FarmEngine.upgradeEffect(res.state, 'autoMerger');
+
+  res = FarmEngine.tick(res.state, interval - 1);
+  assert.ok(!res.events.some(e => e.type === 'merged'));
+  res = FarmEngine.tick(res.state, 1);
+  const merged = res.events.filter(e => e.type === 'merged');
+  assert.equal(merged.length, 1);
+  assert.deepEqual([merged[0].from, merged[0].to, merged[0].auto], [3, 0, true]);
+  assert.equal(merged[0].bonus, FarmEngine.mergeBonus('carrot', 2));
+  assert.equal(res.state.grid[0].level, 2);
+  assert.equal(res.state.grid[3], null);
+  assert.equal(res.state.grid[5].level, 1);
+  assert.equal(res.state.stats.merges, 1);
+
+  res = FarmEngine.tick(res.state, interval * 5);
+  assert.ok(!res.events.some(e => e.type === 'merged'));
+});
+
+test('auto-merger levels cost more and shorten the interval', () => {
+  const state = farm();
+  const def = RULES.UPGRADES.autoMerger;
+  assert.equal(FarmEngine.upgradeCost(state, 'autoMerger'), def.cost.base);
+  state.upgrades.autoMerger = 2;
+  assert.equal(FarmEngine.upgradeCost(state, 'autoMerger'), def.cost.base * def.cost.growth * def.cost.growth);
+  assert.ok(def.effect(2) < def.effect(1));
+  state.upgrades.autoMerger = def.maxLevel;
+  state.coins = 1e9;
+  assert.equal(FarmEngine.buyUpgrade(state, 'autoMerger').events[0].reason, 'maxLevel');
+});
+
+test('auto-merge settings skip excluded crops and respect the level cap', () => {
+  let state = plantAll(farm(), 'carrot', [0, 1]);
+  state = plantAll(state, 'corn', [2, 3], 2);
+  state = plantAll(state, 'tomato', [4, 5], 3);
+  state.upgrades.autoMerger = 1;
+  let res = FarmEngine.configureAutoMerge(state, { excluded: ['carrot'], levelCap: 3 });
+  assert.deepEqual(res.events[0], { type: 'autoMergeConfigured', settings: { excluded: ['carrot'], levelCap: 3 } });
+  res = FarmEngine.tick(res.state, 1000);
+  const merged = res.events.filter(e => e.type === 'merged');
+  assert.deepEqual(merged.map(e => [e.from, e.to]), [[3, 2]]);
+  assert.equal(res.state.grid[0].level, 1);
+  assert.equal(res.state.grid[4].level, 3);
+
+  assert.equal(FarmEngine.configureAutoMerge(state, { levelCap: 1 }).events[0].reason, 'invalidLevelCap');
+  assert.equal(FarmEngine.configureAutoMerge(state, { excluded: ['potato'] }).events[0].reason, 'unknownCrop');
+});
+
+test('canMerge matches what merge accepts', () => {
+  let state = plantAll(farm(), 'carrot', [0, 1, 2], 1);
+  state = plantAll(state, 'carrot', [3], 2);
+  state = plantAll(state, 'corn', [4]);
+  assert.equal(FarmEngine.canMerge(state, 0, 1), true);
+  assert.equal(FarmEngine.canMerge(state, 0, 0), false);
+  assert.equal(FarmEngine.canMerge(state, 0, 3), false);
+  assert.equal(FarmEngine.canMerge(state, 0, 4), false);
+  assert.equal(FarmEngine.canMerge(state, 0, 5), false);
+});
+
+test('crops move into the barn and back onto empty tiles', () => {
+  let state = plantAll(farm(), 'corn', [0, 1], 2);
+  let res = FarmEngine.storeCrop(state, 0);
+  assert.deepEqual(res.events.map(e => [e.type, e.index, e.slot, e.auto]), [['stored', 0, 0, false]]);
+  assert.equal(res.state.grid[0], null);
+  assert.equal(res.state.barn[0].level, 2);
+  // stored crops do not grow
+  const stage = res.state.barn[0].stage;
+  state = FarmEngine.tick(res.state, 1000).state;
+  assert.equal(state.barn[0].stage, stage);
+
+  assert.equal(FarmEngine.retrieveCrop(state, 0, 1).events[0].reason, 'occupied');
+  assert.equal(FarmEngine.retrieveCrop(state, 1, 2).events[0].reason, 'noItem');
+  res = FarmEngine.retrieveCrop(state, 0, 5);
+  assert.deepEqual(res.events.map(e => [e.type, e.slot, e.index]), [['retrieved', 0, 5]]);
+  assert.equal(res.state.grid[5].level, 2);
+  assert.deepEqual(res.state.barn, []);
+});
+
+test('the barn holds barnSlots crops and grows with its upgrade', () => {
+  let state = plantAll(farm(), 'carrot', [0, 1, 2, 3, 4]);
+  assert.equal(FarmEngine.barnSlots(state), 4);
+  for (const i of [0, 1, 2, 3]) state = FarmEngine.storeCrop(state, i).state;
+  assert.equal(FarmEngine.storeCrop(state, 4).events[0].reason, 'barnFull');
+  assert.equal(FarmEngine.storeCrop(state, 5).events[0].reason, 'empty');
+  state.upgrades.barnSlots = 1;
+  assert.equal(FarmEngine.barnSlots(state), 6);
+  assert.equal(FarmEngine.storeCrop(state, 4).state.barn.length, 5);
+});
+
+test('barn crops sell for their harvest value at the market price', () => {
+  let state = plantAll(farm(), 'corn', [0], 3);
+  state = FarmEngine.finishCrop(Object.assign(state, { coins: 1000 }), 0).state;
+  state = FarmEngine.storeCrop(state, 0).state;
+  state.market.prices.corn = 1.5;
+  const value = Math.round(FarmEngine.harvestValue(state.barn[0], FarmEngine.harvestMultiplier(state)) * 1.5);
+  assert.equal(FarmEngine.saleValue(state, 0), value);
+  const coins = state.coins;
+  const res = FarmEngine.sellCrop(state, 0);
+  assert.deepEqual(res.events.map(e => [e.type, e.value, e.price]), [['sold', value, 1.5]]);
+  assert.equal(res.state.coins, coins + value);
+  assert.deepEqual(res.state.barn, []);
+  assert.equal(FarmEngine.sellCrop(res.state, 0).events[0].reason, 'noItem');
+});
+
+test('barn sales get the season value factor but no building buff', () => {
+  let state = farm();
+  state.buildings[1] = { id: 'scarecrow' };
+  state = ripen(plantAll(state, 'corn', [0]), [0]);
+  state.season.index = 1; // summer: corn pays x1.25
+  const harvested = FarmEngine.collect(state, 0).events[0].value;
+  state = FarmEngine.storeCrop(state, 0).state;
+  const base = FarmEngine.harvestValue(state.barn[0], FarmEngine.harvestMultiplier(state));
+  assert.equal(FarmEngine.saleValue(state, 0), Math.round(base * 1.25));
+  assert.ok(harvested > FarmEngine.saleValue(state, 0));
+});
+
+test('harvests go to the barn while it has room when the setting is on', () => {
+  let state = plantAll(farm(), 'carrot', [0, 1]);
+  state = FarmEngine.tick(state, FarmEngine.timeToMature(state, 'carrot')).state;
+  assert.equal(FarmEngine.configureBarn(state, { harvestToBarn: 'yes' }).events[0].reason, 'invalidSetting');
+  state = FarmEngine.configureBarn(state, { harvestToBarn: true }).state;
+  state.upgrades.barnSlots = 0;
+  state.barn = [1, 2, 3].map(() => Object.assign({}, state.grid[1]));
+
+  let res = FarmEngine.collect(state, 0);
+  assert.deepEqual(cropEvents(res.events), ['stored']);
+  assert.equal(res.state.coins, state.coins);
+  assert.equal(res.state.stats.harvested.carrot, 1);
+  // barn full: paid in coins as usual
+  res = FarmEngine.collect(res.state, 1);
+  assert.deepEqual(cropEvents(res.events), ['harvested']);
+  assert.equal(res.state.barn.length, 4);
+});
+
+test('market prices drift within bounds and keep a short history', () => {
+  const m = RULES.MARKET;
+  let res = FarmEngine.tick(farm(), m.UPDATE_SECONDS - 1);
+  assert.ok(!res.events.some(e => e.type === 'pricesChanged'));
+  res = FarmEngine.tick(res.state, 1);
+  assert.deepEqual(res.events.filter(e => e.type === 'pricesChanged'), [{ type: 'pricesChanged', prices: res.state.market.prices }]);
+  assert.equal(res.state.market.history.carrot.length, 2);
+
+  // many updates in one tick give one event and a capped history
+  res = FarmEngine.tick(res.state, m.UPDATE_SECONDS * 100);
+  assert.equal(res.events.filter(e => e.type === 'pricesChanged').length, 1);
+  for (const t of RULES.CROP_TYPES) {
+    const history = res.state.market.history[t.id];
+    assert.equal(history.length, m.HISTORY);
+    assert.ok(history.every(p => p >= m.MIN && p <= m.MAX));
+    assert.equal(res.state.market.prices[t.id], history[history.length - 1]);
+  }
+  assert.ok(new Set(res.state.market.history.carrot).size > 1);
+});
+
+test('crops grow and pay more in the seasons they favor', () => {
+  let state = plantAll(farm(), 'corn', [0, 1]);
+  state.season.index = 1; // summer: corn grows x1.5 and pays x1.25
+  assert.deepEqual(FarmEngine.seasonModifier(state, 'corn'), { growth: 1.5, value: 1.25 });
+  assert.deepEqual(FarmEngine.seasonModifier(state, 'carrot'), { growth: 1, value: 1 });
+  state = FarmEngine.tick(state, 4).state;
+  assert.equal(state.grid[0].timeLeft, 6);
+  state = FarmEngine.tick(state, 100).state;
+  const res = FarmEngine.collect(state, 0);
+  assert.equal(res.events[0].value, Math.round(FarmEngine.harvestValue(state.grid[0]) * 1.25));
+});
+
+test('seasons turn over on time and a tick grows each part at its own rate', () => {
+  let state = plantAll(farm(), 'corn', [0]);
+  state.season.timeLeft = 2;
+  const res = FarmEngine.tick(state, 4);
+  assert.deepEqual(res.events.filter(e => e.type === 'seasonChanged'), [{ type: 'seasonChanged', season: 'summer' }]);
+  assert.equal(FarmEngine.currentSeason(res.state).id, 'summer');
+  assert.equal(res.state.season.timeLeft, RULES.SEASONS.SECONDS - 2);
+  // 2s at x1 in spring, then 2s at x1.5 in summer
+  assert.equal(res.state.grid[0].timeLeft, 12 - 2 - 3);
+
+  state.season = { index: RULES.SEASONS.LIST.length - 1, timeLeft: 1 };
+  assert.equal(FarmEngine.currentSeason(FarmEngine.tick(state, 1).state).id, 'spring');
+});
+
+test('rain speeds growth up and drought slows it down', () => {
+  const state = plantAll(farm(), 'carrot', [0]);
+  state.weather = { id: 'rain', timeLeft: 100 };
+  assert.equal(FarmEngine.tick(state, 4).state.grid[0].timeLeft, 12 - 6);
+  state.weather = { id: 'drought', timeLeft: 100 };
+  assert.equal(FarmEngine.tick(state, 5).state.grid[0].timeLeft, 12 - 3);
+});
+
+test('a clear spell ends in a weather event and every event ends in clear weather', () => {
+  const state = farm();
+  state.weather.timeLeft = 1;
+  let res = FarmEngine.tick(state, 1);
+  const started = res.events.find(e => e.type === 'weatherChanged');
+  const def = RULES.WEATHER[started.weather];
+  assert.ok(started.weather !== 'clear' && def.weight > 0);
+  assert.ok(started.seconds >= def.seconds[0] && started.seconds <= def.seconds[1]);
+  assert.deepEqual(res.state.weather, { id: started.weather, timeLeft: started.seconds });
+
+  res = FarmEngine.tick(res.state, started.seconds);
+  assert.equal(res.events.find(e => e.type === 'weatherChanged').weather, 'clear');
+});
+
+test('storms knock crops back a stage unless the storm shelter is owned', () => {
+  const { rain, drought, storm } = RULES.WEATHER;
+  const saved = [rain.weight, drought.weight, storm.damageChance];
+  rain.weight = drought.weight = 0;
+  storm.damageChance = 1;
+  try {
+    let state = plantAll(farm(), 'carrot', [0, 1, 2]);
+    state = FarmEngine.tick(state, 12).state;
+    state = plantAll(state, 'carrot', [3]);
+    state.weather.timeLeft = 1;
+    const res = FarmEngine.tick(state, 1);
+    assert.deepEqual(res.events.filter(e => e.type === 'stormDamaged').map(e => e.index), [0, 1, 2]);
+    assert.deepEqual(res.state.grid.slice(0, 4).map(c => c.stage), [1, 1, 1, 1]);
+    assert.equal(res.state.grid[0].timeLeft, 12);
+
+    state.upgrades.stormShelter = 1;
+    assert.ok(!FarmEngine.tick(state, 1).events.some(e => e.type === 'stormDamaged'));
+  } finally {
+    [rain.weight, drought.weight, storm.damageChance] = saved;
+  }
+});
+
+test('buildings are bought onto free tiles at a rising price', () => {
+  const state = plantAll(farm(), 'carrot', [0]);
+  state.coins = 1000;
+  const def = RULES.BUILDINGS.sprinkler;
+  let res = FarmEngine.placeBuilding(state, 'sprinkler', 5);
+  assert.deepEqual(res.events, [{ type: 'buildingPlaced', id: 'sprinkler', index: 5, cost: def.cost.base }]);
+  assert.deepEqual(res.state.buildings[5], { id: 'sprinkler' });
+  assert.equal(res.state.coins, 1000 - def.cost.base);
+  assert.equal(FarmEngine.buildingCost(res.state, 'sprinkler'), Math.round(def.cost.base * def.cost.growth));
+  assert.equal(FarmEngine.buildingCost(res.state, 'scarecrow'), RULES.BUILDINGS.scarecrow.cost.base);
+
+  assert.equal(FarmEngine.placeBuilding(res.state, 'sprinkler', 0).events[0].reason, 'occupied');
+  assert.equal(FarmEngine.placeBuilding(res.state, 'sprinkler', 5).events[0].reason, 'occupied');
+  assert.equal(FarmEngine.placeBuilding(res.state, 'windmill', 6).events[0].reason, 'unknownBuilding');
+  assert.equal(FarmEngine.placeBuilding(farm(), 'sprinkler', 6).events[0].reason, 'insufficientCoins');
+  // crops cannot go onto a building's tile
+  res.state.coins = 100;
+  assert.equal(FarmEngine.plant(res.state, 5, 'carrot').events[0].reason, 'occupied');
+  assert.equal(FarmEngine.move(res.state, 0, 5).events[0].reason, 'occupied');
+  assert.equal(FarmEngine.merge(res.state, 0, 5).events[0].type, 'rejected');
+});
+
+test('buildings move between free tiles but never merge', () => {
+  let state = plantAll(farm(), 'carrot', [0]);
+  state.buildings[1] = { id: 'scarecrow' };
+  state.buildings[2] = { id: 'scarecrow' };
+  assert.equal(FarmEngine.moveBuilding(state, 1, 2).events[0].reason, 'occupied');
+  assert.equal(FarmEngine.moveBuilding(state, 1, 0).events[0].reason, 'occupied');
+  assert.equal(FarmEngine.moveBuilding(state, 3, 4).events[0].reason, 'empty');
+  const res = FarmEngine.moveBuilding(state, 1, 7);
+  assert.deepEqual(res.events, [{ type: 'buildingMoved', from: 1, to: 7, id: 'scarecrow' }]);
+  assert.equal(res.state.buildings[1], null);
+  assert.deepEqual(res.state.buildings[7], { id: 'scarecrow' });
+});
+
+test('buildings reach the tiles around them and expansions keep them in place', () => {
+  const state = farm();
+  assert.deepEqual(FarmEngine.buildingArea(state, 0, 'sprinkler'), [1, 4, 5]);
+  assert.equal(FarmEngine.buildingArea(state, 5, 'sprinkler').length, 8);
+  assert.equal(FarmEngine.buildingArea(state, 5, 'beehive').length, 15);
+
+  state.buildings[5] = { id: 'sprinkler' };
+  state.coins = 1e6;
+  const next = FarmEngine.expandGrid(state, 'col').state;
+  assert.equal(next.buildings.length, next.grid.length);
+  assert.deepEqual(next.buildings[6], { id: 'sprinkler' });
+});
+
+test('sprinklers speed up and scarecrows raise the value of neighboring crops', () => {
+  let state = plantAll(farm(), 'carrot', [0, 2, 12]);
+  state.buildings[1] = { id: 'sprinkler' };
+  state.buildings[6] = { id: 'scarecrow' };
+  assert.deepEqual(FarmEngine.buildingBuff(state, 2), { growth: 1.25, value: 1.2, replant: false });
+  assert.deepEqual(FarmEngine.buildingBuff(state, 0), { growth: 1.25, value: 1, replant: false });
+  state = FarmEngine.tick(state, 4).state;
+  assert.equal(state.grid[0].timeLeft, 12 - 5);
+  assert.equal(state.grid[12].timeLeft, 12 - 4);
+
+  state = FarmEngine.tick(state, 100).state;
+  const plain = FarmEngine.harvestValue(state.grid[12]);
+  assert.equal(FarmEngine.collect(state, 12).events[0].value, plain);
+  assert.equal(FarmEngine.collect(state, 2).events[0].value, Math.round(plain * 1.2));
+});
+
+test('a compost bin replants harvested crops when the seed is affordable', () => {
+  let state = plantAll(farm(), 'corn', [0, 15]);
+  state.buildings[1] = { id: 'compostBin' };
+  state = FarmEngine.tick(state, 100).state;
+  let res = FarmEngine.collect(state, 0);
+  assert.deepEqual(cropEvents(res.events), ['harvested', 'planted']);
+  const planted = res.events[1];
+  assert.deepEqual([planted.index, planted.cost, planted.auto, planted.crop.stage], [0, 3, true, 1]);
+  assert.equal(res.state.coins, state.coins + res.events[0].value - 3);
+
+  // out of range: just harvested
+  assert.deepEqual(cropEvents(FarmEngine.collect(state, 15).events), ['harvested']);
+  // cannot pay for the seed: the tile stays empty
+  state.coins = 0;
+  const free = FarmEngine.addHook('harvestValue', () => 0);
+  try {
+    res = FarmEngine.collect(state, 0);
+  } finally {
+    free();
+  }
+  assert.equal(res.state.grid[0], null);
+});
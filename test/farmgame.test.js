@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FarmEngine = require('../engine');
+const FarmGame = require('../farmgame');
+
+FarmEngine.loadContentPack(require('../content/crops.json'));
+
+test('the bus only accepts declared events and complete payloads', () => {
+  const bus = FarmGame.createEventBus();
+  assert.throws(() => bus.on('exploded', () => {}), /unknown event "exploded"/);
+  assert.throws(() => bus.emit('harvested', { index: 1 }), /missing: crop, value, auto/);
+});
+
+test('listeners get a copy of the payload and can unsubscribe', () => {
+  const bus = FarmGame.createEventBus();
+  const seen = [];
+  const payload = { coins: 10, delta: 5 };
+  const off = bus.on('coinsChanged', p => { p.coins = 0; seen.push(p.delta); });
+  bus.once('coinsChanged', p => seen.push('once'));
+  bus.emit('coinsChanged', payload);
+  off();
+  bus.emit('coinsChanged', payload);
+  assert.deepEqual(seen, [5, 'once']);
+  assert.equal(payload.coins, 10);
+});
+
+test('a failing listener does not stop the others', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const bus = FarmGame.createEventBus();
+  let ran = false;
+  bus.on('saved', () => { throw new Error('boom'); });
+  bus.on('saved', () => { ran = true; });
+  bus.emit('saved', { savedAt: 1 });
+  assert.equal(ran, true);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('plugins register once and receive the api', () => {
+  let api = null;
+  FarmGame.registerPlugin({ id: 'test-plugin', init: a => { api = a; } });
+  assert.ok(FarmGame.plugins().includes('test-plugin'));
+  assert.equal(typeof api.on, 'function');
+  assert.equal(api.getState(), null);
+  assert.throws(() => FarmGame.registerPlugin({ id: 'test-plugin', init() {} }), /already registered/);
+  assert.throws(() => FarmGame.registerPlugin({ id: 'broken' }), TypeError);
+});
+
+test('harvestValue hooks change what a harvest pays', () => {
+  let state = FarmEngine.createState();
+  state = FarmEngine.plant(state, 0, 'carrot').state;
+  state = FarmEngine.tick(state, 1000).state;
+  const base = FarmEngine.harvestValue(state.grid[0]);
+  const remove = FarmEngine.addHook('harvestValue', (value, ctx) => ctx.crop.id === 'carrot' ? value * 10 : value);
+  const bad = FarmEngine.addHook('harvestValue', () => 'lots');
+  try {
+    const res = FarmEngine.collect(state, 0);
+    assert.equal(res.events[0].value, base * 10);
+    assert.equal(res.state.coins, state.coins + base * 10);
+  } finally {
+    remove();
+    bad();
+  }
+  assert.equal(FarmEngine.collect(state, 0).events[0].value, base);
+  assert.throws(() => FarmEngine.addHook('sellPrice', v => v), /unknown hook/);
+});
+
+test('a hook that throws is skipped and the hooks after it still run', (t) => {
+  t.mock.method(console, 'error', () => {});
+  let state = FarmEngine.createState();
+  state = FarmEngine.plant(state, 0, 'carrot').state;
+  state = FarmEngine.tick(state, 1000).state;
+  const base = FarmEngine.harvestValue(state.grid[0]);
+  const broken = FarmEngine.addHook('harvestValue', () => { throw new Error('boom'); });
+  const double = FarmEngine.addHook('harvestValue', value => value * 2);
+  try {
+    assert.equal(FarmEngine.collect(state, 0).events[0].value, base * 2);
+  } finally {
+    broken();
+    double();
+  }
+  assert.equal(console.error.mock.callCount(), 1);
+});
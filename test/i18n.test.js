@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const FarmI18n = require('../i18n');
+const FarmEngine = require('../engine');
+
+const en = require('../locales/en.json');
+const de = require('../locales/de.json');
+const TABLES = { en, de };
+
+FarmEngine.loadContentPack(require('../content/crops.json'));
+
+// minimal localStorage stand-in
+function memoryStorage(initial = {}) {
+  const data = Object.assign({}, initial);
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    data
+  };
+}
+
+test('placeholders are filled in and numbers get digit grouping', () => {
+  const i18n = FarmI18n.createTranslator('en', TABLES);
+  assert.equal(i18n.t('event.gridExpanded', { cols: 5, rows: 4 }), 'Farm expanded to 5x4!');
+  assert.equal(i18n.t('stats.mergeLevel', { level: 3, count: 12345 }), 'Lv 3: 12,345');
+  // placeholders without a param stay visible
+  assert.equal(i18n.t('event.sold', { crop: 'Corn' }), 'Sold Corn for {coins}.');
+  assert.equal(FarmI18n.createTranslator('de', TABLES).t('stats.mergeLevel', { level: 3, count: 12345 }), 'St. 3: 12.345');
+});
+
+test('plural messages pick their form from count', () => {
+  const i18n = FarmI18n.createTranslator('en', TABLES);
+  assert.equal(i18n.t('coins', { count: 1 }), '1 coin');
+  assert.equal(i18n.t('coins', { count: 0 }), '0 coins');
+  assert.equal(i18n.t('coins', { count: 250 }), '250 coins');
+  assert.equal(FarmI18n.createTranslator('de', TABLES).t('buildingInfo.crops', { count: 1 }), '1 Pflanze in Reichweite');
+  assert.equal(FarmI18n.createTranslator('de', TABLES).t('buildingInfo.crops', { count: 3 }), '3 Pflanzen in Reichweite');
+});
+
+test('compact numbers are shortened and rounded down', () => {
+  const i18n = FarmI18n.createTranslator('en', TABLES);
+  assert.equal(i18n.compact(999.9), '999');
+  assert.equal(i18n.compact(1000), '1K');
+  assert.equal(i18n.compact(1250), '1.2K');
+  assert.equal(i18n.compact(1999), '1.9K');
+  assert.equal(i18n.compact(3400000), '3.4M');
+  assert.equal(i18n.compact(7.25e9), '7.2B');
+  assert.equal(i18n.compact(2e15), '2,000T');
+  assert.equal(i18n.compact(-1500), '-1.5K');
+  assert.equal(i18n.t('coins', { count: 12500 }), '12.5K coins');
+  assert.equal(FarmI18n.createTranslator('de', TABLES).t('hud.coins', { coins: 1250 }), 'Münzen: 1,2 Tsd.');
+});
+
+test('missing keys fall back to English, then the key, and are reported once in dev mode', () => {
+  const warnings = [];
+  const tables = { en: { greeting: 'Hello {name}', only: 'English only' }, de: { greeting: 'Hallo {name}' } };
+  const i18n = FarmI18n.createTranslator('de', tables, { dev: true, warn: msg => warnings.push(msg) });
+  assert.equal(i18n.t('greeting', { name: 'Ada' }), 'Hallo Ada');
+  assert.equal(i18n.t('only'), 'English only');
+  assert.equal(i18n.t('only'), 'English only');
+  assert.equal(i18n.t('nowhere'), 'nowhere');
+  assert.deepEqual(i18n.missing(), ['only', 'nowhere']);
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /"only" is missing from the de strings/);
+  assert.ok(i18n.has('only'));
+  assert.ok(!i18n.has('nowhere'));
+
+  // outside dev mode the keys are still listed, just not warned about
+  const quiet = FarmI18n.createTranslator('de', tables, { warn: msg => warnings.push(msg) });
+  quiet.t('only');
+  assert.deepEqual(quiet.missing(), ['only']);
+  assert.equal(warnings.length, 2);
+});
+
+test('lists are joined the way the language joins them', () => {
+  assert.equal(FarmI18n.createTranslator('en', TABLES).list(['Corn', 'Tomato']), 'Corn and Tomato');
+  assert.equal(FarmI18n.createTranslator('de', TABLES).list(['Mais', 'Tomate']), 'Mais und Tomate');
+});
+
+test('dates are formatted the language\'s way', () => {
+  const at = Date.UTC(2026, 4, 12, 12, 3);
+  assert.match(FarmI18n.createTranslator('en', TABLES).dateTime(at), /^5\/12\/26, /);
+  assert.match(FarmI18n.createTranslator('de', TABLES).dateTime(at), /^12\.05\.26, /);
+});
+
+test('the language choice round-trips through storage and falls back to the browser language', () => {
+  assert.equal(FarmI18n.loadLanguage(memoryStorage()), 'en');
+  assert.equal(FarmI18n.loadLanguage(memoryStorage(), ['fr-FR', 'de-AT']), 'de');
+  assert.equal(FarmI18n.loadLanguage(memoryStorage({ [FarmI18n.LANGUAGE_KEY]: 'xx' }), ['fr']), 'en');
+  const storage = memoryStorage();
+  FarmI18n.saveLanguage(storage, 'de');
+  assert.equal(FarmI18n.loadLanguage(storage, ['en']), 'de');
+  assert.throws(() => FarmI18n.saveLanguage(storage, 'xx'), /unknown language/);
+});
+
+test('compareTables reports missing keys, plural forms and placeholder mismatches', () => {
+  const reference = { a: 'A {x}', b: { one: '{count} b', other: '{count} bs' }, c: 'C' };
+  assert.deepEqual(FarmI18n.compareTables(reference, { a: 'A {y}', b: { one: '{count} b' }, d: 'D' }), [
+    'a: placeholders {y} instead of {x}',
+    'b: needs a string or plural forms with "other"',
+    'c: missing',
+    'd: not an English key'
+  ]);
+});
+
+test('every shipped language has a complete table for each language in LANGUAGES', () => {
+  for (const code of Object.keys(FarmI18n.LANGUAGES)) {
+    const file = path.join(__dirname, '..', 'locales', code + '.json');
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(FarmI18n.compareTables(en, table), [], code);
+  }
+});
+
+test('the English table has every key main.js asks for and a name for every rules entry', () => {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'main.js'), 'utf8');
+  // quoted 'group.name' strings: tr() arguments and the keys picked between in ternaries
+  const used = [...source.matchAll(/'([a-z]\w*\.[\w.]*\w)'/g)].map(m => m[1]).filter(key => !/\.js$/.test(key));
+  assert.ok(used.length > 100);
+  for (const key of used) assert.ok(key in en, key);
+
+  const RULES = FarmEngine.RULES;
+  const expected = [].concat(
+    RULES.CROP_TYPES.map(t => `crop.${t.id}.name`),
+    RULES.SEASONS.LIST.map(s => `season.${s.id}.name`),
+    Object.keys(RULES.WEATHER).map(id => `weather.${id}.name`),
+    ...Object.keys(RULES.UPGRADES).map(id => [`upgrade.${id}.name`, `upgrade.${id}.description`]),
+    ...Object.keys(RULES.PERKS).map(id => [`perk.${id}.name`, `perk.${id}.description`]),
+    ...Object.keys(RULES.BUILDINGS).map(id => [`building.${id}.name`, `building.${id}.description`]),
+    ...RULES.ACHIEVEMENTS.map(a => [`achievement.${a.id}.name`, `achievement.${a.id}.description`]),
+    ['shop', 'market', 'stats'].map(panel => `keys.panel.${panel}`)
+  );
+  for (const key of expected) assert.ok(key in en, key);
+});
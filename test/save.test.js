@@ -0,0 +1,313 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FarmEngine = require('../engine');
+const FarmSave = require('../save');
+
+FarmEngine.loadContentPack(require('../content/crops.json'));
+
+// a save in the original unversioned format
+function legacySave() {
+  const grid = new Array(16).fill(null);
+  grid[2] = { id: 'corn', level: 2, stage: 2, timeLeft: 4.5 };
+  return {
+    lastActive: 1700000000000,
+    coins: 42,
+    upgrades: { growthSpeedMultiplier: 1.25, autoHarvester: true },
+    grid
+  };
+}
+
+// the validation errors for `data`, as "field: message" strings
+function errorsOf(data) {
+  try {
+    FarmSave.validate(FarmSave.migrate(data));
+  } catch (e) {
+    assert.ok(e instanceof FarmSave.SaveError);
+    return e.errors.map(err => `${err.field}: ${err.message}`);
+  }
+  return [];
+}
+
+test('unversioned saves migrate to the current version', () => {
+  const data = FarmSave.migrate(legacySave());
+  assert.equal(data.version, FarmSave.CURRENT_VERSION);
+  assert.equal(data.savedAt, 1700000000000);
+  assert.equal(data.lastActive, undefined);
+  assert.deepEqual(data.permanent.unlocked, ['carrot']);
+  assert.equal(data.permanent.stats.coinsEarned, 0);
+  assert.deepEqual(data.permanent.achievements, []);
+  assert.equal(data.run.coins, 42);
+  assert.equal(data.permanent.prestige.count, 0);
+  assert.deepEqual(errorsOf(legacySave()), []);
+});
+
+test('serialize and toState round-trip engine state', () => {
+  let state = FarmEngine.createState();
+  state.unlocked.push('tomato');
+  state.coins = 99;
+  state = FarmEngine.plant(state, 7, 'tomato', 3).state;
+  state.stats.merges = 4;
+  const restored = FarmSave.toState(FarmSave.parse(JSON.stringify(FarmSave.serialize(state, 5))));
+  assert.deepEqual(restored, state);
+});
+
+test('parse rejects text that is not JSON', () => {
+  assert.throws(() => FarmSave.parse('{oops'), { name: 'SaveError', message: 'not valid JSON' });
+});
+
+test('validate reports each bad field', () => {
+  const data = legacySave();
+  data.coins = -5;
+  data.grid[0] = { id: 'potato', level: 1, stage: 1, timeLeft: 3 };
+  data.grid[1] = { id: 'carrot', level: -1, stage: 9, timeLeft: 3 };
+  assert.deepEqual(errorsOf(data), [
+    'run.coins: must be a number >= 0',
+    'run.grid[0].id: unknown crop "potato"',
+    'run.grid[1].level: must be an integer from 1 to 10',
+    'run.grid[1].stage: must be an integer from 1 to 3'
+  ]);
+});
+
+test('validate rejects a default seed that is not unlocked', () => {
+  const data = FarmSave.migrate(legacySave());
+  data.permanent.selectedCrop = 'tomato';
+  assert.deepEqual(errorsOf(data), ['permanent.selectedCrop: must be an unlocked crop']);
+});
+
+test('validate rejects a grid of the wrong length', () => {
+  const data = legacySave();
+  data.grid = data.grid.slice(0, 9);
+  assert.deepEqual(errorsOf(data), ['run.grid: must have 16 tiles (got 9)']);
+});
+
+test('16-cell saves load as a 4x4 board and keep working after expansion', () => {
+  const data = FarmSave.migrate(legacySave());
+  assert.equal(data.run.cols, 4);
+  assert.equal(data.run.rows, 4);
+  let state = FarmSave.toState(FarmSave.validate(data));
+  state.coins = 1000;
+  state = FarmEngine.expandGrid(state, 'col').state;
+  const saved = FarmSave.parse(JSON.stringify(FarmSave.serialize(state, 0)));
+  assert.equal(saved.run.grid.length, 20);
+  assert.equal(saved.run.grid[2].id, 'corn');
+});
+
+test('saves from a newer version are refused', () => {
+  const data = FarmSave.serialize(FarmEngine.createState(), 0);
+  data.version = FarmSave.CURRENT_VERSION + 1;
+  assert.throws(() => FarmSave.parse(JSON.stringify(data)), /newer game version/);
+});
+
+test('active orders and reward seeds survive a save round-trip', () => {
+  let state = FarmEngine.tick(FarmEngine.createState(3), 400).state;
+  state.seeds.push({ id: 'carrot', level: 2 });
+  assert.ok(state.orders.length > 0);
+  const restored = FarmSave.toState(FarmSave.parse(JSON.stringify(FarmSave.serialize(state, 0))));
+  assert.deepEqual(restored.orders, state.orders);
+  assert.deepEqual(restored.seeds, state.seeds);
+  assert.equal(restored.rng, state.rng);
+});
+
+test('validate checks order fields', () => {
+  const data = FarmSave.serialize(FarmEngine.createState(1), 0);
+  data.run.orders = [{ id: 1, cropId: 'carrot', level: 1, qty: 2, delivered: 2, timeLeft: 30, reward: {} }];
+  data.run.nextOrderId = 1;
+  assert.deepEqual(errorsOf(data), [
+    'run.orders[0].delivered: must be an integer from 0 to qty - 1',
+    'run.orders[0].reward: must be { coins } or { seed }',
+    'run.nextOrderId: must be an integer > 1'
+  ]);
+});
+
+test('saves keep run and permanent data in separate sections', () => {
+  let state = FarmEngine.createState(2);
+  state.prestige.perks.harvestValue = 3;
+  state.prestige.points = 4;
+  state.runCoinsEarned = 120;
+  const data = FarmSave.serialize(state, 0);
+  assert.equal(data.run.runCoinsEarned, 120);
+  assert.equal(data.permanent.prestige.perks.harvestValue, 3);
+  assert.equal(data.coins, undefined);
+  assert.deepEqual(FarmSave.toState(FarmSave.parse(JSON.stringify(data))), state);
+});
+
+test('version 6 saves count their lifetime coins toward the current run', () => {
+  const data = FarmSave.migrate(legacySave());
+  const v6 = Object.assign({ version: 6, savedAt: 0 }, data.run, data.permanent);
+  delete v6.prestige;
+  delete v6.runCoinsEarned;
+  delete v6.autoMerge;
+  delete v6.autoMergeTimer;
+  delete v6.upgrades.autoMerger;
+  v6.stats.coinsEarned = 5000;
+  const migrated = FarmSave.migrate(v6);
+  assert.equal(migrated.run.runCoinsEarned, 5000);
+  assert.equal(migrated.permanent.stats.coinsEarned, 5000);
+  assert.deepEqual(errorsOf(v6), []);
+});
+
+test('validate checks prestige perk levels', () => {
+  const data = FarmSave.serialize(FarmEngine.createState(1), 0);
+  data.permanent.prestige.perks.startingCoins = 99;
+  assert.deepEqual(errorsOf(data), ['permanent.prestige.perks.startingCoins: must be an integer from 0 to 10']);
+});
+
+test('version 7 saves gain an idle auto-merger with default settings', () => {
+  const data = FarmSave.migrate(legacySave());
+  const v7 = JSON.parse(JSON.stringify(data));
+  v7.version = 7;
+  delete v7.run.autoMergeTimer;
+  delete v7.run.upgrades.autoMerger;
+  delete v7.permanent.autoMerge;
+  const migrated = FarmSave.migrate(v7);
+  assert.equal(migrated.run.upgrades.autoMerger, 0);
+  assert.deepEqual(migrated.permanent.autoMerge, { excluded: [], levelCap: null });
+  assert.deepEqual(errorsOf(v7), []);
+});
+
+test('validate checks auto-merger settings', () => {
+  const data = FarmSave.serialize(FarmEngine.createState(1), 0);
+  data.run.upgrades.autoMerger = 9;
+  data.permanent.autoMerge = { excluded: ['potato'], levelCap: 1 };
+  assert.deepEqual(errorsOf(data), [
+    'run.upgrades.autoMerger: must be an integer from 0 to 5',
+    'permanent.autoMerge.excluded[0]: unknown crop "potato"',
+    'permanent.autoMerge.levelCap: must be an integer >= 2 or null'
+  ]);
+});
+
+test('version 8 saves turn their upgrade flags into levels', () => {
+  const v8 = FarmSave.serialize(FarmEngine.createState(1), 0);
+  v8.version = 8;
+  delete v8.run.autoHarvestTimer;
+  v8.run.upgrades = { growthSpeedMultiplier: Math.pow(1.25, 3), autoHarvester: true, autoMerger: 2 };
+  const migrated = FarmSave.migrate(v8);
+  assert.deepEqual(migrated.run.upgrades, {
+    growthSpeed: 3, harvestValue: 0, mergeBonus: 0, autoHarvester: 1, autoHarvestSpeed: 0, autoMerger: 2, barnSlots: 0, stormShelter: 0, seedLevel: 0
+  });
+  assert.deepEqual(errorsOf(v8), []);
+
+  v8.run.upgrades = { growthSpeedMultiplier: 1e6, autoHarvester: false, autoMerger: 0 };
+  assert.equal(FarmSave.migrate(v8).run.upgrades.growthSpeed, FarmEngine.RULES.UPGRADES.growthSpeed.maxLevel);
+});
+
+test('validate checks every upgrade level against its maximum', () => {
+  const data = FarmSave.serialize(FarmEngine.createState(1), 0);
+  data.run.upgrades.growthSpeed = 11;
+  data.run.upgrades.autoHarvester = true;
+  delete data.run.upgrades.seedLevel;
+  assert.deepEqual(errorsOf(data), [
+    'run.upgrades.growthSpeed: must be an integer from 0 to 10',
+    'run.upgrades.autoHarvester: must be an integer from 0 to 1',
+    'run.upgrades.seedLevel: must be an integer from 0 to 2'
+  ]);
+});
+
+test('fertilized crops stay fertilized across a save and older saves start without it', () => {
+  let state = FarmEngine.createState(1);
+  state = FarmEngine.plant(state, 0, 'carrot').state;
+  state.coins = 10;
+  state = FarmEngine.fertilize(state, 0).state;
+  const data = FarmSave.serialize(state, 0);
+  assert.equal(FarmSave.toState(FarmSave.parse(JSON.stringify(data))).grid[0].fertilized, true);
+
+  data.version = 9;
+  delete data.run.grid[0].fertilized;
+  assert.equal(FarmSave.migrate(data).run.grid[0].fertilized, false);
+  assert.deepEqual(errorsOf(data), []);
+});
+
+test('barn contents and market prices survive a save', () => {
+  let state = FarmEngine.createState(1);
+  state = FarmEngine.plant(state, 0, 'carrot').state;
+  state = FarmEngine.storeCrop(state, 0).state;
+  state = FarmEngine.tick(state, FarmEngine.RULES.MARKET.UPDATE_SECONDS * 3).state;
+  state = FarmEngine.configureBarn(state, { harvestToBarn: true }).state;
+  const loaded = FarmSave.toState(FarmSave.parse(JSON.stringify(FarmSave.serialize(state, 0))));
+  assert.deepEqual(loaded.barn, state.barn);
+  assert.deepEqual(loaded.market, state.market);
+  assert.equal(loaded.harvestToBarn, true);
+});
+
+test('version 10 saves gain an empty barn and a fresh market', () => {
+  const data = FarmSave.serialize(FarmEngine.createState(1), 0);
+  data.version = 10;
+  delete data.run.barn;
+  delete data.run.upgrades.barnSlots;
+  delete data.permanent.market;
+  delete data.permanent.harvestToBarn;
+  const migrated = FarmSave.migrate(data);
+  assert.deepEqual(migrated.run.barn, []);
+  assert.equal(migrated.run.upgrades.barnSlots, 0);
+  assert.deepEqual(migrated.permanent.market, FarmEngine.createState().market);
+  assert.equal(migrated.permanent.harvestToBarn, false);
+  assert.deepEqual(errorsOf(data), []);
+});
+
+test('validate checks the barn size and market prices', () => {
+  const data = FarmSave.serialize(FarmEngine.createState(1), 0);
+  const crop = { id: 'carrot', level: 1, stage: 1, timeLeft: 3, fertilized: false };
+  data.run.barn = [crop, crop, crop, crop, Object.assign({}, crop, { level: 0 })];
+  data.permanent.market.prices.carrot = 5;
+  data.permanent.market.history.potato = [1];
+  data.permanent.market.history.corn = [];
+  assert.deepEqual(errorsOf(data), [
+    'run.barn: must hold at most 4 crops (got 5)',
+    'run.barn[4].level: must be an integer from 1 to 10',
+    'permanent.market.prices.carrot: must be a number from 0.5 to 2',
+    'permanent.market.history.corn: must be 1 to 24 numbers',
+    'permanent.market.history.potato: unknown crop "potato"'
+  ]);
+});
+
+test('version 11 saves start in spring with clear weather and no storm shelter', () => {
+  const data = FarmSave.serialize(FarmEngine.createState(1), 0);
+  data.version = 11;
+  delete data.run.upgrades.stormShelter;
+  delete data.permanent.season;
+  delete data.permanent.weather;
+  const migrated = FarmSave.migrate(data);
+  assert.equal(migrated.run.upgrades.stormShelter, 0);
+  assert.deepEqual(migrated.permanent.season, { index: 0, timeLeft: FarmEngine.RULES.SEASONS.SECONDS });
+  assert.equal(migrated.permanent.weather.id, 'clear');
+  assert.deepEqual(errorsOf(data), []);
+});
+
+test('validate checks the season and weather clocks', () => {
+  const data = FarmSave.serialize(FarmEngine.createState(1), 0);
+  data.permanent.season = { index: 4, timeLeft: 0 };
+  data.permanent.weather = { id: 'hail', timeLeft: 10 };
+  assert.deepEqual(errorsOf(data), [
+    'permanent.season.index: must be an integer from 0 to 3',
+    'permanent.season.timeLeft: must be a number from 0 to 600',
+    'permanent.weather.id: unknown weather "hail"'
+  ]);
+});
+
+test('buildings are saved per tile and never share a tile with a crop', () => {
+  let state = FarmEngine.createState(1);
+  state.coins = 1000;
+  state = FarmEngine.placeBuilding(state, 'beehive', 3).state;
+  const data = FarmSave.serialize(state, 0);
+  assert.deepEqual(FarmSave.toState(FarmSave.parse(JSON.stringify(data))).buildings, state.buildings);
+
+  data.run.grid[3] = { id: 'carrot', level: 1, stage: 1, timeLeft: 3, fertilized: false };
+  data.run.buildings[4] = { id: 'windmill' };
+  assert.deepEqual(errorsOf(data), [
+    'run.buildings[3]: shares its tile with a crop',
+    'run.buildings[4]: must be null or { id } of a known building'
+  ]);
+
+  const v12 = FarmSave.serialize(FarmEngine.createState(1), 0);
+  v12.version = 12;
+  delete v12.run.buildings;
+  assert.deepEqual(FarmSave.migrate(v12).run.buildings, new Array(16).fill(null));
+  assert.deepEqual(errorsOf(v12), []);
+});
+
+test('summarize lists when a save was made, its coins and its best crop level', () => {
+  const state = FarmEngine.createState(1);
+  state.coins = 99.9;
+  state.stats.highestLevel = 4;
+  assert.deepEqual(FarmSave.summarize(FarmSave.serialize(state, 1234)), { savedAt: 1234, coins: 99, highestLevel: 4 });
+});
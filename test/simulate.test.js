@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FarmEngine = require('../engine');
+const { simulate, toCsv, parseArgs, STRATEGIES } = require('../tools/simulate');
+
+FarmEngine.loadContentPack(require('../content/crops.json'));
+
+// a few simulated minutes keep the suite fast
+const SHORT = { hours: 0.05, seed: 7 };
+
+test('each strategy reports hourly income, purchases and levels', () => {
+  const report = simulate(SHORT);
+  assert.deepEqual(report.results.map(r => r.strategy).sort(), Object.keys(STRATEGIES).sort());
+  for (const r of report.results) {
+    assert.equal(r.hourly.length, 1);
+    assert.ok(r.hourly[0].coinsEarned > 0, r.strategy);
+    assert.equal(r.totals.coinsEarned, r.hourly[0].coinsEarned);
+  }
+  const harvestOnly = report.results.find(r => r.strategy === 'harvestOnly');
+  assert.deepEqual(harvestOnly.purchases, []);
+  assert.equal(harvestOnly.totals.merges, 0);
+  const speedFirst = report.results.find(r => r.strategy === 'speedFirst');
+  assert.equal(speedFirst.purchases[0].item, 'growthSpeed');
+});
+
+test('runs with the same seed are identical', () => {
+  assert.deepEqual(simulate(SHORT), simulate(SHORT));
+});
+
+test('harvest-only income is exactly the engine payout per harvest', () => {
+  const r = simulate(Object.assign({ strategies: ['harvestOnly'] }, SHORT)).results[0];
+  let expected = 0;
+  for (const id of Object.keys(r.totals.harvested)) {
+    const tcfg = FarmEngine.cropType(id);
+    expected += r.totals.harvested[id] * FarmEngine.harvestValue({ id, level: 1, stage: tcfg.stages });
+  }
+  assert.ok(expected > 0);
+  assert.equal(r.totals.coinsEarned, expected);
+});
+
+test('strategies take no more actions than --actions allows per simulated second', () => {
+  const run = actions => simulate(Object.assign({ strategies: ['greedyMerge'], actions }, SHORT)).results[0];
+  const slow = run(0.5);
+  const harvested = Object.values(slow.totals.harvested).reduce((a, b) => a + b, 0);
+  assert.ok(slow.totals.merges + harvested + slow.purchases.length <= SHORT.hours * 3600 * 0.5);
+  assert.ok(run(10).totals.merges > slow.totals.merges);
+});
+
+test('CSV tables have a header and one row per record', () => {
+  const report = simulate(Object.assign({ strategies: ['speedFirst'] }, SHORT));
+  const hourly = toCsv(report, 'hourly').trim().split('\n');
+  assert.equal(hourly[0], 'strategy,hour,coinsEarned,coinsPerHour,coins,growthSpeed,farm');
+  assert.equal(hourly.length, 2);
+  const purchases = toCsv(report, 'purchases').trim().split('\n');
+  assert.equal(purchases[0], 'strategy,item,seconds,minutes');
+  assert.equal(purchases.length, report.results[0].purchases.length + 1);
+  assert.throws(() => toCsv(report, 'weather'), /unknown table/);
+});
+
+test('command-line options are parsed and checked', () => {
+  assert.deepEqual(parseArgs(['--hours', '2', '--strategies', 'harvestOnly', '--format', 'csv']),
+    { format: 'csv', table: 'hourly', hours: 2, strategies: ['harvestOnly'] });
+  assert.throws(() => parseArgs(['--hours']), /missing value/);
+  assert.throws(() => parseArgs(['--colour', 'red']), /unknown option/);
+  assert.throws(() => simulate({ strategies: ['lazy'], hours: 0.01 }), /unknown strategy "lazy"/);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FarmEngine = require('../engine');
+const FarmSave = require('../save');
+const FarmSlots = require('../slots');
+
+FarmEngine.loadContentPack(require('../content/crops.json'));
+
+// minimal localStorage stand-in
+function memoryStorage(initial = {}) {
+  const data = Object.assign({}, initial);
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+    removeItem: key => { delete data[key]; },
+    data
+  };
+}
+
+const OPTIONS = { prefix: 'farm', legacyKeys: ['farm_v1'], firstName: 'Farm 1' };
+const MINUTE = 60 * 1000;
+
+// save data for a farm holding `coins`, saved at `savedAt`
+function saveWith(coins, savedAt) {
+  const state = FarmEngine.createState(1);
+  state.coins = coins;
+  return FarmSave.serialize(state, savedAt);
+}
+
+test('the first open adopts the save from before slots, or an older legacy key', () => {
+  const storage = memoryStorage({ farm: JSON.stringify(saveWith(42.7, 1000)) });
+  const slots = FarmSlots.open(storage, OPTIONS);
+  assert.deepEqual(slots.list(), [{ id: 1, name: 'Farm 1', summary: { savedAt: 1000, coins: 42, highestLevel: 1 }, active: true }]);
+  assert.equal(slots.read(1), storage.data.farm);
+
+  const legacy = memoryStorage({ farm_v1: JSON.stringify({ lastActive: 5, coins: 7, grid: new Array(16).fill(null) }) });
+  assert.equal(FarmSlots.open(legacy, OPTIONS).list()[0].summary.coins, 7);
+
+  const fresh = FarmSlots.open(memoryStorage(), OPTIONS);
+  assert.equal(fresh.read(1), null);
+  assert.equal(fresh.list()[0].summary, null);
+});
+
+test('slots are created, renamed, selected and deleted, and the index persists', () => {
+  const storage = memoryStorage();
+  const slots = FarmSlots.open(storage, OPTIONS);
+  const id = slots.create('  Second farm  ');
+  assert.equal(id, 2);
+  slots.write(id, saveWith(10, 0));
+  slots.rename(1, 'Main');
+  slots.select(id);
+  assert.throws(() => slots.rename(1, '   '), /needs a name/);
+  assert.throws(() => slots.select(9), /unknown save slot 9/);
+
+  const reopened = FarmSlots.open(storage, OPTIONS);
+  assert.deepEqual(reopened.list().map(s => [s.id, s.name, s.active]), [[1, 'Main', false], [2, 'Second farm', true]]);
+
+  reopened.remove(2);
+  assert.equal(reopened.activeId(), 1);
+  assert.equal(storage.data.farm_slot2, undefined);
+  assert.deepEqual(Object.keys(storage.data).filter(key => key.startsWith('farm_slot2')), []);
+  assert.throws(() => reopened.remove(1), /last save slot/);
+  // ids are not reused, so an old backup key never turns up in a new slot
+  assert.equal(reopened.create('Third'), 3);
+});
+
+test('a slot holds at most MAX_SLOTS and names are cut to MAX_NAME_LENGTH', () => {
+  const slots = FarmSlots.open(memoryStorage(), OPTIONS);
+  while (!slots.isFull()) slots.create('x'.repeat(60));
+  assert.equal(slots.list().length, FarmSlots.MAX_SLOTS);
+  assert.equal(slots.list()[1].name.length, FarmSlots.MAX_NAME_LENGTH);
+  assert.throws(() => slots.create('One more'), /save slots are in use/);
+});
+
+test('writes keep a backup once the newest is BACKUP_INTERVAL old, up to MAX_BACKUPS', () => {
+  const storage = memoryStorage();
+  const slots = FarmSlots.open(storage, OPTIONS);
+  // autosaves every 10 seconds for an hour
+  for (let t = 0; t <= 60 * MINUTE; t += 10000) slots.write(1, saveWith(t / 1000, t));
+
+  const backups = slots.backups(1);
+  assert.equal(backups.length, FarmSlots.MAX_BACKUPS);
+  assert.deepEqual(backups.map(b => b.at / MINUTE), [60, 55, 50, 45, 40]);
+  assert.equal(backups[0].summary.coins, 3600);
+  assert.equal(JSON.parse(slots.readBackup(1, 40 * MINUTE)).run.coins, 2400);
+  // dropped backups leave storage too
+  assert.equal(Object.keys(storage.data).filter(key => key.includes('_backup')).length, FarmSlots.MAX_BACKUPS);
+  assert.equal(slots.readBackup(1, 35 * MINUTE), null);
+  assert.deepEqual(slots.list()[0].summary, { savedAt: 60 * MINUTE, coins: 3600, highestLevel: 1 });
+});
+
+test('backup() keeps a copy at once, with a distinct timestamp', () => {
+  const slots = FarmSlots.open(memoryStorage(), OPTIONS);
+  slots.write(1, saveWith(5, 1000));
+  slots.backup(1, saveWith(6, 1000));
+  slots.backup(1, saveWith(7, 1000));
+  assert.deepEqual(slots.backups(1).map(b => [b.at, b.summary.coins]), [[1002, 7], [1001, 6], [1000, 5]]);
+});
+
+test('a full storage costs the backup, not the save', () => {
+  const storage = memoryStorage();
+  const slots = FarmSlots.open(storage, OPTIONS);
+  const setItem = storage.setItem;
+  storage.setItem = (key, value) => {
+    if (key.includes('_backup')) throw new Error('QuotaExceededError');
+    setItem(key, value);
+  };
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    slots.write(1, saveWith(9, 0));
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(JSON.parse(slots.read(1)).run.coins, 9);
+  assert.deepEqual(slots.backups(1), []);
+});
+
+test('an unreadable index is rebuilt around the first slot save', () => {
+  const storage = memoryStorage({ farm_slots: '{not json', farm_slot1: JSON.stringify(saveWith(3, 0)) });
+  const warn = console.warn;
+  console.warn = () => {};
+  let slots;
+  try {
+    slots = FarmSlots.open(storage, OPTIONS);
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(slots.list().length, 1);
+  assert.equal(slots.list()[0].summary.coins, 3);
+  assert.equal(JSON.parse(storage.data.farm_slots).active, 1);
+});
+
+test('storage that refuses every access falls back to slots in memory', t => {
+  t.mock.method(console, 'warn', () => {});
+  const blocked = () => { throw new Error('SecurityError'); };
+  const slots = FarmSlots.open({ getItem: blocked, setItem: blocked, removeItem: blocked }, OPTIONS);
+  assert.deepEqual(slots.list().map(s => [s.id, s.name, s.summary]), [[1, 'Farm 1', null]]);
+  slots.write(1, saveWith(4, 0));
+  assert.equal(JSON.parse(slots.read(1)).run.coins, 4);
+});
+
+test('storage that cannot be written still loads the save it holds', t => {
+  t.mock.method(console, 'warn', () => {});
+  const storage = memoryStorage({ farm: JSON.stringify(saveWith(8, 0)) });
+  storage.setItem = () => { throw new Error('QuotaExceededError'); };
+  const slots = FarmSlots.open(storage, OPTIONS);
+  assert.equal(slots.list()[0].summary.coins, 8);
+  assert.equal(JSON.parse(slots.read(1)).run.coins, 8);
+  slots.write(1, saveWith(9, 0));
+  assert.equal(JSON.parse(slots.read(1)).run.coins, 9);
+  assert.equal(JSON.parse(storage.data.farm).run.coins, 8);
+});
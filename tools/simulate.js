@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/* tools/simulate.js
+   Idle Merge Farm — economy balance simulator
+   - plays scripted strategies against the real rules in engine.js (same
+     harvest, merge bonus, growth and shop code as the game)
+   - reports coins earned per hour, when each purchase happened and the
+     crop level distribution, as JSON or CSV
+   - strategies act at a player's pace: each plant, harvest, merge or
+     purchase uses one of --actions per simulated second
+   Usage:
+     node tools/simulate.js [--hours 4] [--strategies greedyMerge,harvestOnly,speedFirst]
+                            [--seed 1] [--step 1] [--actions 2]
+                            [--format json|csv] [--table hourly|purchases|levels]
+   Also usable as a module: require('./tools/simulate').simulate(options)
+*/
+'use strict';
+
+const FarmEngine = require('../engine');
+
+const DEFAULTS = {
+  hours: 4,
+  strategies: ['greedyMerge', 'harvestOnly', 'speedFirst'],
+  seed: 1,
+  step: 1, // simulated seconds per tick; the game ticks once a second
+  actions: 2, // taps and clicks a player manages per second
+  contentPack: require('../content/crops.json')
+};
+
+// ---------- STRATEGY BUILDING BLOCKS ----------
+// each helper applies engine operations and returns the new state; every
+// operation that goes through uses one of `player.actions`, and a helper
+// stops early once they run out
+
+// spend one action; false when none are left this step
+function act(player) {
+  if (player.actions < 1) return false;
+  player.actions -= 1;
+  return true;
+}
+
+// the unlocked crop with the best payout per second that we can afford
+function bestSeed(state) {
+  let best = null;
+  let bestRate = -1;
+  for (const id of state.unlocked) {
+    const tcfg = FarmEngine.cropType(id);
+    if (tcfg.seedCost > state.coins) continue;
+    const rate = FarmEngine.harvestValue({ id, level: 1, stage: tcfg.stages }) / FarmEngine.timeToMature(state, id);
+    if (rate > bestRate) {
+      best = id;
+      bestRate = rate;
+    }
+  }
+  return best;
+}
+
+function plantEmpty(state, player) {
+  for (let i = 0; i < state.grid.length; i++) {
+    if (state.grid[i]) continue;
+    const id = bestSeed(state);
+    if (!id || !act(player)) break;
+    state = FarmEngine.plant(state, i, id).state;
+  }
+  return state;
+}
+
+// harvest grown crops; `keep(index)` can spare some of them
+function harvestMature(state, player, keep = () => false) {
+  for (let i = 0; i < state.grid.length; i++) {
+    const crop = state.grid[i];
+    if (!crop || crop.stage < crop.maxStage || keep(i)) continue;
+    if (!act(player)) break;
+    state = FarmEngine.collect(state, i).state;
+  }
+  return state;
+}
+
+function hasMergePartner(state, index) {
+  return state.grid.some((c, j) => FarmEngine.canMerge(state, j, index));
+}
+
+// merge every matching pair, lowest tiles first, until none are left
+function mergeAll(state, player) {
+  for (let to = 0; to < state.grid.length; to++) {
+    for (let from = to + 1; from < state.grid.length; from++) {
+      if (!FarmEngine.canMerge(state, from, to)) continue;
+      if (!act(player)) return state;
+      state = FarmEngine.merge(state, from, to).state;
+    }
+  }
+  return state;
+}
+
+function buyWhileAffordable(state, player, buy) {
+  for (;;) {
+    const res = buy(state);
+    if (res.events[0].type === 'rejected' || !act(player)) return state;
+    state = res.state;
+  }
+}
+
+function buyExpansions(state, player) {
+  return buyWhileAffordable(state, player, s => FarmEngine.expandGrid(s, s.cols <= s.rows ? 'col' : 'row'));
+}
+
+// ---------- STRATEGIES ----------
+// strategy(state, player) -> state, run once per simulated step before the tick
+const STRATEGIES = {
+  // plant and harvest only: never merges or buys anything
+  harvestOnly: (state, player) => plantEmpty(harvestMature(state, player), player),
+
+  // merge every pair, harvest crops that have nothing to merge with,
+  // spend spare coins on farm expansions
+  greedyMerge: (state, player) => {
+    state = mergeAll(state, player);
+    state = harvestMature(state, player, i => hasMergePartner(state, i));
+    state = buyExpansions(state, player);
+    return plantEmpty(state, player);
+  },
+
+  // buy growth speed whenever possible, then the auto harvester,
+  // otherwise play like greedyMerge without expanding
+  speedFirst: (state, player) => {
+    state = buyWhileAffordable(state, player, s => FarmEngine.buyUpgrade(s, 'growthSpeed'));
+    state = buyWhileAffordable(state, player, s => FarmEngine.buyUpgrade(s, 'autoHarvester'));
+    state = mergeAll(state, player);
+    state = harvestMature(state, player, i => hasMergePartner(state, i));
+    return plantEmpty(state, player);
+  }
+};
+
+// ---------- SIMULATION ----------
+
+// run one strategy; purchases are found by comparing the state around each strategy step
+function runStrategy(name, options) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) throw new Error(`unknown strategy "${name}" (expected one of: ${Object.keys(STRATEGIES).join(', ')})`);
+  let state = FarmEngine.createState(options.seed);
+  // unused actions carry over, but never more than one step's worth (at least one)
+  const perStep = options.actions * options.step;
+  const player = { actions: 0 };
+  const totalSeconds = options.hours * 3600;
+  const hourly = [];
+  const purchases = [];
+  let hourStart = { earned: 0, time: 0 };
+
+  for (let time = 0; time < totalSeconds; time += options.step) {
+    const before = { upgrades: state.upgrades, cols: state.cols, rows: state.rows };
+    player.actions = Math.min(player.actions + perStep, Math.max(1, perStep));
+    state = strategy(state, player);
+    purchases.push(...diffPurchases(before, state, time));
+    state = FarmEngine.tick(state, options.step).state;
+
+    const elapsed = time + options.step;
+    if (elapsed - hourStart.time >= 3600 || elapsed >= totalSeconds) {
+      const hours = (elapsed - hourStart.time) / 3600;
+      hourly.push({
+        strategy: name,
+        hour: hourly.length + 1,
+        coinsEarned: Math.round(state.stats.coinsEarned - hourStart.earned),
+        coinsPerHour: Math.round((state.stats.coinsEarned - hourStart.earned) / hours),
+        coins: Math.floor(state.coins),
+        growthSpeed: Number(FarmEngine.growthSpeed(state).toFixed(3)),
+        farm: `${state.cols}x${state.rows}`
+      });
+      hourStart = { earned: state.stats.coinsEarned, time: elapsed };
+    }
+  }
+
+  const levels = {};
+  for (const crop of state.grid) if (crop) levels[crop.level] = (levels[crop.level] || 0) + 1;
+  return {
+    strategy: name,
+    hourly,
+    purchases: purchases.map(p => Object.assign({ strategy: name }, p)),
+    levels: {
+      onBoard: levels,
+      mergesByLevel: state.stats.mergesByLevel,
+      highestLevel: state.stats.highestLevel
+    },
+    totals: {
+      coinsEarned: Math.round(state.stats.coinsEarned),
+      coinsSpent: Math.round(state.stats.coinsSpent),
+      merges: state.stats.merges,
+      harvested: state.stats.harvested
+    }
+  };
+}
+
+// what a strategy step bought, from the state before and after it
+function diffPurchases(before, after, time) {
+  const out = [];
+  for (const id of Object.keys(after.upgrades)) {
+    for (let n = before.upgrades[id]; n < after.upgrades[id]; n++) out.push({ time, item: id });
+  }
+  for (let n = before.cols; n < after.cols; n++) out.push({ time, item: 'expandCol' });
+  for (let n = before.rows; n < after.rows; n++) out.push({ time, item: 'expandRow' });
+  return out;
+}
+
+function simulate(options = {}) {
+  const opts = Object.assign({}, DEFAULTS, options);
+  if (!(opts.hours > 0)) throw new Error('--hours must be a number > 0');
+  if (!(opts.step > 0)) throw new Error('--step must be a number > 0');
+  if (!(opts.actions > 0)) throw new Error('--actions must be a number > 0');
+  FarmEngine.loadContentPack(opts.contentPack);
+  return {
+    options: { hours: opts.hours, seed: opts.seed, step: opts.step, actions: opts.actions, strategies: opts.strategies },
+    results: opts.strategies.map(name => runStrategy(name, opts))
+  };
+}
+
+// ---------- OUTPUT ----------
+
+function csvRow(values) {
+  return values.map(v => {
+    const text = String(v);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+function toCsv(report, table) {
+  let rows;
+  if (table === 'hourly') {
+    rows = [].concat(...report.results.map(r => r.hourly));
+  } else if (table === 'purchases') {
+    rows = [].concat(...report.results.map(r => r.purchases))
+      .map(p => ({ strategy: p.strategy, item: p.item, seconds: p.time, minutes: (p.time / 60).toFixed(1) }));
+  } else if (table === 'levels') {
+    rows = [];
+    for (const r of report.results) {
+      const maxLevel = Math.max(r.levels.highestLevel, ...Object.keys(r.levels.onBoard).map(Number));
+      for (let level = 1; level <= maxLevel; level++) {
+        rows.push({ strategy: r.strategy, level, onBoard: r.levels.onBoard[level] || 0, merges: r.levels.mergesByLevel[level] || 0 });
+      }
+    }
+  } else {
+    throw new Error(`unknown table "${table}" (expected hourly, purchases or levels)`);
+  }
+  if (rows.length === 0) return '';
+  const header = Object.keys(rows[0]);
+  return [csvRow(header)].concat(rows.map(row => csvRow(header.map(key => row[key])))).join('\n') + '\n';
+}
+
+// --name value pairs -> options
+function parseArgs(argv) {
+  const opts = { format: 'json', table: 'hourly' };
+  for (let i = 0; i < argv.length; i += 2) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (value === undefined) throw new Error(`missing value for ${flag}`);
+    switch (flag) {
+      case '--hours': opts.hours = Number(value); break;
+      case '--seed': opts.seed = Number(value); break;
+      case '--step': opts.step = Number(value); break;
+      case '--actions': opts.actions = Number(value); break;
+      case '--strategies': opts.strategies = value.split(','); break;
+      case '--format': opts.format = value; break;
+      case '--table': opts.table = value; break;
+      default: throw new Error(`unknown option ${flag}`);
+    }
+  }
+  if (opts.format !== 'json' && opts.format !== 'csv') throw new Error('--format must be json or csv');
+  return opts;
+}
+
+if (require.main === module) {
+  // stop quietly when piped into head and the like
+  process.stdout.on('error', e => {
+    if (e.code === 'EPIPE') process.exit(0);
+    throw e;
+  });
+  try {
+    const opts = parseArgs(process.argv.slice(2));
+    const report = simulate(opts);
+    process.stdout.write(opts.format === 'csv' ? toCsv(report, opts.table) : JSON.stringify(report, null, 2) + '\n');
+  } catch (e) {
+    console.error('simulate: ' + e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { STRATEGIES, simulate, toCsv, parseArgs };